@@ -0,0 +1,252 @@
+<?php
+/**
+ * Execution log page template for Shortcode Exec PHP.
+ *
+ * Renders the filterable execution log and the detail view of a single
+ * entry. All output is escaped.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+// Ensure variables are available.
+if ( ! isset( $message, $filters, $log, $filter_values ) ) {
+	return;
+}
+
+$entry = ! empty( $entry ) ? $entry : null;
+$entry_id = ! empty( $entry_id ) ? $entry_id : 0;
+$date_format = get_option( 'date_format' ) . ' ' . get_option( 'time_format' );
+
+// Current page URL with the active filters, used for links.
+$page_url = add_query_arg(
+	array_filter(
+		array(
+			'page'      => 'shortcode-exec-php-log',
+			'shortcode' => $filters['shortcode'],
+			'status'    => $filters['status'],
+			'user_id'   => $filters['user_id'] >= 0 ? $filters['user_id'] : '',
+			'date_from' => $filters['date_from'],
+			'date_to'   => $filters['date_to'],
+		),
+		'strlen'
+	),
+	is_network_admin() ? network_admin_url( 'settings.php' ) : admin_url( 'tools.php' )
+);
+
+/**
+ * Get the display name of a logged user.
+ *
+ * @param int $user_id User ID.
+ * @return string Display name.
+ */
+$scep_log_user_name = function ( $user_id ) {
+	if ( ! $user_id ) {
+		return __( 'Visitor', 'shortcode-exec-php' );
+	}
+
+	$user = get_userdata( $user_id );
+
+	/* translators: %d: User ID */
+	return $user ? $user->display_name : sprintf( __( 'Deleted user #%d', 'shortcode-exec-php' ), $user_id );
+};
+?>
+
+<div class="wrap">
+	<h1 class="wp-heading-inline"><?php echo esc_html( get_admin_page_title() ); ?></h1>
+
+	<?php if ( $entry ) : ?>
+		<a href="<?php echo esc_url( $page_url ); ?>" class="page-title-action"><?php esc_html_e( 'Back to Log', 'shortcode-exec-php' ); ?></a>
+	<?php endif; ?>
+
+	<hr class="wp-header-end" />
+
+	<?php
+	// Display message if present.
+	if ( ! empty( $message ) ) {
+		// Message is already escaped in the calling method.
+		echo $message; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+	}
+	?>
+
+	<?php if ( $entry_id && ! $entry ) : ?>
+		<div class="notice notice-error"><p><?php esc_html_e( 'The log entry no longer exists.', 'shortcode-exec-php' ); ?></p></div>
+	<?php endif; ?>
+
+	<?php if ( $entry ) : ?>
+		<table id="scep-log-entry" class="widefat striped">
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Time', 'shortcode-exec-php' ); ?></th>
+				<td><?php echo esc_html( get_date_from_gmt( $entry['logged_at'], $date_format ) ); ?></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Shortcode', 'shortcode-exec-php' ); ?></th>
+				<td><code><?php echo esc_html( $entry['shortcode_name'] ); ?></code></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Status', 'shortcode-exec-php' ); ?></th>
+				<td><span class="scep-log-status scep-log-status-<?php echo esc_attr( $entry['status'] ); ?>"><?php echo esc_html( $entry['status'] ); ?></span></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Message', 'shortcode-exec-php' ); ?></th>
+				<td><?php echo esc_html( $entry['message'] ); ?></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'User', 'shortcode-exec-php' ); ?></th>
+				<td><?php echo esc_html( $scep_log_user_name( $entry['user_id'] ) ); ?></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'IP Address', 'shortcode-exec-php' ); ?></th>
+				<td><?php echo esc_html( $entry['user_ip'] ); ?></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Request', 'shortcode-exec-php' ); ?></th>
+				<td><code><?php echo esc_html( $entry['request_uri'] ); ?></code></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'User Agent', 'shortcode-exec-php' ); ?></th>
+				<td><?php echo esc_html( $entry['user_agent'] ); ?></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Context', 'shortcode-exec-php' ); ?></th>
+				<td>
+					<?php if ( empty( $entry['context'] ) ) : ?>
+						&mdash;
+					<?php else : ?>
+						<pre id="scep-log-context"><?php echo esc_html( wp_json_encode( $entry['context'], JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) ); ?></pre>
+					<?php endif; ?>
+				</td>
+			</tr>
+		</table>
+	<?php else : ?>
+		<form id="scep-log-filters" method="get" action="">
+			<input type="hidden" name="page" value="shortcode-exec-php-log" />
+
+			<div class="tablenav top">
+				<div class="alignleft actions">
+					<label for="scep-log-shortcode" class="screen-reader-text"><?php esc_html_e( 'Filter by shortcode', 'shortcode-exec-php' ); ?></label>
+					<select id="scep-log-shortcode" name="shortcode">
+						<option value=""><?php esc_html_e( 'All shortcodes', 'shortcode-exec-php' ); ?></option>
+						<?php foreach ( $filter_values['shortcode'] as $value ) : ?>
+							<option value="<?php echo esc_attr( $value ); ?>" <?php selected( $filters['shortcode'], $value ); ?>><?php echo esc_html( $value ); ?></option>
+						<?php endforeach; ?>
+					</select>
+
+					<label for="scep-log-status" class="screen-reader-text"><?php esc_html_e( 'Filter by status', 'shortcode-exec-php' ); ?></label>
+					<select id="scep-log-status" name="status">
+						<option value=""><?php esc_html_e( 'All statuses', 'shortcode-exec-php' ); ?></option>
+						<?php foreach ( $filter_values['status'] as $value ) : ?>
+							<option value="<?php echo esc_attr( $value ); ?>" <?php selected( $filters['status'], $value ); ?>><?php echo esc_html( $value ); ?></option>
+						<?php endforeach; ?>
+					</select>
+
+					<label for="scep-log-user" class="screen-reader-text"><?php esc_html_e( 'Filter by user', 'shortcode-exec-php' ); ?></label>
+					<select id="scep-log-user" name="user_id">
+						<option value=""><?php esc_html_e( 'All users', 'shortcode-exec-php' ); ?></option>
+						<?php foreach ( $filter_values['user_id'] as $value ) : ?>
+							<option value="<?php echo esc_attr( $value ); ?>" <?php selected( $filters['user_id'], $value ); ?>><?php echo esc_html( $scep_log_user_name( $value ) ); ?></option>
+						<?php endforeach; ?>
+					</select>
+
+					<label for="scep-log-date-from"><?php esc_html_e( 'From', 'shortcode-exec-php' ); ?></label>
+					<input type="date" id="scep-log-date-from" name="date_from" value="<?php echo esc_attr( $filters['date_from'] ); ?>" />
+
+					<label for="scep-log-date-to"><?php esc_html_e( 'To', 'shortcode-exec-php' ); ?></label>
+					<input type="date" id="scep-log-date-to" name="date_to" value="<?php echo esc_attr( $filters['date_to'] ); ?>" />
+
+					<button type="submit" class="button"><?php esc_html_e( 'Filter', 'shortcode-exec-php' ); ?></button>
+				</div>
+				<div class="tablenav-pages">
+					<span class="displaying-num">
+						<?php
+						/* translators: %s: Number of log entries */
+						echo esc_html( sprintf( _n( '%s entry', '%s entries', $log['total'], 'shortcode-exec-php' ), number_format_i18n( $log['total'] ) ) );
+						?>
+					</span>
+					<?php
+					// Pagination links are escaped by paginate_links().
+					echo paginate_links( // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+						array(
+							'base'    => add_query_arg( 'paged', '%#%', $page_url ),
+							'format'  => '',
+							'current' => $filters['page'],
+							'total'   => $total_pages,
+						)
+					);
+					?>
+				</div>
+				<br class="clear" />
+			</div>
+		</form>
+
+		<table id="scep-log-table" class="wp-list-table widefat fixed striped">
+			<thead>
+				<tr>
+					<th scope="col" class="column-date"><?php esc_html_e( 'Time', 'shortcode-exec-php' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Shortcode', 'shortcode-exec-php' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Status', 'shortcode-exec-php' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'User', 'shortcode-exec-php' ); ?></th>
+					<th scope="col" class="column-primary"><?php esc_html_e( 'Message', 'shortcode-exec-php' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<?php if ( empty( $log['entries'] ) ) : ?>
+					<tr class="no-items">
+						<td colspan="5"><?php esc_html_e( 'No log entries found.', 'shortcode-exec-php' ); ?></td>
+					</tr>
+				<?php endif; ?>
+				<?php foreach ( $log['entries'] as $log_entry ) : ?>
+					<tr>
+						<td>
+							<a href="<?php echo esc_url( add_query_arg( 'entry', $log_entry['id'], $page_url ) ); ?>">
+								<?php echo esc_html( get_date_from_gmt( $log_entry['logged_at'], $date_format ) ); ?>
+							</a>
+						</td>
+						<td><code><?php echo esc_html( $log_entry['shortcode_name'] ); ?></code></td>
+						<td><span class="scep-log-status scep-log-status-<?php echo esc_attr( $log_entry['status'] ); ?>"><?php echo esc_html( $log_entry['status'] ); ?></span></td>
+						<td><?php echo esc_html( $scep_log_user_name( $log_entry['user_id'] ) ); ?></td>
+						<td><?php echo esc_html( $log_entry['message'] ); ?></td>
+					</tr>
+				<?php endforeach; ?>
+			</tbody>
+		</table>
+
+		<div id="scep-log-actions">
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-ajax.php' ) ); ?>">
+				<input type="hidden" name="action" value="scep_ajax" />
+				<input type="hidden" name="scep_action" value="export_log" />
+				<input type="hidden" name="_wpnonce" value="<?php echo esc_attr( WP_Shortcode_Exec_PHP_Security::create_nonce( 'admin_action' ) ); ?>" />
+				<input type="hidden" name="shortcode" value="<?php echo esc_attr( $filters['shortcode'] ); ?>" />
+				<input type="hidden" name="status" value="<?php echo esc_attr( $filters['status'] ); ?>" />
+				<input type="hidden" name="user_id" value="<?php echo esc_attr( $filters['user_id'] >= 0 ? $filters['user_id'] : '' ); ?>" />
+				<input type="hidden" name="date_from" value="<?php echo esc_attr( $filters['date_from'] ); ?>" />
+				<input type="hidden" name="date_to" value="<?php echo esc_attr( $filters['date_to'] ); ?>" />
+				<button type="submit" class="button"<?php disabled( empty( $log['total'] ) ); ?>><?php esc_html_e( 'Export to CSV', 'shortcode-exec-php' ); ?></button>
+			</form>
+
+			<form method="post" action="">
+				<?php wp_nonce_field( 'scep_admin_action', 'scep_admin_nonce' ); ?>
+				<input type="hidden" name="scep_action" value="clear_log" />
+				<button type="submit" class="button button-link-delete" onclick="return confirm( '<?php echo esc_js( __( 'Delete all execution log entries?', 'shortcode-exec-php' ) ); ?>' );"><?php esc_html_e( 'Clear Log', 'shortcode-exec-php' ); ?></button>
+			</form>
+		</div>
+
+		<p class="description">
+			<?php
+			echo esc_html(
+				sprintf(
+					/* translators: %s: Maximum number of log entries */
+					__( 'The most recent %s entries are kept. Successful executions are only recorded when enabled in the plugin settings.', 'shortcode-exec-php' ),
+					number_format_i18n( WP_Shortcode_Exec_PHP_Log::get_max_entries() )
+				)
+			);
+			?>
+		</p>
+	<?php endif; ?>
+</div>
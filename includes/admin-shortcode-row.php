@@ -0,0 +1,71 @@
+<?php
+/**
+ * Row template of the existing shortcodes table.
+ *
+ * Used when rendering the admin page and when the REST API returns an updated row.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+// Ensure variables are available.
+if ( ! isset( $shortcode ) ) {
+	return;
+}
+?>
+<tr data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>" data-description="<?php echo esc_attr( wp_strip_all_tags( $shortcode['description'] ) ); ?>" data-code="<?php echo esc_attr( $shortcode['code'] ); ?>" data-enabled="<?php echo $shortcode['enabled'] ? '1' : '0'; ?>" data-modified="<?php echo esc_attr( $shortcode['modified'] ); ?>"<?php echo ! empty( $is_editing ) ? ' class="scep-editing"' : ''; ?>>
+	<th scope="row" class="check-column">
+		<label class="screen-reader-text" for="scep-select-<?php echo esc_attr( $shortcode['name'] ); ?>">
+			<?php
+			/* translators: %s: Shortcode name */
+			echo esc_html( sprintf( __( 'Select %s', 'shortcode-exec-php' ), $shortcode['name'] ) );
+			?>
+		</label>
+		<input type="checkbox" id="scep-select-<?php echo esc_attr( $shortcode['name'] ); ?>" class="scep-select-shortcode" value="<?php echo esc_attr( $shortcode['name'] ); ?>" />
+	</th>
+	<td>
+		<code><?php echo esc_html( $shortcode['name'] ); ?></code>
+	</td>
+	<td>
+		<?php echo esc_html( wp_trim_words( $shortcode['description'], 10 ) ); ?>
+	</td>
+	<td>
+		<?php if ( $shortcode['enabled'] ) : ?>
+			<span class="dashicons dashicons-yes-alt" style="color: green;" title="<?php esc_attr_e( 'Enabled', 'shortcode-exec-php' ); ?>"></span>
+			<?php esc_html_e( 'Enabled', 'shortcode-exec-php' ); ?>
+		<?php else : ?>
+			<span class="dashicons dashicons-dismiss" style="color: red;" title="<?php esc_attr_e( 'Disabled', 'shortcode-exec-php' ); ?>"></span>
+			<?php esc_html_e( 'Disabled', 'shortcode-exec-php' ); ?>
+		<?php endif; ?>
+	</td>
+	<td>
+		<?php
+		if ( $shortcode['modified'] ) {
+			/* translators: %s: Human-readable time difference */
+			echo esc_html( sprintf( __( '%s ago', 'shortcode-exec-php' ), human_time_diff( $shortcode['modified'] ) ) );
+		} else {
+			echo '&mdash;';
+		}
+		?>
+	</td>
+	<td>
+		<button type="button" class="button button-small edit-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>">
+			<?php esc_html_e( 'Edit', 'shortcode-exec-php' ); ?>
+		</button>
+		<button type="button" class="button button-small test-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>">
+			<?php esc_html_e( 'Test', 'shortcode-exec-php' ); ?>
+		</button>
+		<button type="button" class="button button-small toggle-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>" data-enabled="<?php echo $shortcode['enabled'] ? '0' : '1'; ?>">
+			<?php echo esc_html( $shortcode['enabled'] ? __( 'Disable', 'shortcode-exec-php' ) : __( 'Enable', 'shortcode-exec-php' ) ); ?>
+		</button>
+		<button type="button" class="button button-small button-link-delete delete-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>">
+			<?php esc_html_e( 'Delete', 'shortcode-exec-php' ); ?>
+		</button>
+	</td>
+</tr>
@@ -19,6 +19,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 if ( ! isset( $message, $shortcodes ) ) {
 	return;
 }
+
+// Shortcode loaded into the edit form, if any.
+$editing = ! empty( $editing ) ? $editing : null;
 ?>
 
 <div class="wrap">
@@ -33,11 +36,23 @@ if ( ! isset( $message, $shortcodes ) ) {
 	?>
 
 	<div id="scep-admin-panel">
-		<form method="post" action="">
+		<form id="scep-shortcode-form" method="post" action="">
 			<?php wp_nonce_field( 'scep_admin_action', 'scep_admin_nonce' ); ?>
 			<input type="hidden" name="scep_action" value="save_shortcode" />
+			<input type="hidden" id="scep-original-name" name="scep_original_name" value="<?php echo esc_attr( $editing ? $editing['name'] : '' ); ?>" />
+
+			<h2 id="scep-form-title">
+				<?php
+				if ( $editing ) {
+					/* translators: %s: Shortcode name */
+					echo esc_html( sprintf( __( 'Edit Shortcode: %s', 'shortcode-exec-php' ), $editing['name'] ) );
+				} else {
+					esc_html_e( 'Add Shortcode', 'shortcode-exec-php' );
+				}
+				?>
+			</h2>
 
-			<h2><?php esc_html_e( 'Add/Edit Shortcode', 'shortcode-exec-php' ); ?></h2>
+			<div id="scep-rename-notice" class="notice notice-warning inline" style="display: none;"><p></p></div>
 
 			<table class="form-table">
 				<tr>
@@ -45,7 +60,7 @@ if ( ! isset( $message, $shortcodes ) ) {
 						<label for="scep-shortcode-name"><?php esc_html_e( 'Shortcode Name', 'shortcode-exec-php' ); ?></label>
 					</th>
 					<td>
-						<input type="text" id="scep-shortcode-name" name="scep_shortcode_name" class="scep-shortcode-name" placeholder="<?php esc_attr_e( 'Enter shortcode name', 'shortcode-exec-php' ); ?>" />
+						<input type="text" id="scep-shortcode-name" name="scep_shortcode_name" class="scep-shortcode-name" value="<?php echo esc_attr( $editing ? $editing['name'] : '' ); ?>" placeholder="<?php esc_attr_e( 'Enter shortcode name', 'shortcode-exec-php' ); ?>" />
 						<p class="description">
 							<?php esc_html_e( 'Only letters, numbers, underscores, and hyphens allowed. Must not start with a number.', 'shortcode-exec-php' ); ?>
 						</p>
@@ -56,7 +71,45 @@ if ( ! isset( $message, $shortcodes ) ) {
 						<label for="scep-description"><?php esc_html_e( 'Description', 'shortcode-exec-php' ); ?></label>
 					</th>
 					<td>
-						<input type="text" id="scep-description" name="scep_description" class="scep-shortcode-description" placeholder="<?php esc_attr_e( 'Optional description', 'shortcode-exec-php' ); ?>" />
+						<input type="text" id="scep-description" name="scep_description" class="scep-shortcode-description" value="<?php echo esc_attr( $editing ? $editing['description'] : '' ); ?>" placeholder="<?php esc_attr_e( 'Optional description', 'shortcode-exec-php' ); ?>" />
+					</td>
+				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Block Inserter', 'shortcode-exec-php' ); ?></th>
+					<td>
+						<fieldset id="scep-block-settings">
+							<legend class="screen-reader-text"><?php esc_html_e( 'Block Inserter', 'shortcode-exec-php' ); ?></legend>
+							<label for="scep-block-title"><?php esc_html_e( 'Title', 'shortcode-exec-php' ); ?></label>
+							<input type="text" id="scep-block-title" name="scep_block_title" class="regular-text" value="<?php echo esc_attr( $editing ? $editing['block']['title'] : '' ); ?>" placeholder="<?php esc_attr_e( 'Defaults to the shortcode name', 'shortcode-exec-php' ); ?>" />
+							<br />
+							<label for="scep-block-keywords"><?php esc_html_e( 'Keywords', 'shortcode-exec-php' ); ?></label>
+							<input type="text" id="scep-block-keywords" name="scep_block_keywords" class="regular-text" value="<?php echo esc_attr( $editing ? implode( ', ', $editing['block']['keywords'] ) : '' ); ?>" placeholder="<?php esc_attr_e( 'Separated by commas', 'shortcode-exec-php' ); ?>" />
+							<br />
+							<label for="scep-block-icon"><?php esc_html_e( 'Icon', 'shortcode-exec-php' ); ?></label>
+							<input type="text" id="scep-block-icon" name="scep_block_icon" class="regular-text" value="<?php echo esc_attr( $editing ? $editing['block']['icon'] : '' ); ?>" placeholder="editor-code" />
+							<br />
+							<label for="scep-block-category"><?php esc_html_e( 'Category', 'shortcode-exec-php' ); ?></label>
+							<input type="text" id="scep-block-category" name="scep_block_category" class="regular-text" value="<?php echo esc_attr( $editing ? $editing['block']['category'] : '' ); ?>" placeholder="<?php esc_attr_e( 'Groups the shortcode in the editor picker', 'shortcode-exec-php' ); ?>" />
+							<br />
+							<label for="scep-block-enclosing">
+								<input type="checkbox" id="scep-block-enclosing" name="scep_block_enclosing" value="1" <?php checked( $editing && $editing['block']['enclosing'] ); ?> />
+								<?php esc_html_e( 'Wraps nested blocks', 'shortcode-exec-php' ); ?>
+							</label>
+						</fieldset>
+						<p class="description">
+							<?php
+							echo wp_kses_post(
+								sprintf(
+									/* translators: %s: Link to the Dashicons reference */
+									__( 'Each enabled shortcode appears in the block inserter and slash command menu under this title, with the description above. The icon is a %s name, such as chart-bar.', 'shortcode-exec-php' ),
+									'<a href="https://developer.wordpress.org/resource/dashicons/" target="_blank" rel="noopener noreferrer">' . __( 'Dashicon', 'shortcode-exec-php' ) . '</a>'
+								)
+							);
+							?>
+						</p>
+						<p class="description">
+							<?php esc_html_e( 'A wrapping shortcode, such as one that shows its content to members only, holds nested blocks in the editor. Their HTML is passed to the code as $content.', 'shortcode-exec-php' ); ?>
+						</p>
 					</td>
 				</tr>
 				<tr>
@@ -65,12 +118,12 @@ if ( ! isset( $message, $shortcodes ) ) {
 						<fieldset>
 							<legend class="screen-reader-text"><?php esc_html_e( 'Shortcode Options', 'shortcode-exec-php' ); ?></legend>
 							<label for="scep-enabled">
-								<input type="checkbox" id="scep-enabled" name="scep_enabled" value="1" checked="checked" />
+								<input type="checkbox" id="scep-enabled" name="scep_enabled" value="1" <?php checked( $editing ? $editing['enabled'] : true ); ?> />
 								<?php esc_html_e( 'Enabled', 'shortcode-exec-php' ); ?>
 							</label>
 							<br />
 							<label for="scep-buffer">
-								<input type="checkbox" id="scep-buffer" name="scep_buffer" value="1" />
+								<input type="checkbox" id="scep-buffer" name="scep_buffer" value="1" <?php checked( $editing ? $editing['buffer'] : false ); ?> />
 								<?php esc_html_e( 'Buffer output', 'shortcode-exec-php' ); ?>
 							</label>
 						</fieldset>
@@ -81,69 +134,189 @@ if ( ! isset( $message, $shortcodes ) ) {
 						<label for="scep-phpcode"><?php esc_html_e( 'PHP Code', 'shortcode-exec-php' ); ?></label>
 					</th>
 					<td>
-						<textarea id="scep-phpcode" name="scep_phpcode" rows="15" cols="80" class="large-text code" placeholder="<?php esc_attr_e( 'Enter PHP code (without <?php tags)', 'shortcode-exec-php' ); ?>"></textarea>
+						<textarea id="scep-phpcode" name="scep_phpcode" rows="15" cols="80" class="large-text code" placeholder="<?php esc_attr_e( 'Enter PHP code (without <?php tags)', 'shortcode-exec-php' ); ?>"><?php echo esc_textarea( $editing ? $editing['code'] : '' ); ?></textarea>
 						<p class="description">
 							<strong><?php esc_html_e( 'Security Warning:', 'shortcode-exec-php' ); ?></strong>
 							<?php esc_html_e( 'This code will be executed on your server. Only add trusted code from reliable sources.', 'shortcode-exec-php' ); ?>
 						</p>
 					</td>
 				</tr>
+				<tr>
+					<th scope="row"><?php esc_html_e( 'Parameters', 'shortcode-exec-php' ); ?></th>
+					<td id="scep-param-schema">
+						<input type="hidden" id="scep-param-schema-data" name="scep_param_schema" value="<?php echo esc_attr( wp_json_encode( $editing && is_array( $editing['schema'] ) ? $editing['schema'] : array() ) ); ?>" />
+						<table id="scep-param-table" class="widefat striped">
+							<thead>
+								<tr>
+									<th scope="col"><?php esc_html_e( 'Name', 'shortcode-exec-php' ); ?></th>
+									<th scope="col"><?php esc_html_e( 'Label', 'shortcode-exec-php' ); ?></th>
+									<th scope="col"><?php esc_html_e( 'Type', 'shortcode-exec-php' ); ?></th>
+									<th scope="col"><?php esc_html_e( 'Default', 'shortcode-exec-php' ); ?></th>
+									<th scope="col"><?php esc_html_e( 'Required', 'shortcode-exec-php' ); ?></th>
+									<th scope="col"><?php esc_html_e( 'Help Text', 'shortcode-exec-php' ); ?></th>
+									<th scope="col"><span class="screen-reader-text"><?php esc_html_e( 'Actions', 'shortcode-exec-php' ); ?></span></th>
+								</tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+						<p>
+							<button type="button" id="scep-add-param" class="button button-small"><?php esc_html_e( 'Add Parameter', 'shortcode-exec-php' ); ?></button>
+						</p>
+						<p class="description">
+							<?php esc_html_e( 'Declared parameters are shown as typed controls in the block editor. Defaults are passed to the code when a parameter is left out. For select parameters, enter the options separated by commas.', 'shortcode-exec-php' ); ?>
+						</p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="scep-revision-note"><?php esc_html_e( 'Revision Note', 'shortcode-exec-php' ); ?></label>
+					</th>
+					<td>
+						<input type="text" id="scep-revision-note" name="scep_revision_note" class="regular-text" value="" placeholder="<?php esc_attr_e( 'Optional description of this change', 'shortcode-exec-php' ); ?>" />
+					</td>
+				</tr>
 			</table>
 
 			<p class="submit">
 				<button type="submit" class="button button-primary"><?php esc_html_e( 'Save Shortcode', 'shortcode-exec-php' ); ?></button>
 				<button type="button" id="test-shortcode" class="button"><?php esc_html_e( 'Test Shortcode', 'shortcode-exec-php' ); ?></button>
+				<button type="button" id="cancel-edit" class="button-link"<?php echo $editing ? '' : ' style="display: none;"'; ?>><?php esc_html_e( 'Cancel Editing', 'shortcode-exec-php' ); ?></button>
+				<span id="scep-unsaved-indicator" class="description" style="display: none;"><?php esc_html_e( 'Unsaved changes', 'shortcode-exec-php' ); ?></span>
 			</p>
 		</form>
 
-		<h2><?php esc_html_e( 'Existing Shortcodes', 'shortcode-exec-php' ); ?></h2>
-
-		<?php if ( empty( $shortcodes ) ) : ?>
-			<p><?php esc_html_e( 'No shortcodes have been created yet.', 'shortcode-exec-php' ); ?></p>
-		<?php else : ?>
-			<table class="wp-list-table widefat fixed striped">
+		<div id="scep-revisions"<?php echo $editing ? '' : ' style="display: none;"'; ?>>
+			<h2><?php esc_html_e( 'Revisions', 'shortcode-exec-php' ); ?></h2>
+			<p class="description">
+				<?php esc_html_e( 'Every saved change to the code is kept here. Compare a revision with the current code, or restore it.', 'shortcode-exec-php' ); ?>
+			</p>
+			<div id="scep-revisions-notice" class="notice inline" style="display: none;"><p></p></div>
+			<table id="scep-revisions-table" class="widefat striped">
 				<thead>
 					<tr>
-						<th scope="col"><?php esc_html_e( 'Name', 'shortcode-exec-php' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Date', 'shortcode-exec-php' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Author', 'shortcode-exec-php' ); ?></th>
 						<th scope="col"><?php esc_html_e( 'Description', 'shortcode-exec-php' ); ?></th>
-						<th scope="col"><?php esc_html_e( 'Status', 'shortcode-exec-php' ); ?></th>
 						<th scope="col"><?php esc_html_e( 'Actions', 'shortcode-exec-php' ); ?></th>
 					</tr>
 				</thead>
-				<tbody>
-					<?php foreach ( $shortcodes as $shortcode ) : ?>
+				<tbody></tbody>
+			</table>
+			<div id="scep-revision-diff"></div>
+		</div>
+
+		<h2><?php esc_html_e( 'Existing Shortcodes', 'shortcode-exec-php' ); ?></h2>
+
+		<p class="search-box">
+			<label class="screen-reader-text" for="scep-shortcode-search"><?php esc_html_e( 'Search shortcodes', 'shortcode-exec-php' ); ?></label>
+			<input type="search" id="scep-shortcode-search" placeholder="<?php esc_attr_e( 'Search name, description or code', 'shortcode-exec-php' ); ?>" />
+		</p>
+
+		<div class="tablenav top">
+			<div class="alignleft actions bulkactions">
+				<label for="scep-bulk-action" class="screen-reader-text"><?php esc_html_e( 'Select bulk action', 'shortcode-exec-php' ); ?></label>
+				<select id="scep-bulk-action">
+					<option value=""><?php esc_html_e( 'Bulk actions', 'shortcode-exec-php' ); ?></option>
+					<option value="enable"><?php esc_html_e( 'Enable', 'shortcode-exec-php' ); ?></option>
+					<option value="disable"><?php esc_html_e( 'Disable', 'shortcode-exec-php' ); ?></option>
+					<option value="export"><?php esc_html_e( 'Export', 'shortcode-exec-php' ); ?></option>
+					<option value="delete"><?php esc_html_e( 'Delete', 'shortcode-exec-php' ); ?></option>
+				</select>
+				<button type="button" id="scep-bulk-apply" class="button action"><?php esc_html_e( 'Apply', 'shortcode-exec-php' ); ?></button>
+			</div>
+			<div class="alignleft actions">
+				<label for="scep-shortcode-filter" class="screen-reader-text"><?php esc_html_e( 'Filter by status', 'shortcode-exec-php' ); ?></label>
+				<select id="scep-shortcode-filter">
+					<option value=""><?php esc_html_e( 'All statuses', 'shortcode-exec-php' ); ?></option>
+					<option value="1"><?php esc_html_e( 'Enabled', 'shortcode-exec-php' ); ?></option>
+					<option value="0"><?php esc_html_e( 'Disabled', 'shortcode-exec-php' ); ?></option>
+				</select>
+			</div>
+			<div class="tablenav-pages one-page">
+				<span id="scep-shortcode-count" class="displaying-num"></span>
+			</div>
+			<br class="clear" />
+		</div>
+
+		<table id="scep-shortcodes-table" class="wp-list-table widefat fixed striped">
+			<thead>
+				<tr>
+					<td class="manage-column column-cb check-column">
+						<label class="screen-reader-text" for="scep-select-all"><?php esc_html_e( 'Select All', 'shortcode-exec-php' ); ?></label>
+						<input type="checkbox" id="scep-select-all" />
+					</td>
+					<th scope="col" class="manage-column sortable desc" data-sort="name">
+						<a href="#"><span><?php esc_html_e( 'Name', 'shortcode-exec-php' ); ?></span><span class="sorting-indicator"></span></a>
+					</th>
+					<th scope="col"><?php esc_html_e( 'Description', 'shortcode-exec-php' ); ?></th>
+					<th scope="col"><?php esc_html_e( 'Status', 'shortcode-exec-php' ); ?></th>
+					<th scope="col" class="manage-column sortable asc" data-sort="modified">
+						<a href="#"><span><?php esc_html_e( 'Last Modified', 'shortcode-exec-php' ); ?></span><span class="sorting-indicator"></span></a>
+					</th>
+					<th scope="col"><?php esc_html_e( 'Actions', 'shortcode-exec-php' ); ?></th>
+				</tr>
+			</thead>
+			<tbody>
+				<tr class="no-items"<?php echo empty( $shortcodes ) ? '' : ' style="display: none;"'; ?>>
+					<td colspan="6"><?php esc_html_e( 'No shortcodes have been created yet.', 'shortcode-exec-php' ); ?></td>
+				</tr>
+				<tr class="scep-no-matches" style="display: none;">
+					<td colspan="6"><?php esc_html_e( 'No shortcodes match your search.', 'shortcode-exec-php' ); ?></td>
+				</tr>
+				<?php
+				foreach ( $shortcodes as $shortcode ) {
+					// Row markup is escaped in the row template.
+					echo $this->get_shortcode_row( $shortcode, $editing && $editing['name'] === $shortcode['name'] ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+				}
+				?>
+			</tbody>
+		</table>
+
+		<h2><?php esc_html_e( 'Import / Export', 'shortcode-exec-php' ); ?></h2>
+
+		<form id="scep-export-form" method="post" action="<?php echo esc_url( admin_url( 'admin-ajax.php' ) ); ?>">
+			<input type="hidden" name="action" value="scep_ajax" />
+			<input type="hidden" name="scep_action" value="export_shortcodes" />
+			<input type="hidden" name="_wpnonce" value="<?php echo esc_attr( WP_Shortcode_Exec_PHP_Security::create_nonce( 'admin_action' ) ); ?>" />
+			<p>
+				<button type="submit" class="button"<?php disabled( empty( $shortcodes ) ); ?>><?php esc_html_e( 'Export All Shortcodes', 'shortcode-exec-php' ); ?></button>
+				<span class="description"><?php esc_html_e( 'Downloads a JSON file that can be imported on another site.', 'shortcode-exec-php' ); ?></span>
+			</p>
+		</form>
+
+		<form id="scep-import-form" method="post" action="">
+			<?php wp_nonce_field( 'scep_admin_action', 'scep_admin_nonce' ); ?>
+			<input type="hidden" name="scep_action" value="import_shortcodes" />
+			<input type="hidden" id="scep-import-data" name="scep_import_data" value="" />
+
+			<div id="scep-import-dropzone">
+				<p>
+					<?php esc_html_e( 'Drop an export file here to import it, or', 'shortcode-exec-php' ); ?>
+					<label for="scep-import-file" class="button button-small"><?php esc_html_e( 'Choose File', 'shortcode-exec-php' ); ?></label>
+				</p>
+				<input type="file" id="scep-import-file" class="screen-reader-text" accept=".json,application/json" />
+			</div>
+
+			<div id="scep-import-notice" class="notice inline" style="display: none;"><p></p></div>
+
+			<div id="scep-import-preview" style="display: none;">
+				<table id="scep-import-table" class="widefat striped">
+					<thead>
 						<tr>
-							<td>
-								<code><?php echo esc_html( $shortcode['name'] ); ?></code>
-							</td>
-							<td>
-								<?php echo esc_html( wp_trim_words( $shortcode['description'], 10 ) ); ?>
-							</td>
-							<td>
-								<?php if ( $shortcode['enabled'] ) : ?>
-									<span class="dashicons dashicons-yes-alt" style="color: green;" title="<?php esc_attr_e( 'Enabled', 'shortcode-exec-php' ); ?>"></span>
-									<?php esc_html_e( 'Enabled', 'shortcode-exec-php' ); ?>
-								<?php else : ?>
-									<span class="dashicons dashicons-dismiss" style="color: red;" title="<?php esc_attr_e( 'Disabled', 'shortcode-exec-php' ); ?>"></span>
-									<?php esc_html_e( 'Disabled', 'shortcode-exec-php' ); ?>
-								<?php endif; ?>
-							</td>
-							<td>
-								<button type="button" class="button button-small edit-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>">
-									<?php esc_html_e( 'Edit', 'shortcode-exec-php' ); ?>
-								</button>
-								<button type="button" class="button button-small test-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>">
-									<?php esc_html_e( 'Test', 'shortcode-exec-php' ); ?>
-								</button>
-								<button type="button" class="button button-small button-link-delete delete-shortcode" data-shortcode="<?php echo esc_attr( $shortcode['name'] ); ?>">
-									<?php esc_html_e( 'Delete', 'shortcode-exec-php' ); ?>
-								</button>
-							</td>
+							<th scope="col"><?php esc_html_e( 'Name', 'shortcode-exec-php' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Description', 'shortcode-exec-php' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Status', 'shortcode-exec-php' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Action', 'shortcode-exec-php' ); ?></th>
 						</tr>
-					<?php endforeach; ?>
-				</tbody>
-			</table>
-		<?php endif; ?>
+					</thead>
+					<tbody></tbody>
+				</table>
+				<p class="submit">
+					<button type="submit" id="scep-import-confirm" class="button button-primary"><?php esc_html_e( 'Import Shortcodes', 'shortcode-exec-php' ); ?></button>
+					<button type="button" id="scep-import-cancel" class="button-link"><?php esc_html_e( 'Cancel', 'shortcode-exec-php' ); ?></button>
+				</p>
+			</div>
+		</form>
 
 		<h2><?php esc_html_e( 'Plugin Settings', 'shortcode-exec-php' ); ?></h2>
 
@@ -205,9 +378,38 @@ if ( ! isset( $message, $shortcodes ) ) {
 							<legend class="screen-reader-text"><?php esc_html_e( 'TinyMCE Integration', 'shortcode-exec-php' ); ?></legend>
 							<label for="scep-tinymce">
 								<input type="checkbox" id="scep-tinymce" name="scep_tinymce" value="1" <?php checked( get_option( 'scep_tinymce', false ) ); ?> />
-								<?php esc_html_e( 'Enable TinyMCE button', 'shortcode-exec-php' ); ?>
+								<?php esc_html_e( 'Enable editor buttons', 'shortcode-exec-php' ); ?>
 							</label>
+							<br />
+							<label for="scep-tinymce-cap"><?php esc_html_e( 'Show it to', 'shortcode-exec-php' ); ?></label>
+							<select id="scep-tinymce-cap" name="scep_tinymce_cap">
+								<?php
+								$tinymce_caps = array(
+									'edit_posts'        => __( 'Contributors and above', 'shortcode-exec-php' ),
+									'publish_posts'     => __( 'Authors and above', 'shortcode-exec-php' ),
+									'edit_others_posts' => __( 'Editors and above', 'shortcode-exec-php' ),
+									'manage_options'    => __( 'Administrators', 'shortcode-exec-php' ),
+								);
+								foreach ( $tinymce_caps as $tinymce_cap => $tinymce_cap_label ) :
+									?>
+									<option value="<?php echo esc_attr( $tinymce_cap ); ?>" <?php selected( get_option( 'scep_tinymce_cap', 'edit_posts' ), $tinymce_cap ); ?>><?php echo esc_html( $tinymce_cap_label ); ?></option>
+								<?php endforeach; ?>
+							</select>
 						</fieldset>
+						<p class="description"><?php esc_html_e( 'Adds a button to the Visual and Text tabs of the classic editor, and to other Quicktags toolbars, for inserting and editing shortcodes. Shortcodes show as live previews in the Visual tab.', 'shortcode-exec-php' ); ?></p>
+					</td>
+				</tr>
+				<tr>
+					<th scope="row">
+						<label for="scep-log-max-entries"><?php esc_html_e( 'Execution Log Size', 'shortcode-exec-php' ); ?></label>
+					</th>
+					<td>
+						<input type="number" id="scep-log-max-entries" name="scep_log_max_entries" value="<?php echo esc_attr( WP_Shortcode_Exec_PHP_Log::get_max_entries() ); ?>" min="100" max="100000" />
+						<p class="description"><?php esc_html_e( 'Number of execution log entries to keep (100-100000). Older entries are removed automatically.', 'shortcode-exec-php' ); ?></p>
+						<label for="scep-log-successes">
+							<input type="checkbox" id="scep-log-successes" name="scep_log_successes" value="1" <?php checked( get_option( 'scep_log_successes', false ) ); ?> />
+							<?php esc_html_e( 'Also log successful executions', 'shortcode-exec-php' ); ?>
+						</label>
 					</td>
 				</tr>
 			</table>
@@ -223,7 +425,10 @@ if ( ! isset( $message, $shortcodes ) ) {
 		<p><strong><?php esc_html_e( 'Important:', 'shortcode-exec-php' ); ?></strong></p>
 		<ul>
 			<li><?php esc_html_e( 'Only administrators can create/edit shortcodes', 'shortcode-exec-php' ); ?></li>
-			<li><?php esc_html_e( 'All code executions are logged', 'shortcode-exec-php' ); ?></li>
+			<li>
+				<?php esc_html_e( 'All code executions are logged', 'shortcode-exec-php' ); ?>
+				(<a href="<?php echo esc_url( is_network_admin() ? network_admin_url( 'settings.php?page=shortcode-exec-php-log' ) : admin_url( 'tools.php?page=shortcode-exec-php-log' ) ); ?>"><?php esc_html_e( 'view log', 'shortcode-exec-php' ); ?></a>)
+			</li>
 			<li><?php esc_html_e( 'Dangerous functions are blocked', 'shortcode-exec-php' ); ?></li>
 			<li><?php esc_html_e( 'Execution time is limited', 'shortcode-exec-php' ); ?></li>
 		</ul>
@@ -248,18 +453,75 @@ if ( ! isset( $message, $shortcodes ) ) {
 	<div style="clear: both;"></div>
 </div>
 
-<!-- Hidden form for delete actions -->
-<form id="delete-shortcode-form" method="post" style="display: none;">
-	<?php wp_nonce_field( 'scep_admin_action', 'scep_admin_nonce' ); ?>
-	<input type="hidden" name="scep_action" value="delete_shortcode" />
-	<input type="hidden" name="scep_shortcode_name" id="delete-shortcode-name" />
-</form>
-
 <!-- Test Results Modal -->
 <div id="test-results-dialog" title="<?php esc_attr_e( 'Test Results', 'shortcode-exec-php' ); ?>" style="display: none;">
-	<h4><?php esc_html_e( 'WYSIWYG View', 'shortcode-exec-php' ); ?></h4>
-	<div id="test-results-wysiwyg" style="border: 1px solid #ccc; padding: 10px; margin: 10px 0;"></div>
-	
-	<h4><?php esc_html_e( 'HTML Source', 'shortcode-exec-php' ); ?></h4>
-	<pre id="test-results-html" style="border: 1px solid #ccc; padding: 10px; background: #f9f9f9; overflow: auto; max-height: 200px;"></pre>
-</div>
\ No newline at end of file
+	<div id="test-inputs">
+		<p>
+			<label for="test-history"><?php esc_html_e( 'Recent inputs', 'shortcode-exec-php' ); ?></label>
+			<select id="test-history" class="widefat"></select>
+		</p>
+
+		<h4><?php esc_html_e( 'Attributes', 'shortcode-exec-php' ); ?></h4>
+		<table id="test-atts" class="widefat striped">
+			<tbody></tbody>
+		</table>
+		<p>
+			<button type="button" id="test-add-att" class="button button-small"><?php esc_html_e( 'Add Attribute', 'shortcode-exec-php' ); ?></button>
+		</p>
+
+		<p>
+			<label for="test-content"><?php esc_html_e( 'Enclosed content', 'shortcode-exec-php' ); ?></label>
+			<textarea id="test-content" class="widefat" rows="3" placeholder="<?php esc_attr_e( 'Passed to the code as $content', 'shortcode-exec-php' ); ?>"></textarea>
+		</p>
+
+		<p>
+			<button type="button" id="test-run" class="button button-primary"><?php esc_html_e( 'Run Test', 'shortcode-exec-php' ); ?></button>
+		</p>
+	</div>
+
+	<div id="test-results-status" class="notice inline" style="display: none;"></div>
+
+	<nav id="test-results-tabs" class="nav-tab-wrapper">
+		<a href="#test-tab-preview" class="nav-tab nav-tab-active"><?php esc_html_e( 'WYSIWYG View', 'shortcode-exec-php' ); ?></a>
+		<a href="#test-tab-html" class="nav-tab"><?php esc_html_e( 'HTML Source', 'shortcode-exec-php' ); ?></a>
+		<a href="#test-tab-output" class="nav-tab"><?php esc_html_e( 'Buffered Output', 'shortcode-exec-php' ); ?></a>
+		<a href="#test-tab-result" class="nav-tab"><?php esc_html_e( 'Returned Value', 'shortcode-exec-php' ); ?></a>
+		<a href="#test-tab-notices" class="nav-tab"><?php esc_html_e( 'Notices', 'shortcode-exec-php' ); ?> <span id="test-results-notice-count" class="count">(0)</span></a>
+		<a href="#test-tab-performance" class="nav-tab"><?php esc_html_e( 'Performance', 'shortcode-exec-php' ); ?></a>
+	</nav>
+
+	<div id="test-tab-preview" class="test-results-tab">
+		<div id="test-results-wysiwyg"></div>
+	</div>
+
+	<div id="test-tab-html" class="test-results-tab" style="display: none;">
+		<pre id="test-results-html"></pre>
+	</div>
+
+	<div id="test-tab-output" class="test-results-tab" style="display: none;">
+		<p class="description"><?php esc_html_e( 'Content echoed by the code.', 'shortcode-exec-php' ); ?></p>
+		<pre id="test-results-output"></pre>
+	</div>
+
+	<div id="test-tab-result" class="test-results-tab" style="display: none;">
+		<p id="test-results-result-type" class="description"></p>
+		<pre id="test-results-result"></pre>
+	</div>
+
+	<div id="test-tab-notices" class="test-results-tab" style="display: none;">
+		<ul id="test-results-notices"></ul>
+	</div>
+
+	<div id="test-tab-performance" class="test-results-tab" style="display: none;">
+		<table class="widefat striped">
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Execution time', 'shortcode-exec-php' ); ?></th>
+				<td id="test-results-time"></td>
+			</tr>
+			<tr>
+				<th scope="row"><?php esc_html_e( 'Peak memory', 'shortcode-exec-php' ); ?></th>
+				<td id="test-results-memory"></td>
+			</tr>
+		</table>
+	</div>
+</div>
@@ -25,6 +25,41 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WP_Shortcode_Exec_PHP_Admin {
 
+	/**
+	 * Number of test inputs remembered per shortcode.
+	 *
+	 * @var int
+	 */
+	const TEST_HISTORY_SIZE = 10;
+
+	/**
+	 * Number of code revisions kept per shortcode.
+	 *
+	 * @var int
+	 */
+	const REVISION_HISTORY_SIZE = 25;
+
+	/**
+	 * Identifier of the shortcode export file format.
+	 *
+	 * @var string
+	 */
+	const EXPORT_FORMAT = 'shortcode-exec-php';
+
+	/**
+	 * Version of the shortcode export file format.
+	 *
+	 * @var int
+	 */
+	const EXPORT_VERSION = 1;
+
+	/**
+	 * Number of execution log entries shown per page.
+	 *
+	 * @var int
+	 */
+	const LOG_PAGE_SIZE = 50;
+
 	/**
 	 * The security utility instance.
 	 *
@@ -46,6 +81,20 @@ class WP_Shortcode_Exec_PHP_Admin {
 	 */
 	private $plugin_url;
 
+	/**
+	 * Name of the shortcode to keep loaded in the edit form after saving.
+	 *
+	 * @var string
+	 */
+	private $editing_shortcode = '';
+
+	/**
+	 * Whether the submitted form changed the shortcodes.
+	 *
+	 * @var bool
+	 */
+	private $shortcodes_changed = false;
+
 	/**
 	 * Constructor.
 	 *
@@ -78,9 +127,6 @@ class WP_Shortcode_Exec_PHP_Admin {
 		// Handle AJAX requests.
 		add_action( 'wp_ajax_scep_ajax', array( $this, 'handle_ajax_request' ) );
 
-		// Add TinyMCE integration.
-		add_action( 'init', array( $this, 'init_tinymce_integration' ) );
-
 		// Load text domain.
 		add_action( 'plugins_loaded', array( $this, 'load_text_domain' ) );
 	}
@@ -109,6 +155,14 @@ class WP_Shortcode_Exec_PHP_Admin {
 			$menu_slug,
 			$callback
 		);
+
+		add_management_page(
+			__( 'Shortcode Exec PHP Execution Log', 'shortcode-exec-php' ),
+			__( 'Execution Log', 'shortcode-exec-php' ),
+			$capability,
+			'shortcode-exec-php-log',
+			array( $this, 'log_page' )
+		);
 	}
 
 	/**
@@ -135,6 +189,15 @@ class WP_Shortcode_Exec_PHP_Admin {
 			$menu_slug,
 			$callback
 		);
+
+		add_submenu_page(
+			'settings.php',
+			__( 'Shortcode Exec PHP Execution Log', 'shortcode-exec-php' ),
+			__( 'Execution Log', 'shortcode-exec-php' ),
+			$capability,
+			'shortcode-exec-php-log',
+			array( $this, 'log_page' )
+		);
 	}
 
 	/**
@@ -145,6 +208,17 @@ class WP_Shortcode_Exec_PHP_Admin {
 	 * @param string $hook The current admin page hook.
 	 */
 	public function enqueue_admin_assets( $hook ) {
+		// The execution log page only needs our styles.
+		if ( 'tools_page_shortcode-exec-php-log' === $hook || 'settings_page_shortcode-exec-php-log' === $hook ) {
+			wp_enqueue_style(
+				'scep-admin',
+				$this->plugin_url . '/shortcode-exec-php.css',
+				array(),
+				'1.53'
+			);
+			return;
+		}
+
 		// Only enqueue on our admin page.
 		if ( 'tools_page_shortcode-exec-php' !== $hook && 'settings_page_shortcode-exec-php' !== $hook ) {
 			return;
@@ -160,20 +234,20 @@ class WP_Shortcode_Exec_PHP_Admin {
 		wp_enqueue_script(
 			'scep-admin',
 			$this->plugin_url . '/js/shortcode-exec-php-admin.js',
-			array( 'jquery', 'wp-code-editor' ),
+			array( 'jquery', 'jquery-ui-dialog', 'wp-code-editor', 'wp-api-fetch' ),
 			'1.53',
 			true
 		);
 
-		// Localize script with nonces and translations.
+		// Localize script with settings and translations; requests go through the REST API.
 		wp_localize_script(
 			'scep-admin',
 			'scepAdmin',
 			array(
-				'ajaxUrl'     => admin_url( 'admin-ajax.php' ),
-				'nonce'       => WP_Shortcode_Exec_PHP_Security::create_nonce( 'admin_action' ),
-				'testNonce'   => WP_Shortcode_Exec_PHP_Security::create_nonce( 'test_shortcode' ),
-				'deleteNonce' => WP_Shortcode_Exec_PHP_Security::create_nonce( 'delete_shortcode' ),
+				'historySize' => self::TEST_HISTORY_SIZE,
+				'lintRules'   => $this->get_client_lint_rules(),
+				'lintDelay'   => 1000,
+				'paramTypes'  => $this->get_param_type_labels(),
 				'strings'     => array(
 					'confirmDelete'   => __( 'Are you sure you want to delete this shortcode?', 'shortcode-exec-php' ),
 					'testFailed'      => __( 'Test failed. Please try again.', 'shortcode-exec-php' ),
@@ -181,6 +255,73 @@ class WP_Shortcode_Exec_PHP_Admin {
 					'wysiwyg'         => __( 'WYSIWYG View', 'shortcode-exec-php' ),
 					'html'            => __( 'HTML Source', 'shortcode-exec-php' ),
 					'close'           => __( 'Close', 'shortcode-exec-php' ),
+					'testing'         => __( 'Testing...', 'shortcode-exec-php' ),
+					'testShortcode'   => __( 'Test Shortcode', 'shortcode-exec-php' ),
+					'test'            => __( 'Test', 'shortcode-exec-php' ),
+					'executionTime'   => __( 'Executed in %s seconds', 'shortcode-exec-php' ),
+					'errorOnLine'     => __( '%1$s (line %2$d)', 'shortcode-exec-php' ),
+					'loading'         => __( 'Loading...', 'shortcode-exec-php' ),
+					'edit'            => __( 'Edit', 'shortcode-exec-php' ),
+					'loadFailed'      => __( 'Failed to load shortcode data:', 'shortcode-exec-php' ),
+					'addShortcode'    => __( 'Add Shortcode', 'shortcode-exec-php' ),
+					'editShortcode'   => __( 'Edit Shortcode: %s', 'shortcode-exec-php' ),
+					'renameNotice'    => __( 'Saving will rename [%1$s] to [%2$s]. Posts using the old name will stop rendering it.', 'shortcode-exec-php' ),
+					'unsavedChanges'  => __( 'You have unsaved changes to this shortcode.', 'shortcode-exec-php' ),
+					'discardChanges'  => __( 'Discard your unsaved changes to this shortcode?', 'shortcode-exec-php' ),
+					'noNotices'       => __( 'No warnings or notices were raised.', 'shortcode-exec-php' ),
+					'noOutput'        => __( '(none)', 'shortcode-exec-php' ),
+					'lineNumber'      => __( 'Line %d', 'shortcode-exec-php' ),
+					'peakMemory'      => __( 'Peak memory', 'shortcode-exec-php' ),
+					'memoryUnknown'   => __( 'Not measured before PHP 8.2', 'shortcode-exec-php' ),
+					'executionLabel'  => __( 'Execution time', 'shortcode-exec-php' ),
+					'seconds'         => __( '%s seconds', 'shortcode-exec-php' ),
+					'returnType'      => __( 'Type: %s', 'shortcode-exec-php' ),
+					'recentInputs'    => __( 'Recent test inputs...', 'shortcode-exec-php' ),
+					'lastUsedOnSite'  => __( 'Last used on site', 'shortcode-exec-php' ),
+					'noAttributes'    => __( '(no attributes)', 'shortcode-exec-php' ),
+					'attributeName'   => __( 'Name', 'shortcode-exec-php' ),
+					'attributeValue'  => __( 'Value', 'shortcode-exec-php' ),
+					'remove'          => __( 'Remove', 'shortcode-exec-php' ),
+					'paramLabel'      => __( 'Label', 'shortcode-exec-php' ),
+					'paramType'       => __( 'Type', 'shortcode-exec-php' ),
+					'paramOptions'    => __( 'Options, separated by commas', 'shortcode-exec-php' ),
+					'paramDefault'    => __( 'Default', 'shortcode-exec-php' ),
+					'paramRequired'   => __( 'Required', 'shortcode-exec-php' ),
+					'paramHelp'       => __( 'Help Text', 'shortcode-exec-php' ),
+					'compare'         => __( 'Compare', 'shortcode-exec-php' ),
+					'restore'         => __( 'Restore', 'shortcode-exec-php' ),
+					'currentRevision' => __( 'Current', 'shortcode-exec-php' ),
+					'noRevisions'     => __( 'No revisions have been saved yet.', 'shortcode-exec-php' ),
+					'confirmRestore'  => __( 'Restore this revision? The current code is kept as a revision.', 'shortcode-exec-php' ),
+					'restoreDiscards' => __( 'Restoring discards your unsaved changes to this shortcode. Continue?', 'shortcode-exec-php' ),
+					'restored'        => __( 'Revision restored.', 'shortcode-exec-php' ),
+					'revisionFailed'  => __( 'Revision request failed:', 'shortcode-exec-php' ),
+					'saving'          => __( 'Saving...', 'shortcode-exec-php' ),
+					'created'         => __( 'Shortcode created successfully: %s', 'shortcode-exec-php' ),
+					'updated'         => __( 'Shortcode updated successfully: %s', 'shortcode-exec-php' ),
+					'renamed'         => __( 'Shortcode renamed successfully: %1$s to %2$s', 'shortcode-exec-php' ),
+					'deleted'         => __( 'Shortcode deleted successfully: %s', 'shortcode-exec-php' ),
+					'enabled'         => __( 'Shortcode enabled: %s', 'shortcode-exec-php' ),
+					'disabled'        => __( 'Shortcode disabled: %s', 'shortcode-exec-php' ),
+					'noSelection'     => __( 'Select one or more shortcodes first.', 'shortcode-exec-php' ),
+					'confirmBulk'     => __( 'Are you sure you want to delete the %d selected shortcodes?', 'shortcode-exec-php' ),
+					'itemCount'       => __( '%d items', 'shortcode-exec-php' ),
+					'itemCountOne'    => __( '1 item', 'shortcode-exec-php' ),
+					'saveShortcode'   => __( 'Save Shortcode', 'shortcode-exec-php' ),
+					'requestFailed'   => __( 'The request failed. Please try again.', 'shortcode-exec-php' ),
+					'importFailed'    => __( 'Import failed:', 'shortcode-exec-php' ),
+					'fileReadFailed'  => __( 'The file could not be read.', 'shortcode-exec-php' ),
+					'importEmpty'     => __( 'The file does not contain any shortcodes.', 'shortcode-exec-php' ),
+					'importNew'       => __( 'New', 'shortcode-exec-php' ),
+					'importExists'    => __( 'Already exists', 'shortcode-exec-php' ),
+					'importInvalid'   => __( 'Cannot be imported', 'shortcode-exec-php' ),
+					'importNewName'   => __( 'New shortcode name', 'shortcode-exec-php' ),
+					'importActions'   => array(
+						'import'    => __( 'Import', 'shortcode-exec-php' ),
+						'skip'      => __( 'Skip', 'shortcode-exec-php' ),
+						'overwrite' => __( 'Overwrite', 'shortcode-exec-php' ),
+						'rename'    => __( 'Import with new name', 'shortcode-exec-php' ),
+					),
 				),
 			)
 		);
@@ -214,13 +355,163 @@ class WP_Shortcode_Exec_PHP_Admin {
 			$message = $this->handle_form_submission();
 		}
 
+		// Let open editors reload the shortcode list.
+		if ( $this->shortcodes_changed ) {
+			wp_add_inline_script( 'scep-admin', 'scepAdmin.shortcodesChanged = true;', 'before' );
+		}
+
 		// Get current shortcodes.
 		$shortcodes = $this->get_shortcodes();
 
+		// Keep a just-saved shortcode loaded in the edit form.
+		$editing = $this->editing_shortcode ? $this->get_shortcode( $this->editing_shortcode ) : null;
+
 		// Render the page.
 		include __DIR__ . '/admin-template.php';
 	}
 
+	/**
+	 * Render the execution log page.
+	 *
+	 * @since 1.54
+	 */
+	public function log_page() {
+		// Security check.
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'view_execution_log' ) && ! current_user_can( 'manage_network' ) ) {
+			wp_die( esc_html__( 'You do not have sufficient permissions to access this page.', 'shortcode-exec-php' ) );
+		}
+
+		// Handle the clear log action.
+		$message = '';
+		if ( 'POST' === $_SERVER['REQUEST_METHOD'] ) {
+			$message = $this->handle_clear_log();
+		}
+
+		$entry_id = isset( $_GET['entry'] ) ? absint( $_GET['entry'] ) : 0;
+		$entry = $entry_id ? WP_Shortcode_Exec_PHP_Log::get_entry( $entry_id ) : null;
+
+		$filters = $this->get_log_filters();
+		$log = WP_Shortcode_Exec_PHP_Log::query( $filters );
+		$total_pages = (int) ceil( $log['total'] / $filters['per_page'] );
+
+		$filter_values = array(
+			'shortcode' => WP_Shortcode_Exec_PHP_Log::get_distinct_values( 'shortcode_name' ),
+			'status'    => WP_Shortcode_Exec_PHP_Log::get_distinct_values( 'status' ),
+			'user_id'   => array_map( 'intval', WP_Shortcode_Exec_PHP_Log::get_distinct_values( 'user_id' ) ),
+		);
+
+		// Render the page.
+		include __DIR__ . '/admin-log-template.php';
+	}
+
+	/**
+	 * Handle the clear log form submission.
+	 *
+	 * @since 1.54
+	 *
+	 * @return string Success or error message.
+	 */
+	private function handle_clear_log() {
+		// Verify nonce.
+		$nonce = isset( $_POST['scep_admin_nonce'] ) ? sanitize_text_field( wp_unslash( $_POST['scep_admin_nonce'] ) ) : '';
+		if ( ! WP_Shortcode_Exec_PHP_Security::verify_nonce( $nonce, 'admin_action' ) ) {
+			return '<div class="notice notice-error"><p>' . esc_html__( 'Security check failed. Please try again.', 'shortcode-exec-php' ) . '</p></div>';
+		}
+
+		$action = isset( $_POST['scep_action'] ) ? sanitize_key( $_POST['scep_action'] ) : '';
+		if ( 'clear_log' !== $action ) {
+			return '<div class="notice notice-error"><p>' . esc_html__( 'Invalid action.', 'shortcode-exec-php' ) . '</p></div>';
+		}
+
+		WP_Shortcode_Exec_PHP_Log::clear();
+
+		return '<div class="notice notice-success"><p>' . esc_html__( 'Execution log cleared.', 'shortcode-exec-php' ) . '</p></div>';
+	}
+
+	/**
+	 * Get the execution log filters from the request.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Query arguments for WP_Shortcode_Exec_PHP_Log::query().
+	 */
+	private function get_log_filters() {
+		// phpcs:disable WordPress.Security.NonceVerification.Recommended -- Read-only filters.
+		$filters = array(
+			'shortcode' => isset( $_REQUEST['shortcode'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['shortcode'] ) ) : '',
+			'status'    => isset( $_REQUEST['status'] ) ? sanitize_key( $_REQUEST['status'] ) : '',
+			'user_id'   => isset( $_REQUEST['user_id'] ) && '' !== $_REQUEST['user_id'] ? absint( $_REQUEST['user_id'] ) : -1,
+			'date_from' => isset( $_REQUEST['date_from'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['date_from'] ) ) : '',
+			'date_to'   => isset( $_REQUEST['date_to'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['date_to'] ) ) : '',
+			'per_page'  => self::LOG_PAGE_SIZE,
+			'page'      => isset( $_REQUEST['paged'] ) ? max( 1, absint( $_REQUEST['paged'] ) ) : 1,
+		);
+		// phpcs:enable
+
+		return $filters;
+	}
+
+	/**
+	 * Handle the execution log CSV export.
+	 *
+	 * Sends the log entries matching the current filters as a CSV download.
+	 *
+	 * @since 1.54
+	 */
+	private function handle_export_log() {
+		// Verify nonce.
+		$nonce = isset( $_REQUEST['_wpnonce'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['_wpnonce'] ) ) : '';
+		if ( ! WP_Shortcode_Exec_PHP_Security::verify_nonce( $nonce, 'admin_action' ) ) {
+			wp_die( esc_html__( 'Security check failed.', 'shortcode-exec-php' ), 403 );
+		}
+
+		// Check capability.
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'view_execution_log' ) ) {
+			wp_die( esc_html__( 'You do not have permission to export the execution log.', 'shortcode-exec-php' ), 403 );
+		}
+
+		$filters = $this->get_log_filters();
+		$filters['per_page'] = 0;
+		$log = WP_Shortcode_Exec_PHP_Log::query( $filters );
+
+		$filename = sprintf(
+			'shortcode-exec-php-log-%s-%s.csv',
+			sanitize_file_name( (string) wp_parse_url( home_url(), PHP_URL_HOST ) ),
+			gmdate( 'Y-m-d' )
+		);
+
+		nocache_headers();
+		header( 'Content-Type: text/csv; charset=' . get_option( 'blog_charset' ) );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		$output = fopen( 'php://output', 'w' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fopen
+		fputcsv( $output, array( 'id', 'time_utc', 'shortcode', 'status', 'user_id', 'user_ip', 'request_uri', 'user_agent', 'message', 'context' ) );
+
+		foreach ( $log['entries'] as $entry ) {
+			fputcsv(
+				$output,
+				array_map(
+					array( 'WP_Shortcode_Exec_PHP_Security', 'escape_csv_value' ),
+					array(
+						$entry['id'],
+						$entry['logged_at'],
+						$entry['shortcode_name'],
+						$entry['status'],
+						$entry['user_id'],
+						$entry['user_ip'],
+						$entry['request_uri'],
+						$entry['user_agent'],
+						$entry['message'],
+						wp_json_encode( $entry['context'] ),
+					)
+				)
+			);
+		}
+
+		fclose( $output ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_fclose
+		exit;
+	}
+
 	/**
 	 * Handle form submission with proper security.
 	 *
@@ -242,18 +533,12 @@ class WP_Shortcode_Exec_PHP_Admin {
 			case 'save_shortcode':
 				return $this->handle_save_shortcode();
 
-			case 'delete_shortcode':
-				return $this->handle_delete_shortcode();
-
 			case 'save_settings':
 				return $this->handle_save_settings();
 
 			case 'import_shortcodes':
 				return $this->handle_import_shortcodes();
 
-			case 'export_shortcodes':
-				return $this->handle_export_shortcodes();
-
 			default:
 				return '<div class="notice notice-error"><p>' . esc_html__( 'Invalid action.', 'shortcode-exec-php' ) . '</p></div>';
 		}
@@ -267,34 +552,170 @@ class WP_Shortcode_Exec_PHP_Admin {
 	 * @return string Success or error message.
 	 */
 	private function handle_save_shortcode() {
+		$result = $this->save_shortcode_from_request();
+		if ( is_wp_error( $result ) ) {
+			return '<div class="notice notice-error"><p>' . esc_html( $result->get_error_message() ) . '</p></div>';
+		}
+
+		// Keep the saved shortcode loaded in the edit form.
+		$this->editing_shortcode = $result['name'];
+		$this->shortcodes_changed = true;
+
+		return '<div class="notice notice-success"><p>' . esc_html( $result['message'] ) . '</p></div>';
+	}
+
+	/**
+	 * Save the shortcode submitted in the shortcode form.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array|WP_Error Saved shortcode name, original name and success message,
+	 *                        or WP_Error with the ID of the offending form field.
+	 */
+	private function save_shortcode_from_request() {
+		return $this->save_shortcode(
+			array(
+				'name'          => isset( $_POST['scep_shortcode_name'] ) ? wp_unslash( $_POST['scep_shortcode_name'] ) : '',
+				'original_name' => isset( $_POST['scep_original_name'] ) ? wp_unslash( $_POST['scep_original_name'] ) : '',
+				'enabled'       => isset( $_POST['scep_enabled'] ) && '1' === $_POST['scep_enabled'],
+				'buffer'        => isset( $_POST['scep_buffer'] ) && '1' === $_POST['scep_buffer'],
+				'description'   => isset( $_POST['scep_description'] ) ? wp_unslash( $_POST['scep_description'] ) : '',
+				'code'          => isset( $_POST['scep_phpcode'] ) ? wp_unslash( $_POST['scep_phpcode'] ) : '',
+				'schema'        => isset( $_POST['scep_param_schema'] ) ? json_decode( wp_unslash( $_POST['scep_param_schema'] ), true ) : array(),
+				'block'         => array(
+					'title'     => isset( $_POST['scep_block_title'] ) ? wp_unslash( $_POST['scep_block_title'] ) : '',
+					'keywords'  => isset( $_POST['scep_block_keywords'] ) ? wp_unslash( $_POST['scep_block_keywords'] ) : '',
+					'icon'      => isset( $_POST['scep_block_icon'] ) ? wp_unslash( $_POST['scep_block_icon'] ) : '',
+					'category'  => isset( $_POST['scep_block_category'] ) ? wp_unslash( $_POST['scep_block_category'] ) : '',
+					'enclosing' => isset( $_POST['scep_block_enclosing'] ) && '1' === $_POST['scep_block_enclosing'],
+				),
+				'revision_note' => isset( $_POST['scep_revision_note'] ) ? wp_unslash( $_POST['scep_revision_note'] ) : '',
+			)
+		);
+	}
+
+	/**
+	 * Save a shortcode, creating or renaming it as needed.
+	 *
+	 * Used by the shortcode form and the REST API. Errors carry the ID of
+	 * the offending form field and an HTTP status.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $fields {
+	 *     Unslashed, unsanitized shortcode fields.
+	 *
+	 *     @type string       $name          Shortcode name.
+	 *     @type string       $original_name Name the shortcode had when it was loaded, if editing.
+	 *     @type bool         $enabled       Whether the shortcode is enabled.
+	 *     @type bool         $buffer        Whether the shortcode output is buffered.
+	 *     @type string       $description   Shortcode description.
+	 *     @type string       $code          PHP code.
+	 *     @type array        $schema        Declared parameters.
+	 *     @type array        $block         Block inserter title, keywords and icon.
+	 *     @type string       $revision_note Description of the change, for the revision history.
+	 * }
+	 * @return array|WP_Error Saved shortcode name, original name and success message,
+	 *                        or WP_Error with the ID of the offending form field.
+	 */
+	public function save_shortcode( $fields ) {
+		$fields = wp_parse_args(
+			$fields,
+			array(
+				'name'          => '',
+				'original_name' => '',
+				'enabled'       => false,
+				'buffer'        => false,
+				'description'   => '',
+				'code'          => '',
+				'schema'        => array(),
+				'block'         => array(),
+				'revision_note' => '',
+			)
+		);
+
 		// Check capability.
 		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode' ) ) {
-			return '<div class="notice notice-error"><p>' . esc_html__( 'You do not have permission to edit shortcodes.', 'shortcode-exec-php' ) . '</p></div>';
+			return new WP_Error( 'forbidden', __( 'You do not have permission to edit shortcodes.', 'shortcode-exec-php' ), array( 'status' => 403 ) );
 		}
 
-		// Get and validate shortcode name.
-		$shortcode_name = isset( $_POST['scep_shortcode_name'] ) ? sanitize_text_field( wp_unslash( $_POST['scep_shortcode_name'] ) ) : '';
+		// Validate shortcode name.
+		$shortcode_name = sanitize_text_field( $fields['name'] );
 		if ( ! WP_Shortcode_Exec_PHP_Security::validate_shortcode_name( $shortcode_name ) ) {
-			return '<div class="notice notice-error"><p>' . esc_html__( 'Invalid shortcode name. Please use only letters, numbers, underscores, and hyphens.', 'shortcode-exec-php' ) . '</p></div>';
+			return new WP_Error(
+				'invalid_name',
+				__( 'Invalid shortcode name. Please use only letters, numbers, underscores, and hyphens.', 'shortcode-exec-php' ),
+				array(
+					'status' => 400,
+					'field'  => 'scep-shortcode-name',
+				)
+			);
 		}
 
-		// Get other form data.
-		$enabled = isset( $_POST['scep_enabled'] ) && '1' === $_POST['scep_enabled'];
-		$buffer = isset( $_POST['scep_buffer'] ) && '1' === $_POST['scep_buffer'];
-		$description = isset( $_POST['scep_description'] ) ? WP_Shortcode_Exec_PHP_Security::sanitize_shortcode_description( wp_unslash( $_POST['scep_description'] ) ) : '';
-		$php_code = isset( $_POST['scep_phpcode'] ) ? wp_unslash( $_POST['scep_phpcode'] ) : '';
+		// Sanitize other fields.
+		$enabled = (bool) $fields['enabled'];
+		$buffer = (bool) $fields['buffer'];
+		$description = WP_Shortcode_Exec_PHP_Security::sanitize_shortcode_description( $fields['description'] );
+		$php_code = $fields['code'];
+		$param_schema = WP_Shortcode_Exec_PHP_Security::sanitize_param_schema( $fields['schema'] );
+		$block_settings = WP_Shortcode_Exec_PHP_Security::sanitize_block_settings( $fields['block'] );
+
+		// A select parameter needs something to select.
+		foreach ( $param_schema as $param ) {
+			if ( 'select' === $param['type'] && empty( $param['options'] ) ) {
+				return new WP_Error(
+					'invalid_schema',
+					/* translators: %s: Parameter name */
+					sprintf( __( 'The select parameter %s needs at least one option.', 'shortcode-exec-php' ), $param['name'] ),
+					array(
+						'status' => 400,
+						'field'  => 'scep-param-table',
+					)
+				);
+			}
+		}
 
 		// Validate and sanitize PHP code.
 		$sanitized_code = WP_Shortcode_Exec_PHP_Security::sanitize_php_code( $php_code );
 		if ( is_wp_error( $sanitized_code ) ) {
-			return '<div class="notice notice-error"><p>' . esc_html__( 'Code validation failed: ', 'shortcode-exec-php' ) . esc_html( $sanitized_code->get_error_message() ) . '</p></div>';
+			return new WP_Error(
+				'invalid_code',
+				__( 'Code validation failed: ', 'shortcode-exec-php' ) . $sanitized_code->get_error_message(),
+				array(
+					'status' => 400,
+					'field'  => 'scep-phpcode',
+				)
+			);
 		}
 
-		// Check if this is a new shortcode.
+		// Name the shortcode had when it was loaded into the form, if editing.
+		$original_name = sanitize_text_field( $fields['original_name'] );
+
 		$shortcode_names = get_option( 'scep_names', array() );
-		$is_new = ! in_array( $shortcode_name, $shortcode_names, true );
 
-		if ( $is_new ) {
+		// Refuse to silently overwrite a different shortcode.
+		if ( $shortcode_name !== $original_name && in_array( $shortcode_name, $shortcode_names, true ) ) {
+			return new WP_Error(
+				'name_exists',
+				/* translators: %s: Shortcode name */
+				sprintf( __( 'A shortcode named %s already exists. Use its Edit button to change it.', 'shortcode-exec-php' ), $shortcode_name ),
+				array(
+					'status' => 409,
+					'field'  => 'scep-shortcode-name',
+				)
+			);
+		}
+
+		// Check if this is a rename of an existing shortcode or a new shortcode.
+		$is_rename = '' !== $original_name && $original_name !== $shortcode_name && in_array( $original_name, $shortcode_names, true );
+		$is_new = ! $is_rename && ! in_array( $shortcode_name, $shortcode_names, true );
+
+		// Code saved before this change, kept if the shortcode has no revisions yet.
+		$previous_code = $is_new ? null : get_option( 'scep_phpcode_' . ( $is_rename ? $original_name : $shortcode_name ), null );
+
+		if ( $is_rename ) {
+			$this->rename_shortcode( $original_name, $shortcode_name );
+		} elseif ( $is_new ) {
 			// Add to names list.
 			$shortcode_names[] = $shortcode_name;
 			update_option( 'scep_names', $shortcode_names, true );
@@ -305,6 +726,16 @@ class WP_Shortcode_Exec_PHP_Admin {
 		update_option( 'scep_buffer_' . $shortcode_name, $buffer, false );
 		update_option( 'scep_description_' . $shortcode_name, $description, false );
 		update_option( 'scep_phpcode_' . $shortcode_name, $sanitized_code, false );
+		update_option( 'scep_schema_' . $shortcode_name, $param_schema, false );
+		update_option( 'scep_block_' . $shortcode_name, $block_settings, false );
+		$this->touch_shortcode( $shortcode_name );
+
+		// Record a revision of the code.
+		$revision_note = sanitize_text_field( $fields['revision_note'] );
+		if ( '' === $revision_note ) {
+			$revision_note = $is_new ? __( 'Created', 'shortcode-exec-php' ) : __( 'Updated', 'shortcode-exec-php' );
+		}
+		$this->record_revision( $shortcode_name, $sanitized_code, $revision_note, $previous_code );
 
 		// Log the action.
 		WP_Shortcode_Exec_PHP_Security::log_code_execution(
@@ -313,34 +744,79 @@ class WP_Shortcode_Exec_PHP_Admin {
 			sprintf( 'Shortcode %s by user %d', $is_new ? 'created' : 'updated', get_current_user_id() )
 		);
 
-		$action_text = $is_new ? __( 'created', 'shortcode-exec-php' ) : __( 'updated', 'shortcode-exec-php' );
-		return '<div class="notice notice-success"><p>' . sprintf(
-			/* translators: 1: Action (created/updated), 2: Shortcode name */
-			esc_html__( 'Shortcode %1$s successfully: %2$s', 'shortcode-exec-php' ),
-			esc_html( $action_text ),
-			'<code>' . esc_html( $shortcode_name ) . '</code>'
-		) . '</p></div>';
+		if ( $is_rename ) {
+			/* translators: 1: Previous shortcode name, 2: New shortcode name */
+			$message = sprintf( __( 'Shortcode renamed successfully: %1$s to %2$s', 'shortcode-exec-php' ), $original_name, $shortcode_name );
+		} elseif ( $is_new ) {
+			/* translators: %s: Shortcode name */
+			$message = sprintf( __( 'Shortcode created successfully: %s', 'shortcode-exec-php' ), $shortcode_name );
+		} else {
+			/* translators: %s: Shortcode name */
+			$message = sprintf( __( 'Shortcode updated successfully: %s', 'shortcode-exec-php' ), $shortcode_name );
+		}
+
+		return array(
+			'name'          => $shortcode_name,
+			'original_name' => $is_rename ? $original_name : '',
+			'message'       => $message,
+		);
 	}
 
 	/**
-	 * Handle shortcode delete action.
+	 * Rename a shortcode, keeping its position in the list.
 	 *
-	 * @since 1.53
+	 * Only the name list, recorded parameters, test history and revisions are
+	 * moved here; the remaining options are written under the new name by the caller.
 	 *
-	 * @return string Success or error message.
+	 * @since 1.54
+	 *
+	 * @param string $old_name Current shortcode name.
+	 * @param string $new_name New shortcode name.
 	 */
-	private function handle_delete_shortcode() {
-		// Check capability.
-		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'delete_shortcode' ) ) {
-			return '<div class="notice notice-error"><p>' . esc_html__( 'You do not have permission to delete shortcodes.', 'shortcode-exec-php' ) . '</p></div>';
+	private function rename_shortcode( $old_name, $new_name ) {
+		$shortcode_names = get_option( 'scep_names', array() );
+		$key = array_search( $old_name, $shortcode_names, true );
+		if ( false !== $key ) {
+			$shortcode_names[ $key ] = $new_name;
+			update_option( 'scep_names', array_values( $shortcode_names ), true );
 		}
 
-		// Get shortcode name.
-		$shortcode_name = isset( $_POST['scep_shortcode_name'] ) ? sanitize_text_field( wp_unslash( $_POST['scep_shortcode_name'] ) ) : '';
-		if ( empty( $shortcode_name ) ) {
-			return '<div class="notice notice-error"><p>' . esc_html__( 'No shortcode specified for deletion.', 'shortcode-exec-php' ) . '</p></div>';
+		// Carry over recorded parameters, test history and revisions.
+		foreach ( array( 'scep_param_', 'scep_test_history_', 'scep_revisions_' ) as $prefix ) {
+			$value = get_option( $prefix . $old_name, null );
+			if ( null !== $value ) {
+				update_option( $prefix . $new_name, $value, false );
+			}
 		}
 
+		// Delete options stored under the old name.
+		delete_option( 'scep_enabled_' . $old_name );
+		delete_option( 'scep_buffer_' . $old_name );
+		delete_option( 'scep_description_' . $old_name );
+		delete_option( 'scep_phpcode_' . $old_name );
+		delete_option( 'scep_schema_' . $old_name );
+		delete_option( 'scep_block_' . $old_name );
+		delete_option( 'scep_param_' . $old_name );
+		delete_option( 'scep_test_history_' . $old_name );
+		delete_option( 'scep_revisions_' . $old_name );
+		delete_option( 'scep_modified_' . $old_name );
+
+		// Log the action.
+		WP_Shortcode_Exec_PHP_Security::log_code_execution(
+			$new_name,
+			'renamed',
+			sprintf( 'Shortcode renamed from %s by user %d', $old_name, get_current_user_id() )
+		);
+	}
+
+	/**
+	 * Delete a shortcode and all of its options.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 */
+	public function delete_shortcode( $shortcode_name ) {
 		// Remove from names list.
 		$shortcode_names = get_option( 'scep_names', array() );
 		$key = array_search( $shortcode_name, $shortcode_names, true );
@@ -354,7 +830,12 @@ class WP_Shortcode_Exec_PHP_Admin {
 		delete_option( 'scep_buffer_' . $shortcode_name );
 		delete_option( 'scep_description_' . $shortcode_name );
 		delete_option( 'scep_phpcode_' . $shortcode_name );
+		delete_option( 'scep_schema_' . $shortcode_name );
+		delete_option( 'scep_block_' . $shortcode_name );
 		delete_option( 'scep_param_' . $shortcode_name );
+		delete_option( 'scep_test_history_' . $shortcode_name );
+		delete_option( 'scep_revisions_' . $shortcode_name );
+		delete_option( 'scep_modified_' . $shortcode_name );
 
 		// Log the action.
 		WP_Shortcode_Exec_PHP_Security::log_code_execution(
@@ -362,12 +843,117 @@ class WP_Shortcode_Exec_PHP_Admin {
 			'deleted',
 			sprintf( 'Shortcode deleted by user %d', get_current_user_id() )
 		);
+	}
 
-		return '<div class="notice notice-success"><p>' . sprintf(
-			/* translators: %s: Shortcode name */
-			esc_html__( 'Shortcode deleted successfully: %s', 'shortcode-exec-php' ),
-			'<code>' . esc_html( $shortcode_name ) . '</code>'
-		) . '</p></div>';
+	/**
+	 * Enable, disable or delete several shortcodes at once.
+	 *
+	 * Shortcodes the current user may not change are reported as failed.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $bulk_action One of enable, disable or delete.
+	 * @param array  $requested   Names of the shortcodes to change.
+	 * @return array|WP_Error Array with a message and the names of the changed
+	 *                        and failed shortcodes, or WP_Error if nothing can be done.
+	 */
+	public function bulk_update_shortcodes( $bulk_action, $requested ) {
+		if ( ! in_array( $bulk_action, array( 'enable', 'disable', 'delete' ), true ) ) {
+			return new WP_Error( 'invalid_bulk_action', __( 'Invalid bulk action.', 'shortcode-exec-php' ), array( 'status' => 400 ) );
+		}
+
+		$shortcode_names = array_values( array_intersect( get_option( 'scep_names', array() ), array_map( 'sanitize_text_field', (array) $requested ) ) );
+		if ( empty( $shortcode_names ) ) {
+			return new WP_Error( 'no_shortcodes', __( 'No shortcodes selected.', 'shortcode-exec-php' ), array( 'status' => 400 ) );
+		}
+
+		$capability_action = 'delete' === $bulk_action ? 'delete_shortcode' : 'edit_shortcode';
+		$done = array();
+		$failed = array();
+
+		foreach ( $shortcode_names as $shortcode_name ) {
+			if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( $capability_action, $shortcode_name ) ) {
+				$failed[] = $shortcode_name;
+				continue;
+			}
+
+			if ( 'delete' === $bulk_action ) {
+				$this->delete_shortcode( $shortcode_name );
+			} else {
+				$this->set_shortcode_enabled( $shortcode_name, 'enable' === $bulk_action );
+			}
+
+			$done[] = $shortcode_name;
+		}
+
+		if ( 'delete' === $bulk_action ) {
+			/* translators: %d: Number of shortcodes */
+			$message = _n( '%d shortcode deleted.', '%d shortcodes deleted.', count( $done ), 'shortcode-exec-php' );
+		} elseif ( 'enable' === $bulk_action ) {
+			/* translators: %d: Number of shortcodes */
+			$message = _n( '%d shortcode enabled.', '%d shortcodes enabled.', count( $done ), 'shortcode-exec-php' );
+		} else {
+			/* translators: %d: Number of shortcodes */
+			$message = _n( '%d shortcode disabled.', '%d shortcodes disabled.', count( $done ), 'shortcode-exec-php' );
+		}
+		$message = sprintf( $message, count( $done ) );
+
+		if ( ! empty( $failed ) ) {
+			/* translators: %s: Comma-separated shortcode names */
+			$message .= ' ' . sprintf( __( 'You do not have permission to change: %s', 'shortcode-exec-php' ), implode( ', ', $failed ) );
+		}
+
+		return array(
+			'message' => $message,
+			'done'    => $done,
+			'failed'  => $failed,
+		);
+	}
+
+	/**
+	 * Enable or disable a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @param bool   $enabled        Whether to enable the shortcode.
+	 */
+	public function set_shortcode_enabled( $shortcode_name, $enabled ) {
+		update_option( 'scep_enabled_' . $shortcode_name, $enabled, false );
+		$this->touch_shortcode( $shortcode_name );
+
+		// Log the action.
+		WP_Shortcode_Exec_PHP_Security::log_code_execution(
+			$shortcode_name,
+			$enabled ? 'enabled' : 'disabled',
+			sprintf( 'Shortcode %s by user %d', $enabled ? 'enabled' : 'disabled', get_current_user_id() )
+		);
+	}
+
+	/**
+	 * Record the current time as the last modification time of a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 */
+	private function touch_shortcode( $shortcode_name ) {
+		update_option( 'scep_modified_' . $shortcode_name, time(), false );
+	}
+
+	/**
+	 * Render a row of the existing shortcodes table.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $shortcode  Shortcode configuration.
+	 * @param bool  $is_editing Whether the shortcode is loaded in the edit form.
+	 * @return string Row HTML.
+	 */
+	public function get_shortcode_row( $shortcode, $is_editing = false ) {
+		ob_start();
+		include __DIR__ . '/admin-shortcode-row.php';
+		return ob_get_clean();
 	}
 
 	/**
@@ -398,6 +984,8 @@ class WP_Shortcode_Exec_PHP_Admin {
 			'scep_tinymce'          => isset( $_POST['scep_tinymce'] ),
 			'scep_tinymce_cap'      => isset( $_POST['scep_tinymce_cap'] ) ? sanitize_key( $_POST['scep_tinymce_cap'] ) : 'edit_posts',
 			'scep_author_cap'       => isset( $_POST['scep_author_cap'] ) ? sanitize_key( $_POST['scep_author_cap'] ) : 'edit_posts',
+			'scep_log_max_entries'  => isset( $_POST['scep_log_max_entries'] ) ? absint( $_POST['scep_log_max_entries'] ) : WP_Shortcode_Exec_PHP_Log::DEFAULT_MAX_ENTRIES,
+			'scep_log_successes'    => isset( $_POST['scep_log_successes'] ),
 		);
 
 		// Validate numeric settings.
@@ -405,6 +993,7 @@ class WP_Shortcode_Exec_PHP_Admin {
 		$settings['scep_codeheight'] = max( 100, min( 1000, $settings['scep_codeheight'] ) );
 		$settings['scep_backtrack_limit'] = max( 1000, $settings['scep_backtrack_limit'] );
 		$settings['scep_recursion_limit'] = max( 100, $settings['scep_recursion_limit'] );
+		$settings['scep_log_max_entries'] = max( 100, min( 100000, $settings['scep_log_max_entries'] ) );
 
 		// Save settings.
 		foreach ( $settings as $option_name => $value ) {
@@ -424,12 +1013,12 @@ class WP_Shortcode_Exec_PHP_Admin {
 		$scep_action = isset( $_REQUEST['scep_action'] ) ? sanitize_key( $_REQUEST['scep_action'] ) : '';
 
 		switch ( $scep_action ) {
-			case 'test_shortcode':
-				$this->handle_ajax_test_shortcode();
+			case 'export_shortcodes':
+				$this->handle_export_shortcodes();
 				break;
 
-			case 'tinymce':
-				$this->handle_ajax_tinymce();
+			case 'export_log':
+				$this->handle_export_log();
 				break;
 
 			default:
@@ -438,148 +1027,337 @@ class WP_Shortcode_Exec_PHP_Admin {
 	}
 
 	/**
-	 * Handle AJAX shortcode testing.
+	 * Test a shortcode with the given attributes and content.
 	 *
-	 * @since 1.53
+	 * When draft code is given it runs through the live execution pipeline
+	 * instead of the saved code, so unsaved changes can be tried out. The
+	 * inputs are remembered for the next test of an existing shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string      $shortcode_name The shortcode name.
+	 * @param array       $atts           Test attributes.
+	 * @param string      $content        Test content.
+	 * @param string|null $code           Optional. Unsaved draft code to run instead.
+	 * @return array Test diagnostics, with a status of success or an error type.
 	 */
-	private function handle_ajax_test_shortcode() {
-		// Verify nonce.
-		$nonce = isset( $_REQUEST['_wpnonce'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['_wpnonce'] ) ) : '';
-		if ( ! WP_Shortcode_Exec_PHP_Security::verify_nonce( $nonce, 'test_shortcode' ) ) {
-			wp_die( esc_html__( 'Security check failed.', 'shortcode-exec-php' ), 403 );
+	public function test_shortcode( $shortcode_name, $atts, $content, $code = null ) {
+		$sanitized_atts = array();
+
+		foreach ( (array) $atts as $key => $value ) {
+			$key = sanitize_key( $key );
+			if ( '' !== $key && is_scalar( $value ) ) {
+				$sanitized_atts[ $key ] = sanitize_text_field( $value );
+			}
 		}
 
-		// Check capability.
-		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'execute_shortcode' ) ) {
-			wp_die( esc_html__( 'Insufficient permissions.', 'shortcode-exec-php' ), 403 );
-		}
+		$content = wp_kses_post( (string) $content );
 
-		// Get shortcode name.
-		$shortcode_name = isset( $_REQUEST['shortcode'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['shortcode'] ) ) : '';
-		if ( empty( $shortcode_name ) ) {
-			wp_die( esc_html__( 'No shortcode specified.', 'shortcode-exec-php' ), 400 );
+		$handler = new WP_Shortcode_Exec_PHP_Handler();
+		if ( null === $code ) {
+			$execution = $handler->test_shortcode( $shortcode_name, $sanitized_atts, $content );
+		} else {
+			$execution = $handler->execute_draft_code( (string) $code, $shortcode_name, $sanitized_atts, $content );
 		}
 
-		// Execute shortcode.
-		$handler = new WP_Shortcode_Exec_PHP_Handler();
-		$result = $handler->handle_shortcode( array(), '', $shortcode_name );
+		// Remember the inputs for the next test.
+		$this->record_test_history( $shortcode_name, $sanitized_atts, $content );
+
+		return array(
+			'status'         => $execution['status'],
+			'output'         => wp_kses_post( $execution['output'] ),
+			'result'         => wp_kses_post( $execution['result'] ),
+			'result_type'    => $execution['result_type'],
+			'rendered'       => wp_kses_post( $execution['rendered'] ),
+			'notices'        => $execution['notices'],
+			'message'        => $execution['error_message'],
+			'line'           => $execution['error_line'],
+			'execution_time' => $execution['execution_time'],
+			'peak_memory'    => $execution['peak_memory'],
+		);
+	}
 
-		// Return result.
-		echo 'OK=' . wp_kses_post( $result );
-		wp_die();
+	/**
+	 * Get the recent test inputs of a shortcode, most recent first.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @return array List of entries with atts, content and time keys.
+	 */
+	public function get_test_history( $shortcode_name ) {
+		$history = get_option( 'scep_test_history_' . $shortcode_name, array() );
+
+		return is_array( $history ) ? array_values( $history ) : array();
 	}
 
 	/**
-	 * Handle AJAX TinyMCE integration.
+	 * Remember test inputs of an existing shortcode.
 	 *
-	 * @since 1.53
+	 * Repeated inputs are moved to the top instead of being added twice.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @param array  $atts           Test attributes.
+	 * @param string $content        Test content.
 	 */
-	private function handle_ajax_tinymce() {
-		// Check capability.
-		$tinymce_cap = get_option( 'scep_tinymce_cap', 'edit_posts' );
-		if ( ! current_user_can( $tinymce_cap ) ) {
-			wp_die( esc_html__( 'Insufficient permissions.', 'shortcode-exec-php' ), 403 );
+	private function record_test_history( $shortcode_name, $atts, $content ) {
+		if ( ( empty( $atts ) && '' === $content ) || null === $this->get_shortcode( $shortcode_name ) ) {
+			return;
 		}
 
-		// Get shortcodes for TinyMCE dialog.
-		$shortcodes = $this->get_shortcodes();
+		$history = array_filter(
+			$this->get_test_history( $shortcode_name ),
+			function ( $entry ) use ( $atts, $content ) {
+				return ! ( isset( $entry['atts'], $entry['content'] ) && $entry['atts'] === $atts && $entry['content'] === $content );
+			}
+		);
 
-		// Output TinyMCE dialog HTML.
-		?>
-		<!DOCTYPE html>
-		<html <?php language_attributes(); ?>>
-		<head>
-			<meta charset="<?php echo esc_attr( get_bloginfo( 'charset' ) ); ?>">
-			<title><?php esc_html_e( 'Insert Shortcode', 'shortcode-exec-php' ); ?></title>
-			<?php wp_print_styles( 'buttons' ); ?>
-		</head>
-		<body>
-			<div style="padding: 10px;">
-				<h3><?php esc_html_e( 'Select Shortcode to Insert', 'shortcode-exec-php' ); ?></h3>
-				<select id="shortcode-select" style="width: 100%; margin-bottom: 10px;">
-					<option value=""><?php esc_html_e( '-- Select Shortcode --', 'shortcode-exec-php' ); ?></option>
-					<?php foreach ( $shortcodes as $shortcode ) : ?>
-						<?php if ( $shortcode['enabled'] ) : ?>
-							<option value="<?php echo esc_attr( $shortcode['name'] ); ?>">
-								<?php echo esc_html( $shortcode['name'] ); ?>
-								<?php if ( ! empty( $shortcode['description'] ) ) : ?>
-									- <?php echo esc_html( wp_trim_words( $shortcode['description'], 8 ) ); ?>
-								<?php endif; ?>
-							</option>
-						<?php endif; ?>
-					<?php endforeach; ?>
-				</select>
-				<p>
-					<button type="button" id="insert-shortcode" class="button button-primary"><?php esc_html_e( 'Insert', 'shortcode-exec-php' ); ?></button>
-					<button type="button" id="cancel" class="button" onclick="parent.tb_remove();"><?php esc_html_e( 'Cancel', 'shortcode-exec-php' ); ?></button>
-				</p>
-			</div>
-			<script>
-			document.getElementById('insert-shortcode').addEventListener('click', function() {
-				var select = document.getElementById('shortcode-select');
-				var shortcode = select.value;
-				if (shortcode) {
-					if (parent.tinymce) {
-						parent.tinymce.activeEditor.insertContent('[' + shortcode + ']');
-					}
-					parent.tb_remove();
-				} else {
-					alert('<?php esc_html_e( 'Please select a shortcode.', 'shortcode-exec-php' ); ?>');
-				}
-			});
-			</script>
-		</body>
-		</html>
-		<?php
-		wp_die();
+		array_unshift(
+			$history,
+			array(
+				'atts'    => $atts,
+				'content' => $content,
+				'time'    => time(),
+			)
+		);
+
+		update_option( 'scep_test_history_' . $shortcode_name, array_slice( $history, 0, self::TEST_HISTORY_SIZE ), false );
 	}
 
 	/**
-	 * Initialize TinyMCE integration.
+	 * Get the code revisions of a shortcode, most recent first.
 	 *
-	 * @since 1.53
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @return array List of revisions with id, code, author, time and description keys.
 	 */
-	public function init_tinymce_integration() {
-		// Check if TinyMCE integration is enabled.
-		if ( ! get_option( 'scep_tinymce', false ) ) {
-			return;
+	private function get_revisions( $shortcode_name ) {
+		$revisions = get_option( 'scep_revisions_' . $shortcode_name, array() );
+
+		return is_array( $revisions ) ? array_values( $revisions ) : array();
+	}
+
+	/**
+	 * Get a single code revision of a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @param int    $revision_id    The revision ID.
+	 * @return array|null The revision, or null if it does not exist.
+	 */
+	public function get_revision( $shortcode_name, $revision_id ) {
+		foreach ( $this->get_revisions( $shortcode_name ) as $revision ) {
+			if ( (int) $revision['id'] === (int) $revision_id ) {
+				return $revision;
+			}
 		}
 
-		// Check user capability.
-		$tinymce_cap = get_option( 'scep_tinymce_cap', 'edit_posts' );
-		if ( ! current_user_can( $tinymce_cap ) ) {
+		return null;
+	}
+
+	/**
+	 * Record a revision of the saved code of a shortcode.
+	 *
+	 * Nothing is recorded when the code did not change. The oldest
+	 * revisions are dropped beyond REVISION_HISTORY_SIZE.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string      $shortcode_name The shortcode name.
+	 * @param string      $code           The saved code.
+	 * @param string      $description    Description of the change.
+	 * @param string|null $previous_code  Code saved before this change, if any.
+	 */
+	private function record_revision( $shortcode_name, $code, $description, $previous_code = null ) {
+		$revisions = $this->get_revisions( $shortcode_name );
+
+		// Keep code saved before revisions were recorded, so this change can be undone.
+		if ( empty( $revisions ) && is_string( $previous_code ) && '' !== $previous_code && $previous_code !== $code ) {
+			$revisions[] = array(
+				'id'          => 1,
+				'code'        => $previous_code,
+				'author'      => 0,
+				'time'        => 0,
+				'description' => __( 'Saved before revision history was available', 'shortcode-exec-php' ),
+			);
+		}
+
+		if ( ! empty( $revisions ) && $revisions[0]['code'] === $code ) {
 			return;
 		}
 
-		// Add TinyMCE plugin.
-		add_filter( 'mce_external_plugins', array( $this, 'add_tinymce_plugin' ) );
-		add_filter( 'mce_buttons', array( $this, 'add_tinymce_button' ) );
+		$ids = wp_list_pluck( $revisions, 'id' );
+
+		array_unshift(
+			$revisions,
+			array(
+				'id'          => $ids ? max( $ids ) + 1 : 1,
+				'code'        => $code,
+				'author'      => get_current_user_id(),
+				'time'        => time(),
+				'description' => $description,
+			)
+		);
+
+		update_option( 'scep_revisions_' . $shortcode_name, array_slice( $revisions, 0, self::REVISION_HISTORY_SIZE ), false );
+	}
+
+	/**
+	 * Format the date of a revision for display.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $revision The revision.
+	 * @return string The formatted date.
+	 */
+	private function format_revision_date( $revision ) {
+		if ( empty( $revision['time'] ) ) {
+			return __( 'Unknown date', 'shortcode-exec-php' );
+		}
+
+		return wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $revision['time'] );
 	}
 
 	/**
-	 * Add TinyMCE plugin.
+	 * Get the revisions of a shortcode for display, without their code.
 	 *
-	 * @since 1.53
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @return array List of revisions with id, date, author, description and current keys.
+	 */
+	public function get_revisions_for_display( $shortcode_name ) {
+		$current_code = get_option( 'scep_phpcode_' . $shortcode_name, '' );
+		$revisions = array();
+
+		foreach ( $this->get_revisions( $shortcode_name ) as $index => $revision ) {
+			$author = $revision['author'] ? get_userdata( $revision['author'] ) : false;
+
+			$revisions[] = array(
+				'id'          => (int) $revision['id'],
+				'date'        => $this->format_revision_date( $revision ),
+				'author'      => $author ? $author->display_name : __( 'Unknown', 'shortcode-exec-php' ),
+				'description' => $revision['description'],
+				'current'     => 0 === $index && $revision['code'] === $current_code,
+			);
+		}
+
+		return $revisions;
+	}
+
+	/**
+	 * Compare a revision with the current code of a shortcode.
 	 *
-	 * @param array $plugin_array Array of TinyMCE plugins.
-	 * @return array Modified plugin array.
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @param array  $revision       The revision.
+	 * @return string Diff table HTML, or a notice when nothing changed.
 	 */
-	public function add_tinymce_plugin( $plugin_array ) {
-		$plugin_array['ShortcodeExecPHP'] = $this->plugin_url . '/js/tinymce-plugin.js';
-		return $plugin_array;
+	public function get_revision_diff( $shortcode_name, $revision ) {
+		$diff = wp_text_diff(
+			$revision['code'],
+			get_option( 'scep_phpcode_' . $shortcode_name, '' ),
+			array(
+				/* translators: %s: Revision date */
+				'title_left'      => sprintf( __( 'Revision from %s', 'shortcode-exec-php' ), $this->format_revision_date( $revision ) ),
+				'title_right'     => __( 'Current code', 'shortcode-exec-php' ),
+				'show_split_view' => true,
+			)
+		);
+
+		return $diff ? $diff : '<p>' . esc_html__( 'This revision is identical to the current code.', 'shortcode-exec-php' ) . '</p>';
 	}
 
 	/**
-	 * Add TinyMCE button.
+	 * Restore a revision as the current code of a shortcode.
 	 *
-	 * @since 1.53
+	 * The current code is kept as a revision, so the restore can be undone.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The shortcode name.
+	 * @param array  $revision       The revision to restore.
+	 * @return true|WP_Error True on success, WP_Error if the code no longer passes validation.
+	 */
+	public function restore_revision( $shortcode_name, $revision ) {
+		// The security rules may have changed since the revision was saved.
+		$sanitized_code = WP_Shortcode_Exec_PHP_Security::sanitize_php_code( $revision['code'] );
+		if ( is_wp_error( $sanitized_code ) ) {
+			return new WP_Error(
+				'invalid_code',
+				__( 'Code validation failed: ', 'shortcode-exec-php' ) . $sanitized_code->get_error_message(),
+				array( 'status' => 400 )
+			);
+		}
+
+		update_option( 'scep_phpcode_' . $shortcode_name, $sanitized_code, false );
+		$this->touch_shortcode( $shortcode_name );
+
+		$this->record_revision(
+			$shortcode_name,
+			$sanitized_code,
+			/* translators: %s: Revision date */
+			sprintf( __( 'Restored revision from %s', 'shortcode-exec-php' ), $this->format_revision_date( $revision ) )
+		);
+
+		// Log the action.
+		WP_Shortcode_Exec_PHP_Security::log_code_execution(
+			$shortcode_name,
+			'restored',
+			sprintf( 'Shortcode revision %d restored by user %d', $revision['id'], get_current_user_id() )
+		);
+
+		return true;
+	}
+
+	/**
+	 * Get the labels of the parameter types, keyed by type.
 	 *
-	 * @param array $buttons Array of TinyMCE buttons.
-	 * @return array Modified button array.
+	 * @since 1.54
+	 *
+	 * @return array Parameter type labels.
 	 */
-	public function add_tinymce_button( $buttons ) {
-		array_push( $buttons, 'ShortcodeExecPHP' );
-		return $buttons;
+	private function get_param_type_labels() {
+		$labels = array(
+			'string'  => __( 'Text', 'shortcode-exec-php' ),
+			'number'  => __( 'Number', 'shortcode-exec-php' ),
+			'boolean' => __( 'Yes/No', 'shortcode-exec-php' ),
+			'select'  => __( 'Select', 'shortcode-exec-php' ),
+			'color'   => __( 'Color', 'shortcode-exec-php' ),
+			'url'     => __( 'URL', 'shortcode-exec-php' ),
+			'post'    => __( 'Post', 'shortcode-exec-php' ),
+		);
+
+		return array_intersect_key( $labels, array_flip( WP_Shortcode_Exec_PHP_Security::get_param_types() ) );
+	}
+
+	/**
+	 * Get the security lint rules as JavaScript regular expression parts.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array List of rules with source, flags, message and type keys.
+	 */
+	private function get_client_lint_rules() {
+		$rules = array();
+
+		foreach ( WP_Shortcode_Exec_PHP_Security::get_lint_rules() as $rule ) {
+			$delimiter = strrpos( $rule['pattern'], '/' );
+
+			$rules[] = array(
+				'source'  => substr( $rule['pattern'], 1, $delimiter - 1 ),
+				'flags'   => substr( $rule['pattern'], $delimiter + 1 ),
+				'message' => $rule['message'],
+				'type'    => $rule['source'],
+			);
+		}
+
+		return $rules;
 	}
 
 	/**
@@ -602,27 +1380,63 @@ class WP_Shortcode_Exec_PHP_Admin {
 	 *
 	 * @return array Array of shortcode configurations.
 	 */
-	private function get_shortcodes() {
+	public function get_shortcodes() {
 		$shortcode_names = get_option( 'scep_names', array() );
 		$shortcodes = array();
 
 		foreach ( $shortcode_names as $name ) {
-			$shortcodes[] = array(
-				'name'        => $name,
-				'enabled'     => (bool) get_option( 'scep_enabled_' . $name, false ),
-				'buffer'      => (bool) get_option( 'scep_buffer_' . $name, false ),
-				'description' => get_option( 'scep_description_' . $name, '' ),
-				'code'        => get_option( 'scep_phpcode_' . $name, '' ),
-				'params'      => get_option( 'scep_param_' . $name, array() ),
-			);
+			$shortcodes[] = $this->get_shortcode_data( $name );
 		}
 
 		return $shortcodes;
 	}
 
+	/**
+	 * Get a single shortcode configuration.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $name The shortcode name.
+	 * @return array|null Shortcode configuration, or null if it does not exist.
+	 */
+	public function get_shortcode( $name ) {
+		$shortcode_names = get_option( 'scep_names', array() );
+		if ( ! is_array( $shortcode_names ) || ! in_array( $name, $shortcode_names, true ) ) {
+			return null;
+		}
+
+		return $this->get_shortcode_data( $name );
+	}
+
+	/**
+	 * Read the stored options of a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $name The shortcode name.
+	 * @return array Shortcode configuration.
+	 */
+	private function get_shortcode_data( $name ) {
+		return array(
+			'name'        => $name,
+			'enabled'     => (bool) get_option( 'scep_enabled_' . $name, false ),
+			'buffer'      => (bool) get_option( 'scep_buffer_' . $name, false ),
+			'description' => get_option( 'scep_description_' . $name, '' ),
+			'code'        => get_option( 'scep_phpcode_' . $name, '' ),
+			'params'      => get_option( 'scep_param_' . $name, array() ),
+			'schema'      => get_option( 'scep_schema_' . $name, array() ),
+			'block'       => WP_Shortcode_Exec_PHP_Security::sanitize_block_settings( get_option( 'scep_block_' . $name, array() ) ),
+			'modified'    => (int) get_option( 'scep_modified_' . $name, 0 ),
+		);
+	}
+
 	/**
 	 * Handle import shortcodes.
 	 *
+	 * Imports the shortcodes of an export file previewed in the admin page,
+	 * using the skip, overwrite or rename choice made for each of them.
+	 * Nothing is written unless every imported shortcode passes validation.
+	 *
 	 * @since 1.53
 	 *
 	 * @return string Success or error message.
@@ -633,24 +1447,364 @@ class WP_Shortcode_Exec_PHP_Admin {
 			return '<div class="notice notice-error"><p>' . esc_html__( 'You do not have permission to import shortcodes.', 'shortcode-exec-php' ) . '</p></div>';
 		}
 
-		// Implementation for import functionality would go here.
-		return '<div class="notice notice-info"><p>' . esc_html__( 'Import functionality is not yet implemented in this version.', 'shortcode-exec-php' ) . '</p></div>';
+		$import_data = isset( $_POST['scep_import_data'] ) ? wp_unslash( $_POST['scep_import_data'] ) : '';
+		$actions = isset( $_POST['scep_import_action'] ) && is_array( $_POST['scep_import_action'] ) ? array_map( 'sanitize_key', wp_unslash( $_POST['scep_import_action'] ) ) : array();
+		$renames = isset( $_POST['scep_import_rename'] ) && is_array( $_POST['scep_import_rename'] ) ? array_map( 'sanitize_text_field', wp_unslash( $_POST['scep_import_rename'] ) ) : array();
+
+		$items = $this->parse_import_data( $import_data );
+		if ( is_wp_error( $items ) ) {
+			return '<div class="notice notice-error"><p>' . esc_html( $items->get_error_message() ) . '</p></div>';
+		}
+
+		list( $plan, $errors ) = $this->plan_import( $items, $actions, $renames );
+
+		if ( ! empty( $errors ) ) {
+			return '<div class="notice notice-error"><p>' . esc_html__( 'Nothing was imported because of the following problems:', 'shortcode-exec-php' ) . '</p><ul><li>' . implode( '</li><li>', array_map( 'esc_html', $errors ) ) . '</li></ul></div>';
+		}
+
+		if ( empty( $plan ) ) {
+			return '<div class="notice notice-info"><p>' . esc_html__( 'No shortcodes were selected for import.', 'shortcode-exec-php' ) . '</p></div>';
+		}
+
+		foreach ( $plan as $entry ) {
+			$this->import_shortcode( $entry['name'], $entry['item'] );
+		}
+		$this->shortcodes_changed = true;
+
+		return '<div class="notice notice-success"><p>' . sprintf(
+			/* translators: 1: Number of shortcodes, 2: Comma-separated shortcode names */
+			esc_html( _n( 'Imported %1$d shortcode: %2$s', 'Imported %1$d shortcodes: %2$s', count( $plan ), 'shortcode-exec-php' ) ),
+			count( $plan ),
+			'<code>' . implode( '</code>, <code>', array_map( 'esc_html', wp_list_pluck( $plan, 'name' ) ) ) . '</code>'
+		) . '</p></div>';
+	}
+
+	/**
+	 * Describe the shortcodes in an export file before importing it.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $json Contents of the export file.
+	 * @return array|WP_Error List of shortcodes with their conflicts and a
+	 *                        suggested new name, or WP_Error if the file is invalid.
+	 */
+	public function preview_import( $json ) {
+		$items = $this->parse_import_data( $json );
+		if ( is_wp_error( $items ) ) {
+			return new WP_Error( $items->get_error_code(), $items->get_error_message(), array( 'status' => 400 ) );
+		}
+
+		$shortcode_names = get_option( 'scep_names', array() );
+		$taken = array_merge( $shortcode_names, wp_list_pluck( $items, 'name' ) );
+		$rows = array();
+
+		foreach ( $items as $item ) {
+			$exists = in_array( $item['name'], $shortcode_names, true );
+			$rename = $exists ? $this->get_unique_shortcode_name( $item['name'], $taken ) : '';
+			$taken[] = $rename;
+
+			$rows[] = array(
+				'name'        => $item['name'],
+				'description' => wp_strip_all_tags( $item['description'] ),
+				'enabled'     => $item['enabled'],
+				'exists'      => $exists,
+				'rename'      => $rename,
+				'error'       => $item['error'],
+			);
+		}
+
+		return $rows;
 	}
 
 	/**
 	 * Handle export shortcodes.
 	 *
-	 * @since 1.53
+	 * Sends the requested shortcodes, or all of them, as a JSON file download.
 	 *
-	 * @return string Success or error message.
+	 * @since 1.53
 	 */
 	private function handle_export_shortcodes() {
+		// Verify nonce.
+		$nonce = isset( $_REQUEST['_wpnonce'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['_wpnonce'] ) ) : '';
+		if ( ! WP_Shortcode_Exec_PHP_Security::verify_nonce( $nonce, 'admin_action' ) ) {
+			wp_die( esc_html__( 'Security check failed.', 'shortcode-exec-php' ), 403 );
+		}
+
 		// Check capability.
 		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'export_shortcodes' ) ) {
-			return '<div class="notice notice-error"><p>' . esc_html__( 'You do not have permission to export shortcodes.', 'shortcode-exec-php' ) . '</p></div>';
+			wp_die( esc_html__( 'You do not have permission to export shortcodes.', 'shortcode-exec-php' ), 403 );
+		}
+
+		$shortcode_names = get_option( 'scep_names', array() );
+		if ( isset( $_POST['shortcodes'] ) && is_array( $_POST['shortcodes'] ) ) {
+			$shortcode_names = array_intersect( $shortcode_names, array_map( 'sanitize_text_field', wp_unslash( $_POST['shortcodes'] ) ) );
+		}
+
+		$filename = sprintf(
+			'shortcode-exec-php-%s-%s.json',
+			sanitize_file_name( (string) wp_parse_url( home_url(), PHP_URL_HOST ) ),
+			gmdate( 'Y-m-d' )
+		);
+
+		nocache_headers();
+		header( 'Content-Type: application/json; charset=' . get_option( 'blog_charset' ) );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		// JSON file contents, not HTML.
+		echo wp_json_encode( $this->get_export_data( $shortcode_names ), JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		exit;
+	}
+
+	/**
+	 * Build the export file contents for a list of shortcodes.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $shortcode_names Names of the shortcodes to export.
+	 * @return array Export data.
+	 */
+	private function get_export_data( $shortcode_names ) {
+		$shortcodes = array();
+
+		foreach ( $shortcode_names as $name ) {
+			$shortcode = $this->get_shortcode_data( $name );
+
+			$shortcodes[] = array(
+				'name'        => $shortcode['name'],
+				'description' => $shortcode['description'],
+				'enabled'     => $shortcode['enabled'],
+				'buffer'      => $shortcode['buffer'],
+				'code'        => $shortcode['code'],
+				'params'      => is_array( $shortcode['params'] ) ? $shortcode['params'] : array(),
+				'schema'      => is_array( $shortcode['schema'] ) ? $shortcode['schema'] : array(),
+				'block'       => $shortcode['block'],
+			);
+		}
+
+		return array(
+			'format'         => self::EXPORT_FORMAT,
+			'version'        => self::EXPORT_VERSION,
+			'plugin_version' => WP_Shortcode_Exec_PHP::VERSION,
+			'site'           => home_url(),
+			'exported'       => gmdate( 'c' ),
+			'shortcodes'     => $shortcodes,
+		);
+	}
+
+	/**
+	 * Parse and validate the contents of an export file.
+	 *
+	 * Each shortcode is returned with an error message if its name is invalid,
+	 * it appears twice, or its code does not pass sanitize_php_code().
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $json The export file contents.
+	 * @return array|WP_Error List of shortcodes, or WP_Error if the file cannot be read.
+	 */
+	private function parse_import_data( $json ) {
+		$data = is_string( $json ) ? json_decode( $json, true ) : null;
+
+		if ( ! is_array( $data ) || ! isset( $data['format'], $data['version'], $data['shortcodes'] ) || self::EXPORT_FORMAT !== $data['format'] || ! is_array( $data['shortcodes'] ) ) {
+			return new WP_Error( 'invalid_import', __( 'The file is not a Shortcode Exec PHP export.', 'shortcode-exec-php' ) );
+		}
+
+		if ( (int) $data['version'] < 1 || (int) $data['version'] > self::EXPORT_VERSION ) {
+			return new WP_Error(
+				'unsupported_import_version',
+				/* translators: %d: Export format version */
+				sprintf( __( 'Export format version %d is not supported by this version of the plugin.', 'shortcode-exec-php' ), (int) $data['version'] )
+			);
+		}
+
+		$items = array();
+		$seen = array();
+
+		foreach ( $data['shortcodes'] as $entry ) {
+			$entry = is_array( $entry ) ? $entry : array();
+
+			$item = array(
+				'name'        => isset( $entry['name'] ) && is_string( $entry['name'] ) ? sanitize_text_field( $entry['name'] ) : '',
+				'description' => isset( $entry['description'] ) && is_string( $entry['description'] ) ? WP_Shortcode_Exec_PHP_Security::sanitize_shortcode_description( $entry['description'] ) : '',
+				'enabled'     => ! empty( $entry['enabled'] ),
+				'buffer'      => ! empty( $entry['buffer'] ),
+				'code'        => '',
+				'params'      => $this->sanitize_import_params( isset( $entry['params'] ) ? $entry['params'] : array() ),
+				'schema'      => WP_Shortcode_Exec_PHP_Security::sanitize_param_schema( isset( $entry['schema'] ) ? $entry['schema'] : array() ),
+				'block'       => WP_Shortcode_Exec_PHP_Security::sanitize_block_settings( isset( $entry['block'] ) ? $entry['block'] : array() ),
+				'error'       => '',
+			);
+
+			$sanitized_code = WP_Shortcode_Exec_PHP_Security::sanitize_php_code( isset( $entry['code'] ) ? $entry['code'] : '' );
+
+			if ( ! WP_Shortcode_Exec_PHP_Security::validate_shortcode_name( $item['name'] ) ) {
+				$item['error'] = __( 'Invalid shortcode name.', 'shortcode-exec-php' );
+			} elseif ( isset( $seen[ $item['name'] ] ) ) {
+				$item['error'] = __( 'This shortcode appears more than once in the file.', 'shortcode-exec-php' );
+			} elseif ( is_wp_error( $sanitized_code ) ) {
+				$item['error'] = __( 'Code validation failed: ', 'shortcode-exec-php' ) . $sanitized_code->get_error_message();
+			} else {
+				$item['code'] = $sanitized_code;
+			}
+
+			$seen[ $item['name'] ] = true;
+			$items[] = $item;
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Sanitize the recorded parameters of an imported shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param mixed $params The imported parameters.
+	 * @return array Sanitized parameters.
+	 */
+	private function sanitize_import_params( $params ) {
+		$sanitized = array();
+
+		if ( ! is_array( $params ) ) {
+			return $sanitized;
+		}
+
+		foreach ( $params as $key => $value ) {
+			$key = sanitize_key( $key );
+			if ( '' !== $key && is_scalar( $value ) ) {
+				$sanitized[ $key ] = sanitize_text_field( (string) $value );
+			}
+		}
+
+		return $sanitized;
+	}
+
+	/**
+	 * Resolve the names the previewed shortcodes are imported under.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $items   Shortcodes parsed from the export file.
+	 * @param array $actions Chosen action per shortcode index: import, skip, overwrite or rename.
+	 * @param array $renames New name per shortcode index, for the rename action.
+	 * @return array Array containing the list of shortcodes to import and a list of errors.
+	 */
+	private function plan_import( $items, $actions, $renames ) {
+		$shortcode_names = get_option( 'scep_names', array() );
+		$plan = array();
+		$errors = array();
+		$targets = array();
+
+		foreach ( $items as $index => $item ) {
+			$exists = in_array( $item['name'], $shortcode_names, true );
+			$action = isset( $actions[ $index ] ) ? $actions[ $index ] : ( $exists ? 'skip' : 'import' );
+			$label = '' !== $item['name'] ? $item['name'] : __( '(unnamed)', 'shortcode-exec-php' );
+
+			if ( 'skip' === $action ) {
+				continue;
+			}
+
+			if ( '' !== $item['error'] ) {
+				$errors[] = $label . ': ' . $item['error'];
+				continue;
+			}
+
+			$target = $item['name'];
+
+			if ( 'rename' === $action ) {
+				$target = isset( $renames[ $index ] ) ? $renames[ $index ] : '';
+
+				if ( ! WP_Shortcode_Exec_PHP_Security::validate_shortcode_name( $target ) ) {
+					/* translators: %s: New shortcode name */
+					$errors[] = $label . ': ' . sprintf( __( '%s is not a valid shortcode name.', 'shortcode-exec-php' ), $target );
+					continue;
+				}
+
+				if ( in_array( $target, $shortcode_names, true ) ) {
+					/* translators: %s: New shortcode name */
+					$errors[] = $label . ': ' . sprintf( __( 'A shortcode named %s already exists.', 'shortcode-exec-php' ), $target );
+					continue;
+				}
+			} elseif ( 'overwrite' !== $action && $exists ) {
+				$errors[] = $label . ': ' . __( 'A shortcode with this name already exists. Choose to skip, overwrite or rename it.', 'shortcode-exec-php' );
+				continue;
+			}
+
+			if ( isset( $targets[ $target ] ) ) {
+				/* translators: %s: Shortcode name */
+				$errors[] = $label . ': ' . sprintf( __( 'More than one shortcode would be imported as %s.', 'shortcode-exec-php' ), $target );
+				continue;
+			}
+
+			$targets[ $target ] = true;
+			$plan[] = array(
+				'name' => $target,
+				'item' => $item,
+			);
+		}
+
+		return array( $plan, $errors );
+	}
+
+	/**
+	 * Write an imported shortcode, replacing an existing one of the same name.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name The name to import the shortcode as.
+	 * @param array  $item           The validated shortcode from the export file.
+	 */
+	private function import_shortcode( $shortcode_name, $item ) {
+		$shortcode_names = get_option( 'scep_names', array() );
+		$exists = in_array( $shortcode_name, $shortcode_names, true );
+		$previous_code = $exists ? get_option( 'scep_phpcode_' . $shortcode_name, null ) : null;
+
+		if ( ! $exists ) {
+			$shortcode_names[] = $shortcode_name;
+			update_option( 'scep_names', $shortcode_names, true );
 		}
 
-		// Implementation for export functionality would go here.
-		return '<div class="notice notice-info"><p>' . esc_html__( 'Export functionality is not yet implemented in this version.', 'shortcode-exec-php' ) . '</p></div>';
+		update_option( 'scep_enabled_' . $shortcode_name, $item['enabled'], false );
+		update_option( 'scep_buffer_' . $shortcode_name, $item['buffer'], false );
+		update_option( 'scep_description_' . $shortcode_name, $item['description'], false );
+		update_option( 'scep_phpcode_' . $shortcode_name, $item['code'], false );
+		update_option( 'scep_schema_' . $shortcode_name, $item['schema'], false );
+		update_option( 'scep_block_' . $shortcode_name, $item['block'], false );
+		$this->touch_shortcode( $shortcode_name );
+
+		if ( ! empty( $item['params'] ) ) {
+			update_option( 'scep_param_' . $shortcode_name, $item['params'], false );
+		}
+
+		$this->record_revision( $shortcode_name, $item['code'], __( 'Imported', 'shortcode-exec-php' ), $previous_code );
+
+		// Log the action.
+		WP_Shortcode_Exec_PHP_Security::log_code_execution(
+			$shortcode_name,
+			'imported',
+			sprintf( 'Shortcode %s by import by user %d', $exists ? 'overwritten' : 'created', get_current_user_id() )
+		);
+	}
+
+	/**
+	 * Get a shortcode name that is not taken, by appending a number.
+	 *
+	 * The preferred name is shortened when needed to keep the result within
+	 * the length validate_shortcode_name() accepts.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $name  The preferred name.
+	 * @param array  $taken Names that are already taken.
+	 * @return string An unused name.
+	 */
+	private function get_unique_shortcode_name( $name, $taken ) {
+		$suffix = 2;
+		do {
+			$candidate = substr( $name, 0, 50 - strlen( '-' . $suffix ) ) . '-' . $suffix;
+			$suffix++;
+		} while ( in_array( $candidate, $taken, true ) );
+
+		return $candidate;
 	}
 }
\ No newline at end of file
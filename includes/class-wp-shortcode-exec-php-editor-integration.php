@@ -22,6 +22,24 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class WP_Shortcode_Exec_PHP_Editor_Integration {
 	
+	/**
+	 * User option of the favorite and recently used shortcodes, prefixed per site
+	 *
+	 * @since 1.54
+	 *
+	 * @var string
+	 */
+	const PICKER_META_KEY = 'scep_picker';
+	
+	/**
+	 * Number of recently used shortcodes kept for each user
+	 *
+	 * @since 1.54
+	 *
+	 * @var int
+	 */
+	const MAX_RECENT_SHORTCODES = 8;
+	
 	/**
 	 * Plugin version for cache busting
 	 *
@@ -61,15 +79,13 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 		add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_block_editor_assets' ) );
 		add_action( 'init', array( $this, 'register_gutenberg_blocks' ) );
 		
-		// Classic Editor (TinyMCE) integration  
-		add_action( 'admin_enqueue_scripts', array( $this, 'enqueue_classic_editor_assets' ) );
+		// Classic Editor (TinyMCE) integration of every wp_editor() instance
+		add_action( 'wp_enqueue_editor', array( $this, 'enqueue_classic_editor_assets' ) );
 		add_filter( 'mce_external_plugins', array( $this, 'register_tinymce_plugin' ) );
 		add_filter( 'mce_buttons', array( $this, 'register_tinymce_button' ) );
 		
-		// AJAX handlers for both editors
-		add_action( 'wp_ajax_scep_get_shortcodes', array( $this, 'ajax_get_shortcodes' ) );
-		add_action( 'wp_ajax_scep_insert_shortcode', array( $this, 'ajax_insert_shortcode' ) );
-		add_action( 'wp_ajax_scep_preview_shortcode', array( $this, 'ajax_preview_shortcode' ) );
+		// Quicktags button of the Text tab and other wp_editor() instances
+		add_action( 'wp_enqueue_editor', array( $this, 'enqueue_quicktags_assets' ) );
 		
 		// Editor detection and compatibility
 		add_action( 'admin_init', array( $this, 'detect_editor_environment' ) );
@@ -129,12 +145,28 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 				),
 			),
 		) );
+		
+		// Register the simple shortcode block, rendered on the server since 1.54
+		register_block_type( 'shortcode-exec-php/simple-shortcode', array(
+			'editor_script' => 'shortcode-exec-php-blocks',
+			'editor_style'  => 'shortcode-exec-php-blocks-editor',
+			'style'         => 'shortcode-exec-php-blocks-style',
+			'render_callback' => array( $this, 'render_simple_shortcode_block' ),
+			'attributes' => array(
+				'shortcodeName' => array(
+					'type' => 'string',
+					'default' => '',
+				),
+			),
+		) );
 	}
 	
 	/**
 	 * Enqueue Block Editor assets
 	 */
 	public function enqueue_block_editor_assets() {
+		$this->register_picker_script();
+		
 		// Block Editor JavaScript
 		wp_enqueue_script(
 			'shortcode-exec-php-blocks',
@@ -146,7 +178,10 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 				'wp-components',
 				'wp-data',
 				'wp-api-fetch',
-				'wp-i18n'
+				'wp-i18n',
+				'shortcode',
+				'shortcode-exec-php-store',
+				'shortcode-exec-php-picker'
 			),
 			$this->version,
 			true
@@ -156,7 +191,7 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 		wp_enqueue_style(
 			'shortcode-exec-php-blocks-editor',
 			$this->plugin_url . 'css/blocks-editor.css',
-			array( 'wp-edit-blocks' ),
+			array( 'wp-edit-blocks', 'shortcode-exec-php-picker' ),
 			$this->version
 		);
 		
@@ -173,9 +208,6 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 			'shortcode-exec-php-blocks',
 			'shortcodeExecPHP',
 			array(
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce' => wp_create_nonce( 'scep_editor_nonce' ),
-				'shortcodes' => $this->get_available_shortcodes(),
 				'i18n' => array(
 					'selectShortcode' => __( 'Select a shortcode', 'shortcode-exec-php' ),
 					'shortcodeName' => __( 'Shortcode Name', 'shortcode-exec-php' ),
@@ -194,56 +226,250 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 	/**
 	 * Enqueue Classic Editor assets
 	 *
-	 * @param string $hook Current admin page hook
+	 * Runs for every wp_editor() instance loading TinyMCE, the same ones
+	 * the TinyMCE plugin and button are added to, so the button always
+	 * finds the modal.
+	 *
+	 * @param array $to_load Whether the editor loads TinyMCE and Quicktags
 	 */
-	public function enqueue_classic_editor_assets( $hook ) {
-		// Only load on post editing screens
-		if ( ! in_array( $hook, array( 'post.php', 'post-new.php' ), true ) ) {
+	public function enqueue_classic_editor_assets( $to_load ) {
+		if ( empty( $to_load['tinymce'] ) || ! $this->should_load_tinymce_plugin() ) {
 			return;
 		}
 		
-		// Only if rich editing is enabled and not using block editor
-		if ( get_user_option( 'rich_editing' ) !== 'true' ) {
+		$this->register_modal_script();
+		
+		// Shortcode previews in the Visual editor, and the modal the TinyMCE plugin opens
+		wp_enqueue_script(
+			'shortcode-exec-php-tinymce',
+			$this->plugin_url . 'js/tinymce-views.js',
+			array( 'jquery', 'wp-util', 'mce-view', 'shortcode-exec-php-modal' ),
+			$this->version,
+			true
+		);
+		
+		wp_enqueue_style( 'shortcode-exec-php-modal' );
+	}
+	
+	/**
+	 * Enqueue the Quicktags button
+	 *
+	 * Runs for every wp_editor() instance, in the admin and on the front
+	 * end, so the Text tab and other Quicktags toolbars get the button.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $to_load Whether the editor loads TinyMCE and Quicktags
+	 */
+	public function enqueue_quicktags_assets( $to_load ) {
+		if ( empty( $to_load['quicktags'] ) || ! $this->can_use_editor_buttons() ) {
 			return;
 		}
 		
-		$screen = get_current_screen();
-		if ( $screen && function_exists( 'use_block_editor_for_post_type' ) ) {
-			if ( use_block_editor_for_post_type( $screen->post_type ) ) {
-				return; // Block editor is active, skip TinyMCE assets
-			}
-		}
+		$this->register_modal_script();
 		
-		// Modern TinyMCE integration assets
 		wp_enqueue_script(
-			'shortcode-exec-php-tinymce',
-			$this->plugin_url . 'js/tinymce-modern.js',
-			array( 'jquery', 'wp-util' ),
+			'shortcode-exec-php-quicktags',
+			$this->plugin_url . 'js/quicktags.js',
+			array( 'quicktags', 'shortcode-exec-php-modal' ),
 			$this->version,
 			true
 		);
 		
-		// TinyMCE modal styles
-		wp_enqueue_style(
-			'shortcode-exec-php-tinymce',
+		wp_enqueue_style( 'shortcode-exec-php-modal' );
+	}
+	
+	/**
+	 * Register the shortcode modal shared by the TinyMCE plugin and the Quicktags button
+	 *
+	 * @since 1.54
+	 */
+	private function register_modal_script() {
+		if ( wp_script_is( 'shortcode-exec-php-modal', 'registered' ) ) {
+			return;
+		}
+		
+		$this->register_picker_script();
+		
+		wp_register_script(
+			'shortcode-exec-php-modal',
+			$this->plugin_url . 'js/shortcode-modal.js',
+			array( 'jquery', 'shortcode', 'shortcode-exec-php-store', 'shortcode-exec-php-picker' ),
+			$this->version,
+			true
+		);
+		
+		// Modal styles
+		wp_register_style(
+			'shortcode-exec-php-modal',
 			$this->plugin_url . 'css/tinymce-modal.css',
-			array(),
+			array( 'shortcode-exec-php-picker' ),
 			$this->version
 		);
 		
 		// Localize script data
+		// Named apart from the blocks script data, as the Classic block loads both
 		wp_localize_script(
-			'shortcode-exec-php-tinymce',
-			'shortcodeExecPHP',
+			'shortcode-exec-php-modal',
+			'shortcodeExecPHPModal',
 			array(
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonce' => wp_create_nonce( 'scep_editor_nonce' ),
-				'shortcodes' => $this->get_available_shortcodes(),
 				'modalTitle' => __( 'Insert PHP Shortcode', 'shortcode-exec-php' ),
+				'noOutput' => __( 'This shortcode has no output.', 'shortcode-exec-php' ),
+				'editTitle' => __( 'Edit PHP Shortcode', 'shortcode-exec-php' ),
+				'updateButton' => __( 'Update Shortcode', 'shortcode-exec-php' ),
+				'quicktagsLabel' => __( 'PHP shortcode', 'shortcode-exec-php' ),
+				'pickerLabel' => __( 'Select Shortcode', 'shortcode-exec-php' ),
 			)
 		);
 	}
 	
+	/**
+	 * Register the shared data store script
+	 *
+	 * The store holds the shortcode list and previews for all editor
+	 * integrations and talks to the REST API. The list is printed with the
+	 * page, so an editor session only requests it again after shortcodes change.
+	 *
+	 * @since 1.54
+	 */
+	private function register_store_script() {
+		if ( wp_script_is( 'shortcode-exec-php-store', 'registered' ) ) {
+			return;
+		}
+		
+		wp_register_script(
+			'shortcode-exec-php-store',
+			$this->plugin_url . 'js/store.js',
+			array( 'wp-data', 'wp-api-fetch', 'wp-i18n' ),
+			$this->version,
+			true
+		);
+		
+		wp_localize_script(
+			'shortcode-exec-php-store',
+			'shortcodeExecPHPStore',
+			array(
+				'shortcodes' => $this->get_available_shortcodes(),
+				'picker' => $this->get_picker_preferences(),
+			)
+		);
+		
+		wp_set_script_translations( 'shortcode-exec-php-store', 'shortcode-exec-php' );
+	}
+	
+	/**
+	 * Register the shortcode picker shared by the block editor and the classic editor
+	 *
+	 * @since 1.54
+	 */
+	private function register_picker_script() {
+		if ( wp_script_is( 'shortcode-exec-php-picker', 'registered' ) ) {
+			return;
+		}
+		
+		$this->register_store_script();
+		
+		wp_register_script(
+			'shortcode-exec-php-picker',
+			$this->plugin_url . 'js/shortcode-picker.js',
+			array( 'wp-element', 'wp-data', 'wp-i18n', 'shortcode-exec-php-store' ),
+			$this->version,
+			true
+		);
+		
+		wp_register_style(
+			'shortcode-exec-php-picker',
+			$this->plugin_url . 'css/shortcode-picker.css',
+			array( 'dashicons' ),
+			$this->version
+		);
+		
+		wp_set_script_translations( 'shortcode-exec-php-picker', 'shortcode-exec-php' );
+	}
+	
+	/**
+	 * Get the favorite and recently used shortcodes of the current user
+	 *
+	 * Shortcodes deleted or renamed since are left out.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Favorite and recently used shortcode names, most recent first
+	 */
+	public function get_picker_preferences() {
+		$preferences = $this->get_stored_picker_preferences();
+		$names = get_option( 'scep_names', array() );
+		$names = is_array( $names ) ? $names : array();
+		
+		return array(
+			'favorites' => array_values( array_intersect( $preferences['favorites'], $names ) ),
+			'recent' => array_values( array_intersect( $preferences['recent'], $names ) ),
+		);
+	}
+	
+	/**
+	 * Pin a shortcode to the picker of the current user, or unpin it
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $name     Shortcode name
+	 * @param bool   $favorite Whether the shortcode is a favorite
+	 * @return array Favorite and recently used shortcode names
+	 */
+	public function set_favorite_shortcode( $name, $favorite ) {
+		$preferences = $this->get_stored_picker_preferences();
+		$preferences['favorites'] = array_values( array_diff( $preferences['favorites'], array( $name ) ) );
+		
+		if ( $favorite ) {
+			$preferences['favorites'][] = $name;
+		}
+		
+		update_user_option( get_current_user_id(), self::PICKER_META_KEY, $preferences );
+		return $this->get_picker_preferences();
+	}
+	
+	/**
+	 * Record that the current user inserted a shortcode
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $name Shortcode name
+	 * @return array Favorite and recently used shortcode names
+	 */
+	public function add_recent_shortcode( $name ) {
+		$preferences = $this->get_stored_picker_preferences();
+		$recent = array_diff( $preferences['recent'], array( $name ) );
+		array_unshift( $recent, $name );
+		$preferences['recent'] = array_slice( $recent, 0, self::MAX_RECENT_SHORTCODES );
+		
+		update_user_option( get_current_user_id(), self::PICKER_META_KEY, $preferences );
+		return $this->get_picker_preferences();
+	}
+	
+	/**
+	 * Get the picker preferences of the current user as stored for this site
+	 *
+	 * Kept per site, as each site of a network has its own shortcodes.
+	 * Names of shortcodes deleted since are kept here and only left out
+	 * by get_picker_preferences().
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Stored favorite and recently used shortcode names
+	 */
+	private function get_stored_picker_preferences() {
+		$preferences = get_user_option( self::PICKER_META_KEY );
+		
+		$get_list = function ( $key ) use ( $preferences ) {
+			return is_array( $preferences ) && isset( $preferences[ $key ] ) && is_array( $preferences[ $key ] ) ? array_values( $preferences[ $key ] ) : array();
+		};
+		
+		return array(
+			'favorites' => $get_list( 'favorites' ),
+			'recent' => $get_list( 'recent' ),
+		);
+	}
+	
 	/**
 	 * Register TinyMCE plugin
 	 *
@@ -252,7 +478,7 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 	 */
 	public function register_tinymce_plugin( $plugins ) {
 		if ( $this->should_load_tinymce_plugin() ) {
-			$plugins['shortcodeExecPHP'] = $this->plugin_url . 'js/tinymce-plugin-modern.js';
+			$plugins['shortcodeExecPHP'] = $this->plugin_url . 'js/tinymce-plugin.js';
 		}
 		return $plugins;
 	}
@@ -270,19 +496,37 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 		return $buttons;
 	}
 	
+	/**
+	 * Check if the classic editor buttons are enabled for the current user
+	 *
+	 * The buttons are enabled in the plugin settings, for users with the
+	 * capability chosen there.
+	 *
+	 * @since 1.54
+	 *
+	 * @return bool
+	 */
+	private function can_use_editor_buttons() {
+		return get_option( 'scep_tinymce', false ) && current_user_can( get_option( 'scep_tinymce_cap', 'edit_posts' ) );
+	}
+	
 	/**
 	 * Check if TinyMCE plugin should be loaded
 	 *
 	 * @return bool
 	 */
 	private function should_load_tinymce_plugin() {
+		if ( ! $this->can_use_editor_buttons() ) {
+			return false;
+		}
+		
 		// Don't load if user can't use visual editor
 		if ( get_user_option( 'rich_editing' ) !== 'true' ) {
 			return false;
 		}
 		
 		// Don't load if block editor is active
-		$screen = get_current_screen();
+		$screen = function_exists( 'get_current_screen' ) ? get_current_screen() : null;
 		if ( $screen && function_exists( 'use_block_editor_for_post_type' ) ) {
 			if ( use_block_editor_for_post_type( $screen->post_type ) ) {
 				return false;
@@ -295,6 +539,9 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 	/**
 	 * Get available shortcodes for editor integration
 	 *
+	 * Returns the enabled shortcodes as listed by the REST API, so the list
+	 * printed with the page matches the one the editors request later.
+	 *
 	 * @return array Array of shortcode data
 	 */
 	public function get_available_shortcodes() {
@@ -302,35 +549,25 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 			return $this->shortcodes_cache;
 		}
 		
-		$shortcodes = array();
-		$names = get_option( 'wp_scep_shortcode_names', array() );
-		
-		if ( ! empty( $names ) && is_array( $names ) ) {
-			foreach ( $names as $name ) {
-				$enabled = get_option( "wp_scep_enabled_{$name}", false );
-				$description = get_option( "wp_scep_description_{$name}", '' );
-				
-				if ( $enabled ) {
-					$shortcodes[] = array(
-						'name' => sanitize_text_field( $name ),
-						'description' => sanitize_text_field( $description ),
-						'label' => sprintf( '[%s] - %s', $name, $description ),
-					);
-				}
-			}
-		}
+		$request = new WP_REST_Request( 'GET', '/shortcode-exec-php/v1/shortcodes' );
+		$request->set_param( 'enabled', true );
+		$response = rest_do_request( $request );
 		
-		$this->shortcodes_cache = $shortcodes;
-		return $shortcodes;
+		$this->shortcodes_cache = $response->is_error() ? array() : rest_get_server()->response_to_data( $response, false );
+		return $this->shortcodes_cache;
 	}
 	
 	/**
 	 * Render shortcode block for Gutenberg
 	 *
-	 * @param array $attributes Block attributes
+	 * Blocks of enclosing shortcodes pass the HTML of their nested blocks
+	 * as the shortcode content instead of the content attribute.
+	 *
+	 * @param array  $attributes Block attributes
+	 * @param string $content    Rendered nested blocks
 	 * @return string Rendered shortcode output
 	 */
-	public function render_shortcode_block( $attributes ) {
+	public function render_shortcode_block( $attributes, $content = '' ) {
 		if ( empty( $attributes['shortcodeName'] ) ) {
 			return '<div class="shortcode-exec-php-placeholder">' . 
 				   esc_html__( 'Select a shortcode to display', 'shortcode-exec-php' ) . 
@@ -339,7 +576,10 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 		
 		$shortcode_name = sanitize_text_field( $attributes['shortcodeName'] );
 		$parameters = isset( $attributes['parameters'] ) ? $attributes['parameters'] : array();
-		$content = isset( $attributes['content'] ) ? $attributes['content'] : '';
+		
+		if ( ! $this->is_enclosing_shortcode( $shortcode_name ) ) {
+			$content = isset( $attributes['content'] ) ? $attributes['content'] : '';
+		}
 		
 		// Build shortcode string
 		$shortcode_string = "[{$shortcode_name}";
@@ -363,108 +603,196 @@ class WP_Shortcode_Exec_PHP_Editor_Integration {
 	}
 	
 	/**
-	 * AJAX handler to get available shortcodes
+	 * Render simple shortcode block
+	 *
+	 * Shortcodes that were deleted, renamed or disabled after the block was
+	 * added render a placeholder instead. Only users who can edit posts are
+	 * told which shortcode is missing.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $attributes Block attributes
+	 * @return string Rendered shortcode output or placeholder
 	 */
-	public function ajax_get_shortcodes() {
-		// Verify nonce
-		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'scep_editor_nonce' ) ) {
-			wp_die( esc_html__( 'Security check failed', 'shortcode-exec-php' ) );
+	public function render_simple_shortcode_block( $attributes ) {
+		$shortcode_name = isset( $attributes['shortcodeName'] ) ? sanitize_text_field( $attributes['shortcodeName'] ) : '';
+		
+		if ( '' === $shortcode_name ) {
+			return '<div class="shortcode-exec-php-placeholder">' . 
+				   esc_html__( 'Select a shortcode to display', 'shortcode-exec-php' ) . 
+				   '</div>';
 		}
 		
-		// Check permissions
-		if ( ! current_user_can( 'edit_posts' ) ) {
-			wp_die( esc_html__( 'Insufficient permissions', 'shortcode-exec-php' ) );
+		$names = get_option( 'scep_names', array() );
+		if ( ! is_array( $names ) || ! in_array( $shortcode_name, $names, true ) ) {
+			/* translators: %s: Shortcode name */
+			return $this->render_unavailable_placeholder( __( 'The shortcode [%s] no longer exists.', 'shortcode-exec-php' ), $shortcode_name );
+		}
+		
+		if ( ! get_option( 'scep_enabled_' . $shortcode_name, false ) ) {
+			/* translators: %s: Shortcode name */
+			return $this->render_unavailable_placeholder( __( 'The shortcode [%s] is disabled.', 'shortcode-exec-php' ), $shortcode_name );
 		}
 		
-		wp_send_json_success( $this->get_available_shortcodes() );
+		return do_shortcode( "[{$shortcode_name}]" );
 	}
 	
 	/**
-	 * AJAX handler for shortcode insertion
+	 * Render the placeholder of a block whose shortcode is unavailable
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $message        Message for editors, with a %s for the shortcode name
+	 * @param string $shortcode_name Shortcode name
+	 * @return string Placeholder HTML
 	 */
-	public function ajax_insert_shortcode() {
-		// Verify nonce
-		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'scep_editor_nonce' ) ) {
-			wp_die( esc_html__( 'Security check failed', 'shortcode-exec-php' ) );
-		}
-		
-		// Check permissions
+	private function render_unavailable_placeholder( $message, $shortcode_name ) {
 		if ( ! current_user_can( 'edit_posts' ) ) {
-			wp_die( esc_html__( 'Insufficient permissions', 'shortcode-exec-php' ) );
+			$message = __( 'This content is not available.', 'shortcode-exec-php' );
 		}
 		
-		$shortcode_name = sanitize_text_field( $_POST['shortcode'] ?? '' );
-		$parameters = $_POST['parameters'] ?? array();
-		$content = sanitize_textarea_field( $_POST['content'] ?? '' );
+		return '<div class="shortcode-exec-php-placeholder is-unavailable">' . 
+			   esc_html( sprintf( $message, $shortcode_name ) ) . 
+			   '</div>';
+	}
+	
+	/**
+	 * Check whether a shortcode wraps nested blocks
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_name Shortcode name
+	 * @return bool
+	 */
+	private function is_enclosing_shortcode( $shortcode_name ) {
+		$block_settings = WP_Shortcode_Exec_PHP_Security::sanitize_block_settings( get_option( 'scep_block_' . $shortcode_name, array() ) );
+		return $block_settings['enclosing'];
+	}
+	
+	/**
+	 * Render a shortcode preview for the editors
+	 *
+	 * Block previews send their attributes and nested blocks, which are
+	 * rendered through render_shortcode_block() like on the front end.
+	 * Other clients send a shortcode string. When a post ID is given, the
+	 * shortcode runs with that post set up as the global post and the main
+	 * query.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $shortcode_string Shortcode text, used without block attributes
+	 * @param array  $attributes       Block attributes, if rendering a block
+	 * @param int    $post_id          ID of the post being edited, or 0
+	 * @param string $inner_blocks     Serialized nested blocks, if rendering a block
+	 * @return array Rendered preview with its escaped source, styles and scripts
+	 */
+	public function render_preview( $shortcode_string, $attributes, $post_id, $inner_blocks = '' ) {
+		// Render against the post being edited
+		$previous_context = $post_id ? $this->setup_preview_post( $post_id ) : null;
 		
-		if ( empty( $shortcode_name ) ) {
-			wp_send_json_error( __( 'Shortcode name is required', 'shortcode-exec-php' ) );
-		}
+		// Load the front-end assets of the theme and plugins, so the preview looks like the site
+		do_action( 'wp_enqueue_scripts' );
+		$scripts_before = wp_scripts()->queue;
 		
-		// Validate shortcode exists
-		$available = $this->get_available_shortcodes();
-		$shortcode_exists = false;
-		foreach ( $available as $shortcode ) {
-			if ( $shortcode['name'] === $shortcode_name ) {
-				$shortcode_exists = true;
-				break;
-			}
+		// Process shortcode in safe environment
+		if ( ! empty( $attributes['shortcodeName'] ) ) {
+			$output = $this->render_shortcode_block( $attributes, do_blocks( $inner_blocks ) );
+		} else {
+			$output = do_shortcode( sanitize_textarea_field( $shortcode_string ) );
 		}
 		
-		if ( ! $shortcode_exists ) {
-			wp_send_json_error( __( 'Invalid shortcode name', 'shortcode-exec-php' ) );
+		if ( $previous_context ) {
+			$this->restore_preview_post( $previous_context );
 		}
 		
-		// Build shortcode string
-		$shortcode_string = "[{$shortcode_name}";
+		return array(
+			'preview' => $output,
+			'html' => esc_html( $output ),
+			'styles' => $this->print_preview_assets( wp_styles(), wp_styles()->queue ),
+			'scripts' => $this->print_preview_assets( wp_scripts(), array_diff( wp_scripts()->queue, $scripts_before ) ),
+		);
+	}
+	
+	/**
+	 * Set up a post as the global post and main query for a preview
+	 *
+	 * @since 1.54
+	 *
+	 * @param int $post_id ID of the post being edited
+	 * @return array The globals replaced, for restore_preview_post()
+	 */
+	private function setup_preview_post( $post_id ) {
+		global $post, $wp_query, $wp_the_query;
 		
-		if ( ! empty( $parameters ) && is_array( $parameters ) ) {
-			foreach ( $parameters as $key => $value ) {
-				$key = sanitize_key( $key );
-				$value = esc_attr( $value );
-				$shortcode_string .= " {$key}=\"{$value}\"";
-			}
+		$previous = array(
+			'post' => $post,
+			'wp_query' => $wp_query,
+			'wp_the_query' => $wp_the_query,
+		);
+		
+		$preview_post = get_post( $post_id );
+		if ( ! $preview_post ) {
+			return $previous;
 		}
 		
-		if ( ! empty( $content ) ) {
-			$shortcode_string .= "]{$content}[/{$shortcode_name}]";
+		// Query the post whatever its status, so drafts preview like published posts
+		$wp_query = new WP_Query( array(
+			'p' => $preview_post->ID,
+			'post_type' => $preview_post->post_type,
+			'post_status' => 'any',
+		) );
+		$wp_the_query = $wp_query;
+		
+		// New posts are auto-drafts, which queries leave out
+		if ( $wp_query->have_posts() ) {
+			$wp_query->the_post();
 		} else {
-			$shortcode_string .= ']';
+			$post = $preview_post;
+			setup_postdata( $post );
 		}
 		
-		wp_send_json_success( array(
-			'shortcode' => $shortcode_string,
-			'name' => $shortcode_name,
-		) );
+		return $previous;
 	}
 	
 	/**
-	 * AJAX handler for shortcode preview
+	 * Restore the globals replaced by setup_preview_post()
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $previous The globals replaced
 	 */
-	public function ajax_preview_shortcode() {
-		// Verify nonce
-		if ( ! wp_verify_nonce( $_POST['nonce'] ?? '', 'scep_editor_nonce' ) ) {
-			wp_die( esc_html__( 'Security check failed', 'shortcode-exec-php' ) );
-		}
-		
-		// Check permissions
-		if ( ! current_user_can( 'edit_posts' ) ) {
-			wp_die( esc_html__( 'Insufficient permissions', 'shortcode-exec-php' ) );
-		}
+	private function restore_preview_post( $previous ) {
+		global $post, $wp_query, $wp_the_query;
 		
-		$shortcode_string = sanitize_textarea_field( $_POST['shortcode'] ?? '' );
+		$wp_query = $previous['wp_query'];
+		$wp_the_query = $previous['wp_the_query'];
+		$post = $previous['post'];
 		
-		if ( empty( $shortcode_string ) ) {
-			wp_send_json_error( __( 'Shortcode is required', 'shortcode-exec-php' ) );
+		if ( $post instanceof WP_Post ) {
+			setup_postdata( $post );
+		}
+	}
+	
+	/**
+	 * Print the tags of enqueued assets for the preview document
+	 *
+	 * Styles include the theme's front-end stylesheets, scripts only those
+	 * enqueued by the shortcode itself.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_Dependencies $dependencies The styles or scripts registry
+	 * @param array           $handles      Handles to print, with their dependencies
+	 * @return string Link, style and script tags
+	 */
+	private function print_preview_assets( $dependencies, $handles ) {
+		if ( empty( $handles ) ) {
+			return '';
 		}
 		
-		// Process shortcode in safe environment
-		$output = do_shortcode( $shortcode_string );
-		
-		wp_send_json_success( array(
-			'preview' => $output,
-			'html' => esc_html( $output ),
-		) );
+		ob_start();
+		$dependencies->do_items( array_values( $handles ) );
+		return ob_get_clean();
 	}
 	
 	/**
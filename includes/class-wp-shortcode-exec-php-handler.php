@@ -33,6 +33,13 @@ class WP_Shortcode_Exec_PHP_Handler {
 	 */
 	private $security;
 
+	/**
+	 * Warnings and notices collected during a diagnostic run.
+	 *
+	 * @var array
+	 */
+	private $notices = array();
+
 	/**
 	 * Constructor.
 	 *
@@ -107,156 +114,426 @@ class WP_Shortcode_Exec_PHP_Handler {
 	 * @return string Execution result or error message.
 	 */
 	private function execute_php_code_securely( $config, $atts, $content, $tag ) {
+		$execution = $this->run_php_code( $config['code'], $this->apply_param_defaults( $config['schema'], $atts ), $content, $tag, array( 'buffer' => $config['buffer'] ) );
+
+		if ( 'success' !== $execution['status'] ) {
+			return $this->get_error_message( $execution['status'], $tag, $execution['error_message'] );
+		}
+
+		// Store last used parameters for admin interface.
+		if ( ! empty( $atts ) && is_array( $atts ) ) {
+			$this->update_last_parameters( $tag, $atts );
+		} else {
+			$this->delete_last_parameters( $tag );
+		}
+
+		// Return combined output and result.
+		$final_output = $execution['output'] . (string) $execution['result'];
+
+		// Sanitize output for safety.
+		return $this->sanitize_output( $final_output );
+	}
+
+	/**
+	 * Test a saved shortcode from the admin interface.
+	 *
+	 * The stored code is run regardless of whether the shortcode is enabled,
+	 * and the parameters recorded from real usage on the site are left untouched.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $tag     Shortcode tag.
+	 * @param array  $atts    Shortcode attributes.
+	 * @param string $content Shortcode content.
+	 * @return array Test diagnostics, see run_test().
+	 */
+	public function test_shortcode( $tag, $atts = array(), $content = '' ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::validate_shortcode_name( $tag ) ) {
+			return $this->get_test_failure( 'invalid_shortcode' );
+		}
+
+		$config = $this->get_shortcode_config( $tag );
+		if ( is_wp_error( $config ) ) {
+			return $this->get_test_failure( 'shortcode_not_found' );
+		}
+
+		return $this->run_test( $config['code'], $tag, $this->apply_param_defaults( $config['schema'], $atts ), $content, array() );
+	}
+
+	/**
+	 * Execute unsaved draft code for testing from the admin interface.
+	 *
+	 * Runs the code through the same validation and execution pipeline as
+	 * live shortcodes, but without requiring the shortcode to be saved or
+	 * enabled.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $code    The unsaved PHP code.
+	 * @param string $tag     Shortcode tag the code is being written for.
+	 * @param array  $atts    Shortcode attributes.
+	 * @param string $content Shortcode content.
+	 * @return array Test diagnostics, see run_test().
+	 */
+	public function execute_draft_code( $code, $tag, $atts = array(), $content = '' ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::validate_shortcode_name( $tag ) ) {
+			return $this->get_test_failure( 'invalid_shortcode' );
+		}
+
+		return $this->run_test( $code, $tag, $atts, $content, array( 'draft' => true ) );
+	}
+
+	/**
+	 * Run code for an admin test and collect diagnostics.
+	 *
+	 * Output is always buffered so echoed content is reported separately
+	 * from the returned value instead of being sent to the browser.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $code        The PHP code.
+	 * @param string $tag         Shortcode tag.
+	 * @param array  $atts        Shortcode attributes.
+	 * @param string $content     Shortcode content.
+	 * @param array  $log_context Additional context for the execution log.
+	 * @return array {
+	 *     Test diagnostics.
+	 *
+	 *     @type string   $status         'success' or an error type.
+	 *     @type string   $output         Sanitized echoed output.
+	 *     @type string   $result         Sanitized returned value, JSON encoded if not scalar.
+	 *     @type string   $result_type    PHP type of the returned value.
+	 *     @type string   $rendered       Sanitized output as the shortcode would render it.
+	 *     @type array    $notices        Warnings and notices raised during execution.
+	 *     @type string   $error_message  Error details, if any.
+	 *     @type int      $error_line     Line of the error in the code, if known.
+	 *     @type float    $execution_time Execution time in seconds.
+	 *     @type int|null $peak_memory    Peak memory used during execution, in bytes, or null
+	 *                                    before PHP 8.2, where it cannot be measured for the run alone.
+	 * }
+	 */
+	private function run_test( $code, $tag, $atts, $content, $log_context ) {
+		$execution = $this->run_php_code(
+			$code,
+			(array) $atts,
+			(string) $content,
+			$tag,
+			array(
+				'buffer'      => true,
+				'diagnostics' => true,
+				'log_context' => $log_context,
+			)
+		);
+
+		$result = $execution['result'];
+		$result_string = ( is_scalar( $result ) || null === $result ) ? (string) $result : wp_json_encode( $result, JSON_PRETTY_PRINT );
+
+		return array(
+			'status'         => $execution['status'],
+			'output'         => $this->sanitize_output( $execution['output'] ),
+			'result'         => $this->sanitize_output( $result_string ),
+			'result_type'    => gettype( $result ),
+			'rendered'       => $this->sanitize_output( $execution['output'] . ( is_scalar( $result ) ? (string) $result : '' ) ),
+			'notices'        => $execution['notices'],
+			'error_message'  => $execution['error_message'],
+			'error_line'     => $execution['error_line'],
+			'execution_time' => $execution['execution_time'],
+			'peak_memory'    => $execution['peak_memory'],
+		);
+	}
+
+	/**
+	 * Build test diagnostics for a test that could not be run.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $error_type The type of error.
+	 * @return array Test diagnostics, see run_test().
+	 */
+	private function get_test_failure( $error_type ) {
+		$messages = array(
+			'invalid_shortcode'   => __( 'Invalid shortcode name format', 'shortcode-exec-php' ),
+			'shortcode_not_found' => __( 'Shortcode not found', 'shortcode-exec-php' ),
+		);
+
+		return array(
+			'status'         => $error_type,
+			'output'         => '',
+			'result'         => '',
+			'result_type'    => 'NULL',
+			'rendered'       => '',
+			'notices'        => array(),
+			'error_message'  => isset( $messages[ $error_type ] ) ? $messages[ $error_type ] : __( 'Unknown error', 'shortcode-exec-php' ),
+			'error_line'     => 0,
+			'execution_time' => 0,
+			'peak_memory'    => 0,
+		);
+	}
+
+	/**
+	 * Validate and evaluate PHP code inside the secure execution environment.
+	 *
+	 * Shared by live shortcode rendering and admin testing so both follow
+	 * exactly the same sanitization, environment and logging rules.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $code    The raw PHP code.
+	 * @param array  $atts    Shortcode attributes.
+	 * @param string $content Shortcode content.
+	 * @param string $tag     Shortcode tag.
+	 * @param array  $options {
+	 *     Optional. Execution options.
+	 *
+	 *     @type bool  $buffer      Whether to buffer echoed output. Default false.
+	 *     @type bool  $diagnostics Whether to capture warnings, notices and, from PHP 8.2, peak memory. Default false.
+	 *     @type array $log_context Additional context for the execution log. Default empty.
+	 * }
+	 * @return array Execution status, output, eval result, error details, notices and resource usage.
+	 */
+	private function run_php_code( $code, $atts, $content, $tag, $options = array() ) {
+		$options = wp_parse_args(
+			$options,
+			array(
+				'buffer'      => false,
+				'diagnostics' => false,
+				'log_context' => array(),
+			)
+		);
+
 		// Validate and sanitize the PHP code.
-		$sanitized_code = WP_Shortcode_Exec_PHP_Security::sanitize_php_code( $config['code'] );
+		$sanitized_code = WP_Shortcode_Exec_PHP_Security::sanitize_php_code( $code );
 		if ( is_wp_error( $sanitized_code ) ) {
 			WP_Shortcode_Exec_PHP_Security::log_code_execution(
 				$tag,
 				'code_validation_failed',
-				$sanitized_code->get_error_message()
+				$sanitized_code->get_error_message(),
+				$options['log_context']
+			);
+
+			return array(
+				'status'         => 'code_validation_failed',
+				'output'         => '',
+				'result'         => '',
+				'notices'        => array(),
+				'error_message'  => $sanitized_code->get_error_message(),
+				'error_line'     => 0,
+				'execution_time' => 0,
+				'peak_memory'    => 0,
 			);
-			return $this->get_error_message( 'code_validation_failed', $tag, $sanitized_code->get_error_message() );
 		}
 
+		// Lines removed along with an opening PHP tag, to report lines as written.
+		$line_offset = preg_match( '/^\s*<\?php\s*/i', $code, $matches ) ? substr_count( $matches[0], "\n" ) : 0;
+
 		// Setup secure execution environment.
 		$env_config = WP_Shortcode_Exec_PHP_Security::setup_execution_environment( $atts, $content );
 
 		// Start output buffering if configured.
-		$output = '';
-		if ( $config['buffer'] ) {
+		if ( $options['buffer'] ) {
 			ob_start();
 		}
 
+		// Peak memory of the run can only be measured where the peak can be reset.
+		$measure_memory = $options['diagnostics'] && function_exists( 'memory_reset_peak_usage' );
+
+		// Capture warnings and notices instead of displaying them.
+		$this->notices = array();
+		if ( $options['diagnostics'] ) {
+			set_error_handler( array( $this, 'collect_notice' ) ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_set_error_handler
+		}
+		if ( $measure_memory ) {
+			memory_reset_peak_usage(); // phpcs:ignore PHPCompatibility.FunctionUse.NewFunctions.memory_reset_peak_usageFound
+		}
+
 		// Prepare execution context variables.
+		$memory_start = memory_get_usage();
 		$execution_start_time = microtime( true );
 		$result = '';
+		$error = null;
 
-		try {
-			// Set up shortcode context variables (available to executed code).
-			// phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
-			$GLOBALS['scep_atts'] = $atts;
-			// phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
-			$GLOBALS['scep_content'] = $content;
-			// phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
-			$GLOBALS['scep_tag'] = $tag;
-
-			// Set execution context for the evaluated code.
-			$atts    = $atts; // Make available to eval'd code.
-			$content = $content; // Make available to eval'd code.
-
-			// Execute the PHP code.
-			// Note: eval() is still used but with comprehensive security layers.
-			// This is the core functionality of the plugin and cannot be eliminated.
-			// phpcs:ignore Squiz.PHP.Eval.Discouraged
-			$result = eval( $sanitized_code );
-
-			// Calculate execution time.
-			$execution_time = microtime( true ) - $execution_start_time;
-
-			// Log successful execution.
-			WP_Shortcode_Exec_PHP_Security::log_code_execution(
-				$tag,
-				'success',
-				sprintf( 'Executed successfully in %.4f seconds', $execution_time ),
-				array(
-					'execution_time' => $execution_time,
-					'memory_used'    => memory_get_usage() - memory_get_usage( true ),
-				)
-			);
+		// Set up shortcode context variables (available to executed code).
+		// phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+		$GLOBALS['scep_atts'] = $atts;
+		// phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+		$GLOBALS['scep_content'] = $content;
+		// phpcs:ignore WordPress.WP.GlobalVariablesOverride.Prohibited
+		$GLOBALS['scep_tag'] = $tag;
 
+		try {
+			$result = self::evaluate_code( $sanitized_code, $atts, $content, $tag );
 		} catch ( ParseError $e ) {
-			$execution_time = microtime( true ) - $execution_start_time;
-			WP_Shortcode_Exec_PHP_Security::log_code_execution(
-				$tag,
-				'parse_error',
-				'Parse error: ' . $e->getMessage(),
-				array(
-					'execution_time' => $execution_time,
-					'error_line'     => $e->getLine(),
-					'error_message'  => $e->getMessage(),
-				)
-			);
+			$error = array( 'parse_error', 'Parse error: ', $e );
+		} catch ( Error $e ) {
+			$error = array( 'fatal_error', 'Fatal error: ', $e );
+		} catch ( Exception $e ) {
+			$error = array( 'exception', 'Exception: ', $e );
+		}
 
-			// Clean up output buffer if active.
-			if ( $config['buffer'] && ob_get_level() > 0 ) {
-				ob_end_clean();
-			}
+		// Calculate execution time and memory usage.
+		$execution_time = microtime( true ) - $execution_start_time;
+		$peak_memory = $measure_memory ? max( 0, memory_get_peak_usage() - $memory_start ) : null;
 
-			// Restore environment.
-			WP_Shortcode_Exec_PHP_Security::restore_execution_environment( $env_config );
+		if ( $options['diagnostics'] ) {
+			restore_error_handler();
+		}
 
-			return $this->get_error_message( 'parse_error', $tag, $e->getMessage() );
+		// Get buffered output if configured.
+		$output = '';
+		if ( $options['buffer'] && ob_get_level() > 0 ) {
+			$output = ob_get_clean();
+		}
 
-		} catch ( Error $e ) {
-			$execution_time = microtime( true ) - $execution_start_time;
-			WP_Shortcode_Exec_PHP_Security::log_code_execution(
-				$tag,
-				'fatal_error',
-				'Fatal error: ' . $e->getMessage(),
-				array(
-					'execution_time' => $execution_time,
-					'error_line'     => $e->getLine(),
-					'error_message'  => $e->getMessage(),
-				)
-			);
+		// Clean up global variables.
+		unset( $GLOBALS['scep_atts'], $GLOBALS['scep_content'], $GLOBALS['scep_tag'] );
+
+		// Restore execution environment.
+		WP_Shortcode_Exec_PHP_Security::restore_execution_environment( $env_config );
 
-			// Clean up output buffer if active.
-			if ( $config['buffer'] && ob_get_level() > 0 ) {
-				ob_end_clean();
+		// Report notice lines as written in the editor.
+		$notices = array();
+		foreach ( $this->notices as $notice ) {
+			if ( $notice['in_code'] ) {
+				$notice['line'] += $line_offset;
 			}
+			$notices[] = $notice;
+		}
 
-			// Restore environment.
-			WP_Shortcode_Exec_PHP_Security::restore_execution_environment( $env_config );
+		if ( null !== $error ) {
+			list( $status, $prefix, $exception ) = $error;
 
-			return $this->get_error_message( 'fatal_error', $tag, $e->getMessage() );
+			$error_line = $exception->getLine();
+			if ( $this->is_evaluated_code_file( $exception->getFile() ) ) {
+				$error_line += $line_offset;
+			}
 
-		} catch ( Exception $e ) {
-			$execution_time = microtime( true ) - $execution_start_time;
 			WP_Shortcode_Exec_PHP_Security::log_code_execution(
 				$tag,
-				'exception',
-				'Exception: ' . $e->getMessage(),
-				array(
-					'execution_time' => $execution_time,
-					'error_line'     => $e->getLine(),
-					'error_message'  => $e->getMessage(),
+				$status,
+				$prefix . $exception->getMessage(),
+				array_merge(
+					$options['log_context'],
+					array(
+						'execution_time' => $execution_time,
+						'error_line'     => $error_line,
+						'error_message'  => $exception->getMessage(),
+					)
 				)
 			);
 
-			// Clean up output buffer if active.
-			if ( $config['buffer'] && ob_get_level() > 0 ) {
-				ob_end_clean();
-			}
+			return array(
+				'status'         => $status,
+				'output'         => '',
+				'result'         => '',
+				'notices'        => $notices,
+				'error_message'  => $exception->getMessage(),
+				'error_line'     => $error_line,
+				'execution_time' => $execution_time,
+				'peak_memory'    => $peak_memory,
+			);
+		}
 
-			// Restore environment.
-			WP_Shortcode_Exec_PHP_Security::restore_execution_environment( $env_config );
+		// Log successful execution.
+		WP_Shortcode_Exec_PHP_Security::log_code_execution(
+			$tag,
+			'success',
+			sprintf( 'Executed successfully in %.4f seconds', $execution_time ),
+			array_merge(
+				$options['log_context'],
+				array(
+					'execution_time' => $execution_time,
+					'memory_used'    => memory_get_usage() - memory_get_usage( true ),
+				)
+			)
+		);
 
-			return $this->get_error_message( 'exception', $tag, $e->getMessage() );
-		}
+		return array(
+			'status'         => 'success',
+			'output'         => $output,
+			'result'         => $result,
+			'notices'        => $notices,
+			'error_message'  => '',
+			'error_line'     => 0,
+			'execution_time' => $execution_time,
+			'peak_memory'    => $peak_memory,
+		);
+	}
 
-		// Get buffered output if configured.
-		if ( $config['buffer'] && ob_get_level() > 0 ) {
-			$output = ob_get_clean();
+	/**
+	 * Evaluate sanitized PHP code.
+	 *
+	 * Runs in its own scope, so the code only sees the shortcode attributes,
+	 * content and tag and cannot change the state of run_php_code().
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $scep_code The sanitized PHP code.
+	 * @param array  $atts      Shortcode attributes.
+	 * @param string $content   Shortcode content.
+	 * @param string $tag       Shortcode tag.
+	 * @return mixed Value returned by the code.
+	 */
+	private static function evaluate_code( $scep_code, $atts, $content, $tag ) {
+		// Note: eval() is still used but with comprehensive security layers.
+		// This is the core functionality of the plugin and cannot be eliminated.
+		// phpcs:ignore Squiz.PHP.Eval.Discouraged
+		return eval( $scep_code );
+	}
+
+	/**
+	 * Collect a PHP warning or notice raised during a diagnostic run.
+	 *
+	 * Used as error handler by run_php_code() while diagnostics are enabled.
+	 * Errors silenced with @ or excluded from error_reporting() are left to
+	 * PHP, and so is E_USER_ERROR, which halts the script as it would when
+	 * the shortcode is rendered.
+	 *
+	 * @since 1.54
+	 *
+	 * @param int    $errno   Error level.
+	 * @param string $errstr  Error message.
+	 * @param string $errfile File the error was raised in.
+	 * @param int    $errline Line the error was raised on.
+	 * @return bool True to prevent the standard PHP error handler from running,
+	 *              false to pass the error on.
+	 */
+	public function collect_notice( $errno, $errstr, $errfile = '', $errline = 0 ) {
+		if ( ! ( error_reporting() & $errno ) || E_USER_ERROR === $errno ) { // phpcs:ignore WordPress.PHP.DevelopmentFunctions.prevent_path_disclosure_error_reporting,WordPress.PHP.DiscouragedPHPFunctions.runtime_configuration_error_reporting
+			return false;
 		}
 
-		// Clean up global variables.
-		unset( $GLOBALS['scep_atts'], $GLOBALS['scep_content'], $GLOBALS['scep_tag'] );
+		$types = array(
+			E_WARNING         => 'warning',
+			E_NOTICE          => 'notice',
+			E_USER_WARNING    => 'warning',
+			E_USER_NOTICE     => 'notice',
+			E_DEPRECATED      => 'deprecated',
+			E_USER_DEPRECATED => 'deprecated',
+		);
 
-		// Restore execution environment.
-		WP_Shortcode_Exec_PHP_Security::restore_execution_environment( $env_config );
+		$in_code = $this->is_evaluated_code_file( $errfile );
 
-		// Store last used parameters for admin interface.
-		if ( ! empty( $atts ) && is_array( $atts ) ) {
-			$this->update_last_parameters( $tag, $atts );
-		} else {
-			$this->delete_last_parameters( $tag );
-		}
+		$this->notices[] = array(
+			'type'    => isset( $types[ $errno ] ) ? $types[ $errno ] : 'notice',
+			'message' => $errstr,
+			'line'    => (int) $errline,
+			'in_code' => $in_code,
+			'file'    => $in_code ? '' : wp_basename( $errfile ),
+		);
 
-		// Return combined output and result.
-		$final_output = $output . (string) $result;
+		return true;
+	}
 
-		// Sanitize output for safety.
-		return $this->sanitize_output( $final_output );
+	/**
+	 * Check whether a file name reported by PHP refers to eval()'d code.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $file File name reported by PHP.
+	 * @return bool True if the file is eval()'d code.
+	 */
+	private function is_evaluated_code_file( $file ) {
+		return false !== strpos( (string) $file, "eval()'d code" );
 	}
 
 	/**
@@ -280,6 +557,7 @@ class WP_Shortcode_Exec_PHP_Handler {
 			'buffer'      => (bool) get_option( 'scep_buffer_' . $shortcode_name, false ),
 			'description' => get_option( 'scep_description_' . $shortcode_name, '' ),
 			'code'        => get_option( 'scep_phpcode_' . $shortcode_name, '' ),
+			'schema'      => get_option( 'scep_schema_' . $shortcode_name, array() ),
 		);
 
 		// Validate configuration.
@@ -399,6 +677,31 @@ class WP_Shortcode_Exec_PHP_Handler {
 		return in_array( current_filter(), $excerpt_filters, true );
 	}
 
+	/**
+	 * Fill in the declared defaults of parameters missing from the attributes.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $schema The parameter schema of the shortcode.
+	 * @param array $atts   The shortcode attributes.
+	 * @return array Attributes with defaults added.
+	 */
+	private function apply_param_defaults( $schema, $atts ) {
+		$atts = is_array( $atts ) ? $atts : array();
+
+		if ( ! is_array( $schema ) ) {
+			return $atts;
+		}
+
+		foreach ( $schema as $param ) {
+			if ( ! isset( $atts[ $param['name'] ] ) && '' !== $param['default'] ) {
+				$atts[ $param['name'] ] = $param['default'];
+			}
+		}
+
+		return $atts;
+	}
+
 	/**
 	 * Update last used parameters for shortcode.
 	 *
@@ -0,0 +1,332 @@
+<?php
+/**
+ * Execution log storage for Shortcode Exec PHP plugin.
+ *
+ * This class stores execution events in a dedicated database table so they
+ * are available on production sites, independently of WP_DEBUG. The table
+ * is bounded: the oldest entries are removed as new ones are added.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Execution log class.
+ *
+ * Provides storage, querying and rotation of execution log entries.
+ *
+ * @since 1.54
+ */
+class WP_Shortcode_Exec_PHP_Log {
+
+	/**
+	 * Version of the log table schema.
+	 *
+	 * @var string
+	 */
+	const DB_VERSION = '1';
+
+	/**
+	 * Default maximum number of log entries kept.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_MAX_ENTRIES = 1000;
+
+	/**
+	 * Get the name of the log table.
+	 *
+	 * @since 1.54
+	 *
+	 * @return string Table name.
+	 */
+	public static function get_table_name() {
+		global $wpdb;
+
+		return $wpdb->prefix . 'scep_log';
+	}
+
+	/**
+	 * Create or upgrade the log table if its schema is out of date.
+	 *
+	 * @since 1.54
+	 */
+	public static function maybe_install() {
+		if ( self::DB_VERSION === get_option( 'scep_log_db_version' ) ) {
+			return;
+		}
+
+		self::install();
+	}
+
+	/**
+	 * Create or upgrade the log table.
+	 *
+	 * @since 1.54
+	 */
+	public static function install() {
+		global $wpdb;
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$table_name = self::get_table_name();
+		$charset_collate = $wpdb->get_charset_collate();
+
+		dbDelta(
+			"CREATE TABLE {$table_name} (
+				id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+				logged_at datetime NOT NULL DEFAULT '0000-00-00 00:00:00',
+				shortcode_name varchar(100) NOT NULL DEFAULT '',
+				status varchar(50) NOT NULL DEFAULT '',
+				user_id bigint(20) unsigned NOT NULL DEFAULT 0,
+				user_ip varchar(100) NOT NULL DEFAULT '',
+				request_uri text NOT NULL,
+				user_agent text NOT NULL,
+				message text NOT NULL,
+				context longtext NOT NULL,
+				PRIMARY KEY  (id),
+				KEY logged_at (logged_at),
+				KEY shortcode_name (shortcode_name),
+				KEY status (status)
+			) {$charset_collate};"
+		);
+
+		update_option( 'scep_log_db_version', self::DB_VERSION, true );
+	}
+
+	/**
+	 * Drop the log table.
+	 *
+	 * @since 1.54
+	 */
+	public static function uninstall() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$wpdb->query( "DROP TABLE IF EXISTS {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		delete_option( 'scep_log_db_version' );
+	}
+
+	/**
+	 * Get the maximum number of log entries kept.
+	 *
+	 * @since 1.54
+	 *
+	 * @return int Maximum number of entries.
+	 */
+	public static function get_max_entries() {
+		return max( 100, absint( get_option( 'scep_log_max_entries', self::DEFAULT_MAX_ENTRIES ) ) );
+	}
+
+	/**
+	 * Store a log entry, removing the oldest entries beyond the maximum.
+	 *
+	 * Successful executions are only stored when enabled in the settings,
+	 * as they happen on every page view that uses a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $entry Log entry as prepared by log_code_execution().
+	 */
+	public static function add( $entry ) {
+		global $wpdb;
+
+		if ( self::DB_VERSION !== get_option( 'scep_log_db_version' ) ) {
+			return;
+		}
+
+		if ( 'success' === $entry['status'] && ! get_option( 'scep_log_successes', false ) ) {
+			return;
+		}
+
+		$table_name = self::get_table_name();
+
+		$inserted = $wpdb->insert(
+			$table_name,
+			array(
+				'logged_at'      => current_time( 'mysql', true ),
+				'shortcode_name' => substr( $entry['shortcode_name'], 0, 100 ),
+				'status'         => substr( $entry['status'], 0, 50 ),
+				'user_id'        => $entry['user_id'],
+				'user_ip'        => substr( $entry['user_ip'], 0, 100 ),
+				'request_uri'    => $entry['request_uri'],
+				'user_agent'     => $entry['user_agent'],
+				'message'        => $entry['message'],
+				'context'        => (string) wp_json_encode( $entry['context'] ),
+			),
+			array( '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s', '%s' )
+		);
+
+		if ( ! $inserted ) {
+			return;
+		}
+
+		// Rotate: IDs only grow, so everything more than the maximum below the new ID goes.
+		$oldest_id = $wpdb->insert_id - self::get_max_entries();
+		if ( $oldest_id > 0 ) {
+			$wpdb->query( $wpdb->prepare( "DELETE FROM {$table_name} WHERE id <= %d", $oldest_id ) ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+		}
+	}
+
+	/**
+	 * Query log entries, most recent first.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $args {
+	 *     Optional. Query arguments.
+	 *
+	 *     @type string $shortcode Shortcode name.
+	 *     @type string $status    Status.
+	 *     @type int    $user_id   User ID, or -1 for any user.
+	 *     @type string $date_from First day to include, as Y-m-d in the site timezone.
+	 *     @type string $date_to   Last day to include, as Y-m-d in the site timezone.
+	 *     @type int    $per_page  Number of entries per page, 0 for all.
+	 *     @type int    $page      Page number.
+	 * }
+	 * @return array Array with the entries and the total number of matching entries.
+	 */
+	public static function query( $args = array() ) {
+		global $wpdb;
+
+		$args = wp_parse_args(
+			$args,
+			array(
+				'shortcode' => '',
+				'status'    => '',
+				'user_id'   => -1,
+				'date_from' => '',
+				'date_to'   => '',
+				'per_page'  => 50,
+				'page'      => 1,
+			)
+		);
+
+		$table_name = self::get_table_name();
+		$where = array( '1=1' );
+
+		if ( '' !== $args['shortcode'] ) {
+			$where[] = $wpdb->prepare( 'shortcode_name = %s', $args['shortcode'] );
+		}
+
+		if ( '' !== $args['status'] ) {
+			$where[] = $wpdb->prepare( 'status = %s', $args['status'] );
+		}
+
+		if ( $args['user_id'] >= 0 ) {
+			$where[] = $wpdb->prepare( 'user_id = %d', $args['user_id'] );
+		}
+
+		if ( self::is_date( $args['date_from'] ) ) {
+			$where[] = $wpdb->prepare( 'logged_at >= %s', get_gmt_from_date( $args['date_from'] . ' 00:00:00' ) );
+		}
+
+		if ( self::is_date( $args['date_to'] ) ) {
+			$where[] = $wpdb->prepare( 'logged_at <= %s', get_gmt_from_date( $args['date_to'] . ' 23:59:59' ) );
+		}
+
+		$where = implode( ' AND ', $where );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Conditions are prepared above.
+		$total = (int) $wpdb->get_var( "SELECT COUNT(*) FROM {$table_name} WHERE {$where}" );
+
+		$sql = "SELECT * FROM {$table_name} WHERE {$where} ORDER BY id DESC";
+		if ( $args['per_page'] > 0 ) {
+			$sql .= $wpdb->prepare( ' LIMIT %d OFFSET %d', $args['per_page'], ( max( 1, $args['page'] ) - 1 ) * $args['per_page'] );
+		}
+
+		$rows = $wpdb->get_results( $sql, ARRAY_A );
+		// phpcs:enable
+
+		return array(
+			'entries' => array_map( array( __CLASS__, 'prepare_entry' ), $rows ? $rows : array() ),
+			'total'   => $total,
+		);
+	}
+
+	/**
+	 * Get a single log entry.
+	 *
+	 * @since 1.54
+	 *
+	 * @param int $id Entry ID.
+	 * @return array|null The entry, or null if it does not exist.
+	 */
+	public static function get_entry( $id ) {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$row = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$table_name} WHERE id = %d", $id ), ARRAY_A ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+		return $row ? self::prepare_entry( $row ) : null;
+	}
+
+	/**
+	 * Get the distinct values of a column, for filter dropdowns.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $column One of shortcode_name, status or user_id.
+	 * @return array Distinct values, sorted.
+	 */
+	public static function get_distinct_values( $column ) {
+		global $wpdb;
+
+		if ( ! in_array( $column, array( 'shortcode_name', 'status', 'user_id' ), true ) ) {
+			return array();
+		}
+
+		$table_name = self::get_table_name();
+
+		return $wpdb->get_col( "SELECT DISTINCT {$column} FROM {$table_name} ORDER BY {$column}" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+	}
+
+	/**
+	 * Delete all log entries.
+	 *
+	 * @since 1.54
+	 */
+	public static function clear() {
+		global $wpdb;
+
+		$table_name = self::get_table_name();
+		$wpdb->query( "TRUNCATE TABLE {$table_name}" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+	}
+
+	/**
+	 * Convert a database row into a log entry.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array $row Database row.
+	 * @return array Log entry with the context decoded.
+	 */
+	private static function prepare_entry( $row ) {
+		$context = json_decode( $row['context'], true );
+
+		$row['id'] = (int) $row['id'];
+		$row['user_id'] = (int) $row['user_id'];
+		$row['context'] = is_array( $context ) ? $context : array();
+
+		return $row;
+	}
+
+	/**
+	 * Check whether a string is a Y-m-d date.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $date The string to check.
+	 * @return bool True if the string is a date.
+	 */
+	private static function is_date( $date ) {
+		return is_string( $date ) && (bool) preg_match( '/^\d{4}-\d{2}-\d{2}$/', $date );
+	}
+}
@@ -0,0 +1,1393 @@
+<?php
+/**
+ * REST API controller for Shortcode Exec PHP plugin.
+ *
+ * Exposes shortcode management, testing, previews, linting, the editor
+ * picker preferences and the execution log under the shortcode-exec-php/v1
+ * namespace. The admin page
+ * and the editors use these routes, and so can scripts authenticating
+ * with application passwords.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+// Exit if accessed directly.
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * REST API controller class.
+ *
+ * Storage and validation are left to the admin class, so the REST API and
+ * the admin page forms behave the same.
+ *
+ * @since 1.54
+ */
+class WP_Shortcode_Exec_PHP_REST_Controller extends WP_REST_Controller {
+
+	/**
+	 * Pattern of the shortcode name route segment.
+	 *
+	 * @var string
+	 */
+	const NAME_PATTERN = '(?P<name>[a-zA-Z0-9_-]+)';
+
+	/**
+	 * Admin interface handler, which stores the shortcodes.
+	 *
+	 * @var WP_Shortcode_Exec_PHP_Admin
+	 */
+	private $admin;
+
+	/**
+	 * Editor integration handler, which renders previews.
+	 *
+	 * @var WP_Shortcode_Exec_PHP_Editor_Integration
+	 */
+	private $editor_integration;
+
+	/**
+	 * Constructor.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_Shortcode_Exec_PHP_Admin              $admin              Admin interface handler.
+	 * @param WP_Shortcode_Exec_PHP_Editor_Integration $editor_integration Editor integration handler.
+	 */
+	public function __construct( $admin, $editor_integration ) {
+		$this->namespace = 'shortcode-exec-php/v1';
+		$this->rest_base = 'shortcodes';
+		$this->admin = $admin;
+		$this->editor_integration = $editor_integration;
+	}
+
+	/**
+	 * Register the routes.
+	 *
+	 * @since 1.54
+	 */
+	public function register_routes() {
+		$name_arg = array(
+			'name' => array(
+				'description' => __( 'Shortcode name.', 'shortcode-exec-php' ),
+				'type'        => 'string',
+			),
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base,
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_items' ),
+					'permission_callback' => array( $this, 'get_items_permissions_check' ),
+					'args'                => $this->get_collection_params(),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'create_item' ),
+					'permission_callback' => array( $this, 'create_item_permissions_check' ),
+					'args'                => $this->get_save_args( WP_REST_Server::CREATABLE ),
+				),
+				'schema' => array( $this, 'get_public_item_schema' ),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::NAME_PATTERN,
+			array(
+				'args'   => $name_arg,
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_item' ),
+					'permission_callback' => array( $this, 'get_item_permissions_check' ),
+					'args'                => array(
+						'context' => $this->get_context_param( array( 'default' => 'view' ) ),
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::EDITABLE,
+					'callback'            => array( $this, 'update_item' ),
+					'permission_callback' => array( $this, 'update_item_permissions_check' ),
+					'args'                => $this->get_save_args( WP_REST_Server::EDITABLE ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'delete_item' ),
+					'permission_callback' => array( $this, 'delete_item_permissions_check' ),
+				),
+				'schema' => array( $this, 'get_public_item_schema' ),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/bulk',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'bulk_update_items' ),
+					'permission_callback' => array( $this, 'bulk_update_items_permissions_check' ),
+					'args'                => array(
+						'action'     => array(
+							'description' => __( 'Action to apply to the shortcodes.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+							'enum'        => array( 'enable', 'disable', 'delete' ),
+							'required'    => true,
+						),
+						'shortcodes' => array(
+							'description' => __( 'Names of the shortcodes to change.', 'shortcode-exec-php' ),
+							'type'        => 'array',
+							'items'       => array( 'type' => 'string' ),
+							'required'    => true,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::NAME_PATTERN . '/test',
+			array(
+				'args' => $name_arg,
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_test_history' ),
+					'permission_callback' => array( $this, 'test_item_permissions_check' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'test_item' ),
+					'permission_callback' => array( $this, 'test_item_permissions_check' ),
+					'args'                => array(
+						'atts'    => array(
+							'description' => __( 'Shortcode attributes.', 'shortcode-exec-php' ),
+							'type'        => 'object',
+							'default'     => array(),
+						),
+						'content' => array(
+							'description' => __( 'Enclosed content.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+							'default'     => '',
+						),
+						'code'    => array(
+							'description' => __( 'Unsaved PHP code to run instead of the saved code.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::NAME_PATTERN . '/revisions',
+			array(
+				'args' => $name_arg,
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_revisions' ),
+					'permission_callback' => array( $this, 'update_item_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::NAME_PATTERN . '/revisions/(?P<id>[\d]+)',
+			array(
+				'args' => array_merge(
+					$name_arg,
+					array(
+						'id' => array(
+							'description' => __( 'Revision ID.', 'shortcode-exec-php' ),
+							'type'        => 'integer',
+						),
+					)
+				),
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_revision' ),
+					'permission_callback' => array( $this, 'update_item_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/' . $this->rest_base . '/' . self::NAME_PATTERN . '/revisions/(?P<id>[\d]+)/restore',
+			array(
+				'args' => array_merge(
+					$name_arg,
+					array(
+						'id' => array(
+							'description' => __( 'Revision ID.', 'shortcode-exec-php' ),
+							'type'        => 'integer',
+						),
+					)
+				),
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'restore_revision' ),
+					'permission_callback' => array( $this, 'update_item_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/import/preview',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'preview_import' ),
+					'permission_callback' => array( $this, 'import_permissions_check' ),
+					'args'                => array(
+						'data' => array(
+							'description' => __( 'Contents of the export file.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+							'required'    => true,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/preview',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'preview' ),
+					'permission_callback' => array( $this, 'preview_permissions_check' ),
+					'args'                => array(
+						'shortcode'    => array(
+							'description' => __( 'Shortcode text to render.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+						),
+						'attributes'   => array(
+							'description' => __( 'Attributes of a PHP Shortcode block to render.', 'shortcode-exec-php' ),
+							'type'        => 'object',
+						),
+						'inner_blocks' => array(
+							'description' => __( 'Serialized nested blocks of a PHP Shortcode block, rendered as its content.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+							'default'     => '',
+						),
+						'post_id'      => array(
+							'description' => __( 'ID of the post to render the preview for.', 'shortcode-exec-php' ),
+							'type'        => 'integer',
+							'default'     => 0,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/picker',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_picker_preferences' ),
+					'permission_callback' => array( $this, 'picker_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/picker/favorites/' . self::NAME_PATTERN,
+			array(
+				'args' => $name_arg,
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'add_favorite' ),
+					'permission_callback' => array( $this, 'picker_permissions_check' ),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'remove_favorite' ),
+					'permission_callback' => array( $this, 'picker_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/picker/recent/' . self::NAME_PATTERN,
+			array(
+				'args' => $name_arg,
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'add_recent' ),
+					'permission_callback' => array( $this, 'picker_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/lint',
+			array(
+				array(
+					'methods'             => WP_REST_Server::CREATABLE,
+					'callback'            => array( $this, 'lint' ),
+					'permission_callback' => array( $this, 'lint_permissions_check' ),
+					'args'                => array(
+						'code' => array(
+							'description' => __( 'PHP code to check.', 'shortcode-exec-php' ),
+							'type'        => 'string',
+							'required'    => true,
+						),
+					),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/logs',
+			array(
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_log_entries' ),
+					'permission_callback' => array( $this, 'log_permissions_check' ),
+					'args'                => $this->get_log_collection_params(),
+				),
+				array(
+					'methods'             => WP_REST_Server::DELETABLE,
+					'callback'            => array( $this, 'clear_log' ),
+					'permission_callback' => array( $this, 'log_permissions_check' ),
+				),
+			)
+		);
+
+		register_rest_route(
+			$this->namespace,
+			'/logs/(?P<id>[\d]+)',
+			array(
+				'args' => array(
+					'id' => array(
+						'description' => __( 'Log entry ID.', 'shortcode-exec-php' ),
+						'type'        => 'integer',
+					),
+				),
+				array(
+					'methods'             => WP_REST_Server::READABLE,
+					'callback'            => array( $this, 'get_log_entry' ),
+					'permission_callback' => array( $this, 'log_permissions_check' ),
+				),
+			)
+		);
+	}
+
+	/**
+	 * Check whether the current user may list shortcodes.
+	 *
+	 * Anyone who can edit posts can list the enabled shortcodes; the edit
+	 * context, which includes the code, requires the right to edit them.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has read access, WP_Error otherwise.
+	 */
+	public function get_items_permissions_check( $request ) {
+		if ( 'edit' === $request['context'] && ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to edit shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to list shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * List shortcodes.
+	 *
+	 * Users who cannot edit shortcodes only see the enabled ones.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_items( $request ) {
+		$enabled = $request['enabled'];
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode' ) ) {
+			$enabled = true;
+		}
+
+		$items = array();
+		foreach ( $this->admin->get_shortcodes() as $shortcode ) {
+			if ( null !== $enabled && $shortcode['enabled'] !== $enabled ) {
+				continue;
+			}
+
+			$items[] = $this->prepare_response_for_collection( $this->prepare_item_for_response( $shortcode, $request ) );
+		}
+
+		return rest_ensure_response( $items );
+	}
+
+	/**
+	 * Check whether the current user may read a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has read access, WP_Error otherwise.
+	 */
+	public function get_item_permissions_check( $request ) {
+		if ( WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode', $request['name'] ) ) {
+			return true;
+		}
+
+		if ( 'edit' === $request['context'] ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to edit this shortcode.', 'shortcode-exec-php' ) );
+		}
+
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to view this shortcode.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the shortcode does not exist.
+	 */
+	public function get_item( $request ) {
+		$shortcode = $this->get_shortcode( $request['name'] );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		// Disabled shortcodes are only visible to those who can enable them.
+		if ( ! $shortcode['enabled'] && ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode', $shortcode['name'] ) ) {
+			return $this->not_found();
+		}
+
+		return $this->prepare_item_for_response( $shortcode, $request );
+	}
+
+	/**
+	 * Check whether the current user may create shortcodes.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function create_item_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'create_shortcode' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to create shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Create a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the shortcode is invalid.
+	 */
+	public function create_item( $request ) {
+		$result = $this->admin->save_shortcode( $this->get_requested_fields( $request ) + array( 'name' => $request['name'] ) );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$request->set_param( 'context', 'edit' );
+
+		$response = $this->prepare_item_for_response( $this->admin->get_shortcode( $result['name'] ), $request );
+		$response->set_status( 201 );
+		$response->header( 'Location', rest_url( sprintf( '%s/%s/%s', $this->namespace, $this->rest_base, $result['name'] ) ) );
+
+		return $response;
+	}
+
+	/**
+	 * Check whether the current user may change a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function update_item_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode', $this->get_route_name( $request ) ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to edit this shortcode.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Update a shortcode.
+	 *
+	 * Fields left out of the request keep their current value. Sending a
+	 * different name renames the shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the shortcode is invalid.
+	 */
+	public function update_item( $request ) {
+		$shortcode_name = $this->get_route_name( $request );
+		$shortcode = $this->get_shortcode( $shortcode_name );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		$fields = $this->get_requested_fields( $request );
+		$new_name = $request['name'];
+
+		if ( array( 'enabled' ) === array_keys( $fields ) && $new_name === $shortcode_name ) {
+			// Only toggling, which is logged as such and leaves no revision.
+			if ( $fields['enabled'] !== $shortcode['enabled'] ) {
+				$this->admin->set_shortcode_enabled( $shortcode_name, $fields['enabled'] );
+			}
+		} else {
+			$result = $this->admin->save_shortcode(
+				array_merge(
+					$shortcode,
+					$fields,
+					array(
+						'name'          => $new_name,
+						'original_name' => $shortcode_name,
+					)
+				)
+			);
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+		}
+
+		$request->set_param( 'context', 'edit' );
+
+		return $this->prepare_item_for_response( $this->admin->get_shortcode( $new_name ), $request );
+	}
+
+	/**
+	 * Check whether the current user may delete a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function delete_item_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'delete_shortcode', $request['name'] ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to delete this shortcode.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Delete a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object with the deleted shortcode,
+	 *                                   or WP_Error if it does not exist.
+	 */
+	public function delete_item( $request ) {
+		$shortcode = $this->get_shortcode( $request['name'] );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		$request->set_param( 'context', 'edit' );
+		$previous = $this->prepare_item_for_response( $shortcode, $request );
+
+		$this->admin->delete_shortcode( $shortcode['name'] );
+
+		return rest_ensure_response(
+			array(
+				'deleted'  => true,
+				'previous' => $previous->get_data(),
+			)
+		);
+	}
+
+	/**
+	 * Check whether the current user may apply bulk actions.
+	 *
+	 * Permissions for the individual shortcodes are checked while applying them.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function bulk_update_items_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'delete' === $request['action'] ? 'delete_shortcode' : 'edit_shortcode' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to change shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Enable, disable or delete several shortcodes.
+	 *
+	 * The response includes the changed shortcodes, so lists can be updated
+	 * without reloading them.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if nothing could be done.
+	 */
+	public function bulk_update_items( $request ) {
+		$result = $this->admin->bulk_update_shortcodes( $request['action'], $request['shortcodes'] );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$request->set_param( 'context', 'edit' );
+
+		$result['shortcodes'] = array();
+		if ( 'delete' !== $request['action'] ) {
+			foreach ( $result['done'] as $shortcode_name ) {
+				$result['shortcodes'][] = $this->prepare_response_for_collection(
+					$this->prepare_item_for_response( $this->admin->get_shortcode( $shortcode_name ), $request )
+				);
+			}
+		}
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Check whether the current user may test shortcodes.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function test_item_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'execute_shortcode', $request['name'] ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to test shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the recent test inputs and last used attributes of a shortcode.
+	 *
+	 * Unsaved shortcodes have neither, so this never fails for a valid name.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_test_history( $request ) {
+		$shortcode = $this->admin->get_shortcode( $request['name'] );
+
+		return rest_ensure_response(
+			array(
+				'params'  => $shortcode && is_array( $shortcode['params'] ) ? (object) $shortcode['params'] : new stdClass(),
+				'history' => $shortcode ? $this->admin->get_test_history( $shortcode['name'] ) : array(),
+			)
+		);
+	}
+
+	/**
+	 * Test a shortcode, or unsaved code under its name.
+	 *
+	 * Failed runs are still a successful request: the response status field
+	 * tells whether the code ran, and the diagnostics are included either way.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function test_item( $request ) {
+		return rest_ensure_response(
+			$this->admin->test_shortcode( $request['name'], $request['atts'], $request['content'], $request['code'] )
+		);
+	}
+
+	/**
+	 * List the revisions of a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the shortcode does not exist.
+	 */
+	public function get_revisions( $request ) {
+		$shortcode = $this->get_shortcode( $request['name'] );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		return rest_ensure_response( $this->admin->get_revisions_for_display( $shortcode['name'] ) );
+	}
+
+	/**
+	 * Get a revision of a shortcode, compared with the current code.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the revision does not exist.
+	 */
+	public function get_revision( $request ) {
+		$revision = $this->get_requested_revision( $request );
+		if ( is_wp_error( $revision ) ) {
+			return $revision;
+		}
+
+		$data = array();
+		foreach ( $this->admin->get_revisions_for_display( $request['name'] ) as $display ) {
+			if ( (int) $display['id'] === (int) $revision['id'] ) {
+				$data = $display;
+				break;
+			}
+		}
+
+		$data['code'] = $revision['code'];
+		$data['diff'] = $this->admin->get_revision_diff( $request['name'], $revision );
+
+		return rest_ensure_response( $data );
+	}
+
+	/**
+	 * Restore a revision as the current code of a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object with the updated shortcode,
+	 *                                   or WP_Error if the revision cannot be restored.
+	 */
+	public function restore_revision( $request ) {
+		$revision = $this->get_requested_revision( $request );
+		if ( is_wp_error( $revision ) ) {
+			return $revision;
+		}
+
+		$result = $this->admin->restore_revision( $request['name'], $revision );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		$request->set_param( 'context', 'edit' );
+
+		return $this->prepare_item_for_response( $this->admin->get_shortcode( $request['name'] ), $request );
+	}
+
+	/**
+	 * Check whether the current user may import shortcodes.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function import_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'import_shortcodes' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to import shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Describe the shortcodes of an export file before importing it.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the file is invalid.
+	 */
+	public function preview_import( $request ) {
+		$result = $this->admin->preview_import( $request['data'] );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		return rest_ensure_response( $result );
+	}
+
+	/**
+	 * Check whether the current user may render previews.
+	 *
+	 * Previews of a post require the right to edit that post.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function preview_permissions_check( $request ) {
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to preview shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		if ( $request['post_id'] && ! current_user_can( 'edit_post', $request['post_id'] ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to preview shortcodes in this post.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Render a shortcode preview for the editors.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if nothing was sent to render.
+	 */
+	public function preview( $request ) {
+		$attributes = is_array( $request['attributes'] ) ? $request['attributes'] : array();
+		$shortcode = (string) $request['shortcode'];
+
+		if ( '' === trim( $shortcode ) && empty( $attributes['shortcodeName'] ) ) {
+			return new WP_Error( 'rest_missing_shortcode', __( 'Shortcode is required.', 'shortcode-exec-php' ), array( 'status' => 400 ) );
+		}
+
+		return rest_ensure_response( $this->editor_integration->render_preview( $shortcode, $attributes, $request['post_id'], $request['inner_blocks'] ) );
+	}
+
+	/**
+	 * Check whether the current user may use the shortcode picker.
+	 *
+	 * Favorites and recently used shortcodes are stored for each user.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function picker_permissions_check( $request ) {
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to insert shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Get the favorite and recently used shortcodes of the current user.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function get_picker_preferences( $request ) {
+		return rest_ensure_response( $this->editor_integration->get_picker_preferences() );
+	}
+
+	/**
+	 * Pin a shortcode to the picker of the current user.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the shortcode does not exist.
+	 */
+	public function add_favorite( $request ) {
+		$shortcode = $this->get_shortcode( $request['name'] );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		return rest_ensure_response( $this->editor_integration->set_favorite_shortcode( $shortcode['name'], true ) );
+	}
+
+	/**
+	 * Unpin a shortcode from the picker of the current user.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function remove_favorite( $request ) {
+		return rest_ensure_response( $this->editor_integration->set_favorite_shortcode( $request['name'], false ) );
+	}
+
+	/**
+	 * Record that the current user inserted a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the shortcode does not exist.
+	 */
+	public function add_recent( $request ) {
+		$shortcode = $this->get_shortcode( $request['name'] );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		return rest_ensure_response( $this->editor_integration->add_recent_shortcode( $shortcode['name'] ) );
+	}
+
+	/**
+	 * Check whether the current user may lint code.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function lint_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'edit_shortcode' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to edit shortcodes.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * Check code for blocked functions, dangerous patterns and syntax errors.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function lint( $request ) {
+		return rest_ensure_response(
+			array(
+				'issues' => WP_Shortcode_Exec_PHP_Security::lint_php_code( $request['code'] ),
+			)
+		);
+	}
+
+	/**
+	 * Check whether the current user may read and clear the execution log.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return true|WP_Error True if the request has access, WP_Error otherwise.
+	 */
+	public function log_permissions_check( $request ) {
+		if ( ! WP_Shortcode_Exec_PHP_Security::current_user_can_execute( 'view_execution_log' ) ) {
+			return $this->forbidden( __( 'Sorry, you are not allowed to view the execution log.', 'shortcode-exec-php' ) );
+		}
+
+		return true;
+	}
+
+	/**
+	 * List execution log entries, most recent first.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object with the pagination headers.
+	 */
+	public function get_log_entries( $request ) {
+		$log = WP_Shortcode_Exec_PHP_Log::query(
+			array(
+				'shortcode' => $request['shortcode'],
+				'status'    => $request['status'],
+				'user_id'   => null === $request['user_id'] ? -1 : $request['user_id'],
+				'date_from' => $request['date_from'],
+				'date_to'   => $request['date_to'],
+				'per_page'  => $request['per_page'],
+				'page'      => $request['page'],
+			)
+		);
+
+		$response = rest_ensure_response( $log['entries'] );
+		$response->header( 'X-WP-Total', $log['total'] );
+		$response->header( 'X-WP-TotalPages', (int) ceil( $log['total'] / $request['per_page'] ) );
+
+		return $response;
+	}
+
+	/**
+	 * Get an execution log entry.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response|WP_Error Response object, or WP_Error if the entry does not exist.
+	 */
+	public function get_log_entry( $request ) {
+		$entry = WP_Shortcode_Exec_PHP_Log::get_entry( $request['id'] );
+		if ( null === $entry ) {
+			return new WP_Error( 'rest_log_entry_not_found', __( 'Log entry not found.', 'shortcode-exec-php' ), array( 'status' => 404 ) );
+		}
+
+		return rest_ensure_response( $entry );
+	}
+
+	/**
+	 * Delete all execution log entries.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function clear_log( $request ) {
+		WP_Shortcode_Exec_PHP_Log::clear();
+
+		return rest_ensure_response( array( 'deleted' => true ) );
+	}
+
+	/**
+	 * Prepare a shortcode for the response.
+	 *
+	 * @since 1.54
+	 *
+	 * @param array           $item    Shortcode configuration.
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return WP_REST_Response Response object.
+	 */
+	public function prepare_item_for_response( $item, $request ) {
+		$context = ! empty( $request['context'] ) ? $request['context'] : 'view';
+
+		$data = array(
+			'name'        => $item['name'],
+			'description' => $item['description'],
+			'enabled'     => $item['enabled'],
+			'buffer'      => $item['buffer'],
+			'code'        => $item['code'],
+			'schema'      => is_array( $item['schema'] ) ? $item['schema'] : array(),
+			'block'       => $item['block'],
+			'params'      => is_array( $item['params'] ) ? (object) $item['params'] : new stdClass(),
+			'modified'    => $item['modified'],
+		);
+
+		// The admin page replaces its table row with this markup.
+		if ( 'edit' === $context ) {
+			$data['row'] = $this->admin->get_shortcode_row( $item );
+		}
+
+		$data = $this->filter_response_by_context( $data, $context );
+
+		$response = rest_ensure_response( $data );
+		$response->add_link( 'self', rest_url( sprintf( '%s/%s/%s', $this->namespace, $this->rest_base, $item['name'] ) ) );
+
+		return $response;
+	}
+
+	/**
+	 * Get the shortcode schema, conforming to JSON Schema.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Item schema data.
+	 */
+	public function get_item_schema() {
+		if ( $this->schema ) {
+			return $this->add_additional_fields_schema( $this->schema );
+		}
+
+		$this->schema = array(
+			'$schema'    => 'http://json-schema.org/draft-04/schema#',
+			'title'      => 'shortcode-exec-php-shortcode',
+			'type'       => 'object',
+			'properties' => array(
+				'name'        => array(
+					'description' => __( 'Shortcode name.', 'shortcode-exec-php' ),
+					'type'        => 'string',
+					'pattern'     => '^[a-zA-Z0-9_-]+$',
+					'context'     => array( 'view', 'edit', 'embed' ),
+				),
+				'description' => array(
+					'description' => __( 'Shortcode description.', 'shortcode-exec-php' ),
+					'type'        => 'string',
+					'context'     => array( 'view', 'edit', 'embed' ),
+				),
+				'enabled'     => array(
+					'description' => __( 'Whether the shortcode is enabled.', 'shortcode-exec-php' ),
+					'type'        => 'boolean',
+					'context'     => array( 'view', 'edit', 'embed' ),
+				),
+				'buffer'      => array(
+					'description' => __( 'Whether the output of the code is buffered.', 'shortcode-exec-php' ),
+					'type'        => 'boolean',
+					'context'     => array( 'edit' ),
+				),
+				'code'        => array(
+					'description' => __( 'PHP code run by the shortcode.', 'shortcode-exec-php' ),
+					'type'        => 'string',
+					'context'     => array( 'edit' ),
+				),
+				'schema'      => array(
+					'description' => __( 'Declared parameters.', 'shortcode-exec-php' ),
+					'type'        => 'array',
+					'context'     => array( 'view', 'edit' ),
+					'items'       => array(
+						'type'       => 'object',
+						'properties' => array(
+							'name'     => array( 'type' => 'string' ),
+							'label'    => array( 'type' => 'string' ),
+							'type'     => array(
+								'type' => 'string',
+								'enum' => WP_Shortcode_Exec_PHP_Security::get_param_types(),
+							),
+							'default'  => array( 'type' => 'string' ),
+							'required' => array( 'type' => 'boolean' ),
+							'help'     => array( 'type' => 'string' ),
+							'options'  => array(
+								'type'  => 'array',
+								'items' => array( 'type' => 'string' ),
+							),
+						),
+					),
+				),
+				'block'       => array(
+					'description' => __( 'Title, keywords and icon of the block inserter item, the shortcode picker category, and whether the block wraps nested blocks.', 'shortcode-exec-php' ),
+					'type'        => 'object',
+					'context'     => array( 'view', 'edit' ),
+					'properties'  => array(
+						'title'     => array( 'type' => 'string' ),
+						'keywords'  => array(
+							'type'  => 'array',
+							'items' => array( 'type' => 'string' ),
+						),
+						'icon'      => array( 'type' => 'string' ),
+						'category'  => array( 'type' => 'string' ),
+						'enclosing' => array( 'type' => 'boolean' ),
+					),
+				),
+				'params'      => array(
+					'description' => __( 'Attributes the shortcode was last used with on the site.', 'shortcode-exec-php' ),
+					'type'        => 'object',
+					'context'     => array( 'edit' ),
+					'readonly'    => true,
+				),
+				'modified'    => array(
+					'description' => __( 'Time of the last change, as a Unix timestamp.', 'shortcode-exec-php' ),
+					'type'        => 'integer',
+					'context'     => array( 'edit' ),
+					'readonly'    => true,
+				),
+				'row'         => array(
+					'description' => __( 'Row of the admin page shortcode table.', 'shortcode-exec-php' ),
+					'type'        => 'string',
+					'context'     => array( 'edit' ),
+					'readonly'    => true,
+				),
+			),
+		);
+
+		return $this->add_additional_fields_schema( $this->schema );
+	}
+
+	/**
+	 * Get the query parameters of the shortcode list.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Collection parameters.
+	 */
+	public function get_collection_params() {
+		return array(
+			'context' => $this->get_context_param( array( 'default' => 'view' ) ),
+			'enabled' => array(
+				'description' => __( 'Limit the list to enabled or disabled shortcodes.', 'shortcode-exec-php' ),
+				'type'        => 'boolean',
+			),
+		);
+	}
+
+	/**
+	 * Get the query parameters of the execution log.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Collection parameters.
+	 */
+	private function get_log_collection_params() {
+		return array(
+			'page'      => array(
+				'description' => __( 'Current page of the log.', 'shortcode-exec-php' ),
+				'type'        => 'integer',
+				'default'     => 1,
+				'minimum'     => 1,
+			),
+			'per_page'  => array(
+				'description' => __( 'Maximum number of entries returned.', 'shortcode-exec-php' ),
+				'type'        => 'integer',
+				'default'     => WP_Shortcode_Exec_PHP_Admin::LOG_PAGE_SIZE,
+				'minimum'     => 1,
+				'maximum'     => 100,
+			),
+			'shortcode' => array(
+				'description' => __( 'Limit the log to a shortcode.', 'shortcode-exec-php' ),
+				'type'        => 'string',
+				'default'     => '',
+			),
+			'status'    => array(
+				'description' => __( 'Limit the log to a status.', 'shortcode-exec-php' ),
+				'type'        => 'string',
+				'default'     => '',
+			),
+			'user_id'   => array(
+				'description' => __( 'Limit the log to a user.', 'shortcode-exec-php' ),
+				'type'        => 'integer',
+			),
+			'date_from' => array(
+				'description' => __( 'First day to include, as Y-m-d in the site timezone.', 'shortcode-exec-php' ),
+				'type'        => 'string',
+				'default'     => '',
+				'pattern'     => '^(\d{4}-\d{2}-\d{2})?$',
+			),
+			'date_to'   => array(
+				'description' => __( 'Last day to include, as Y-m-d in the site timezone.', 'shortcode-exec-php' ),
+				'type'        => 'string',
+				'default'     => '',
+				'pattern'     => '^(\d{4}-\d{2}-\d{2})?$',
+			),
+		);
+	}
+
+	/**
+	 * Get the arguments of the create and update endpoints.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $method HTTP method of the endpoint.
+	 * @return array Endpoint arguments.
+	 */
+	private function get_save_args( $method ) {
+		$args = $this->get_endpoint_args_for_item_schema( $method );
+
+		$args['revision_note'] = array(
+			'description' => __( 'Description of the change, for the revision history.', 'shortcode-exec-php' ),
+			'type'        => 'string',
+		);
+
+		if ( WP_REST_Server::CREATABLE === $method ) {
+			$args['name']['required'] = true;
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Get the shortcode fields sent with a create or update request.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return array Sent fields, other than the name.
+	 */
+	private function get_requested_fields( $request ) {
+		$fields = array();
+
+		foreach ( array( 'enabled', 'buffer', 'description', 'code', 'schema', 'block', 'revision_note' ) as $field ) {
+			if ( null !== $request[ $field ] ) {
+				$fields[ $field ] = $request[ $field ];
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Get the shortcode name from the route, not from the request body.
+	 *
+	 * A name in the request body renames the shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return string Shortcode name.
+	 */
+	private function get_route_name( $request ) {
+		$url_params = $request->get_url_params();
+
+		return isset( $url_params['name'] ) ? $url_params['name'] : '';
+	}
+
+	/**
+	 * Get a shortcode, or a not found error.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $name Shortcode name.
+	 * @return array|WP_Error Shortcode configuration, or WP_Error if it does not exist.
+	 */
+	private function get_shortcode( $name ) {
+		$shortcode = $this->admin->get_shortcode( $name );
+
+		return null === $shortcode ? $this->not_found() : $shortcode;
+	}
+
+	/**
+	 * Get the revision requested in the route, or a not found error.
+	 *
+	 * @since 1.54
+	 *
+	 * @param WP_REST_Request $request Full details about the request.
+	 * @return array|WP_Error The revision, or WP_Error if it does not exist.
+	 */
+	private function get_requested_revision( $request ) {
+		$shortcode = $this->get_shortcode( $request['name'] );
+		if ( is_wp_error( $shortcode ) ) {
+			return $shortcode;
+		}
+
+		$revision = $this->admin->get_revision( $shortcode['name'], $request['id'] );
+		if ( null === $revision ) {
+			return new WP_Error( 'rest_revision_not_found', __( 'Revision not found.', 'shortcode-exec-php' ), array( 'status' => 404 ) );
+		}
+
+		return $revision;
+	}
+
+	/**
+	 * Get a shortcode not found error.
+	 *
+	 * @since 1.54
+	 *
+	 * @return WP_Error Not found error.
+	 */
+	private function not_found() {
+		return new WP_Error( 'rest_shortcode_not_found', __( 'Shortcode not found.', 'shortcode-exec-php' ), array( 'status' => 404 ) );
+	}
+
+	/**
+	 * Get a permission error with the status matching the login state.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $message Error message.
+	 * @return WP_Error Permission error.
+	 */
+	private function forbidden( $message ) {
+		return new WP_Error( 'rest_forbidden', $message, array( 'status' => rest_authorization_required_code() ) );
+	}
+}
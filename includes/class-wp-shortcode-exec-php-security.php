@@ -74,6 +74,25 @@ class WP_Shortcode_Exec_PHP_Security {
 		'oci_connect',
 	);
 
+	/**
+	 * Code patterns that are rejected, with a description of each.
+	 *
+	 * @var array
+	 */
+	private static $dangerous_patterns = array(
+		'/\$_(?:GET|POST|REQUEST|COOKIE|SERVER|FILES|ENV)\b/i' => 'Direct superglobal access',
+		'/\beval\s*\(/i' => 'Nested eval() calls',
+		'/\bglobals\s*\[/i' => 'Direct globals array access',
+		'/\bextract\s*\(/i' => 'Variable extraction',
+		'/\bcompact\s*\(/i' => 'Variable compacting',
+		'/\bvariable_get\s*\(/i' => 'Dynamic variable access',
+		'/\$\$\w+/i' => 'Variable variables',
+		'/\binclude\s*\(/i' => 'File inclusion',
+		'/\brequire\s*\(/i' => 'File requirement',
+		'/\binclude_once\s*\(/i' => 'File inclusion (once)',
+		'/\brequire_once\s*\(/i' => 'File requirement (once)',
+	);
+
 	/**
 	 * Maximum execution time for shortcode code (in seconds).
 	 *
@@ -88,6 +107,13 @@ class WP_Shortcode_Exec_PHP_Security {
 	 */
 	private static $max_memory_limit = 32;
 
+	/**
+	 * Types a shortcode parameter can be declared with.
+	 *
+	 * @var array
+	 */
+	private static $param_types = array( 'string', 'number', 'boolean', 'select', 'color', 'url', 'post' );
+
 	/**
 	 * Validates shortcode name format.
 	 *
@@ -191,21 +217,7 @@ class WP_Shortcode_Exec_PHP_Security {
 		}
 
 		// Check for dangerous patterns.
-		$dangerous_patterns = array(
-			'/\$_(?:GET|POST|REQUEST|COOKIE|SERVER|FILES|ENV)\b/i' => 'Direct superglobal access',
-			'/\beval\s*\(/i' => 'Nested eval() calls',
-			'/\bglobals\s*\[/i' => 'Direct globals array access',
-			'/\bextract\s*\(/i' => 'Variable extraction',
-			'/\bcompact\s*\(/i' => 'Variable compacting',
-			'/\bvariable_get\s*\(/i' => 'Dynamic variable access',
-			'/\$\$\w+/i' => 'Variable variables',
-			'/\binclude\s*\(/i' => 'File inclusion',
-			'/\brequire\s*\(/i' => 'File requirement',
-			'/\binclude_once\s*\(/i' => 'File inclusion (once)',
-			'/\brequire_once\s*\(/i' => 'File requirement (once)',
-		);
-
-		foreach ( $dangerous_patterns as $pattern => $description ) {
+		foreach ( self::$dangerous_patterns as $pattern => $description ) {
 			if ( preg_match( $pattern, $code ) ) {
 				return new WP_Error(
 					'dangerous_pattern',
@@ -230,6 +242,104 @@ class WP_Shortcode_Exec_PHP_Security {
 		return $sanitized_code;
 	}
 
+	/**
+	 * Get the rules used to reject code, as regular expressions with messages.
+	 *
+	 * These are the same blocked functions and dangerous patterns that
+	 * sanitize_php_code() checks, so editors can flag them while typing.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array List of rules with pattern, message and source keys.
+	 */
+	public static function get_lint_rules() {
+		$rules = array();
+
+		$blocked_functions = apply_filters(
+			'wp_shortcode_exec_php_blocked_functions',
+			self::$default_blocked_functions
+		);
+
+		foreach ( $blocked_functions as $function ) {
+			$rules[] = array(
+				'pattern' => '/\b' . preg_quote( $function, '/' ) . '\s*\(/i',
+				/* translators: %s: Function name */
+				'message' => sprintf( __( 'Blocked function detected: %s', 'shortcode-exec-php' ), $function ),
+				'source'  => 'blocked_function',
+			);
+		}
+
+		foreach ( self::$dangerous_patterns as $pattern => $description ) {
+			$rules[] = array(
+				'pattern' => $pattern,
+				/* translators: %s: Pattern description */
+				'message' => sprintf( __( 'Dangerous code pattern detected: %s', 'shortcode-exec-php' ), $description ),
+				'source'  => 'dangerous_pattern',
+			);
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Lint PHP code without executing it.
+	 *
+	 * Unlike sanitize_php_code(), which stops at the first problem, this
+	 * reports every blocked function, dangerous pattern and syntax error
+	 * together with the line it occurs on.
+	 *
+	 * @since 1.54
+	 *
+	 * @param string $code The raw PHP code, as entered in the editor.
+	 * @return array List of issues with line, message and source keys.
+	 */
+	public static function lint_php_code( $code ) {
+		$issues = array();
+
+		if ( ! is_string( $code ) || '' === trim( $code ) ) {
+			return $issues;
+		}
+
+		// Lines removed along with an opening PHP tag, to report lines as written.
+		$line_offset = preg_match( '/^\s*<\?php\s*/i', $code, $matches ) ? substr_count( $matches[0], "\n" ) : 0;
+		$code = preg_replace( '/^\s*<\?php\s*/i', '', $code );
+		$code = preg_replace( '/\s*\?>\s*$/i', '', $code );
+
+		foreach ( self::get_lint_rules() as $rule ) {
+			if ( ! preg_match_all( $rule['pattern'], $code, $matches, PREG_OFFSET_CAPTURE ) ) {
+				continue;
+			}
+
+			foreach ( $matches[0] as $match ) {
+				$issues[] = array(
+					'line'    => substr_count( substr( $code, 0, $match[1] ), "\n" ) + 1 + $line_offset,
+					'message' => $rule['message'],
+					'source'  => $rule['source'],
+				);
+			}
+		}
+
+		$syntax_check_result = self::validate_php_syntax( $code );
+		if ( is_wp_error( $syntax_check_result ) ) {
+			$data = $syntax_check_result->get_error_data();
+			$line = isset( $data['line'] ) && $data['line'] ? (int) $data['line'] : 0;
+			$message = $syntax_check_result->get_error_message();
+
+			// The message names the line too, so it has to match the marker.
+			if ( $line && $line_offset ) {
+				$message = str_replace( 'on line ' . $line, 'on line ' . ( $line + $line_offset ), $message );
+			}
+
+			$issues[] = array(
+				'line'    => max( 1, $line ) + $line_offset,
+				'message' => $message,
+				'source'  => 'syntax',
+			);
+		}
+
+		return $issues;
+	}
+
 	/**
 	 * Validates PHP syntax without executing the code.
 	 *
@@ -275,13 +385,21 @@ class WP_Shortcode_Exec_PHP_Security {
 			// Remove file path from error message for security.
 			$error_message = preg_replace( '/in .* on line/', 'on line', $error_message );
 
+			// Report the line within the code, not counting the added PHP tag line.
+			$error_line = 0;
+			if ( preg_match( '/on line (\d+)/', $error_message, $line_match ) ) {
+				$error_line = max( 1, (int) $line_match[1] - 1 );
+				$error_message = str_replace( $line_match[0], 'on line ' . $error_line, $error_message );
+			}
+
 			return new WP_Error(
 				'syntax_error',
 				sprintf(
 					/* translators: %s: PHP syntax error message */
 					__( 'PHP syntax error: %s', 'shortcode-exec-php' ),
 					esc_html( $error_message )
-				)
+				),
+				array( 'line' => $error_line )
 			);
 		}
 
@@ -331,6 +449,10 @@ class WP_Shortcode_Exec_PHP_Security {
 			case 'export_shortcodes':
 				return self::can_export_shortcodes();
 
+			case 'view_execution_log':
+				// Covered by the manage_options check above.
+				return true;
+
 			default:
 				// Unknown action - deny by default.
 				return false;
@@ -503,7 +625,8 @@ class WP_Shortcode_Exec_PHP_Security {
 	 * Log code execution for security monitoring.
 	 *
 	 * Logs shortcode execution events for security analysis and debugging.
-	 * Includes execution time, user info, and results.
+	 * Includes execution time, user info, and results. Events are stored in
+	 * the execution log, and also written to the debug log when enabled.
 	 *
 	 * @since 1.53
 	 *
@@ -513,11 +636,6 @@ class WP_Shortcode_Exec_PHP_Security {
 	 * @param array  $context        Additional context information.
 	 */
 	public static function log_code_execution( $shortcode_name, $status, $message = '', $context = array() ) {
-		// Skip logging if WordPress debugging is not enabled.
-		if ( ! defined( 'WP_DEBUG' ) || ! WP_DEBUG ) {
-			return;
-		}
-
 		// Prepare log entry.
 		$log_entry = array(
 			'timestamp'      => current_time( 'mysql' ),
@@ -531,8 +649,13 @@ class WP_Shortcode_Exec_PHP_Security {
 			'context'        => $context,
 		);
 
+		// Store in the execution log.
+		if ( class_exists( 'WP_Shortcode_Exec_PHP_Log' ) ) {
+			WP_Shortcode_Exec_PHP_Log::add( $log_entry );
+		}
+
 		// Log to WordPress debug log.
-		if ( defined( 'WP_DEBUG_LOG' ) && WP_DEBUG_LOG ) {
+		if ( defined( 'WP_DEBUG' ) && WP_DEBUG && defined( 'WP_DEBUG_LOG' ) && WP_DEBUG_LOG ) {
 			$log_message = sprintf(
 				'[SHORTCODE_EXEC_PHP] %s - Shortcode: %s, Status: %s, User ID: %d, IP: %s, Message: %s',
 				$log_entry['timestamp'],
@@ -641,6 +764,152 @@ class WP_Shortcode_Exec_PHP_Security {
 		return wp_kses( $description, $allowed_html );
 	}
 
+	/**
+	 * Get the types a shortcode parameter can be declared with.
+	 *
+	 * @since 1.54
+	 *
+	 * @return array Parameter types.
+	 */
+	public static function get_param_types() {
+		return self::$param_types;
+	}
+
+	/**
+	 * Sanitize a shortcode parameter schema.
+	 *
+	 * Parameters without a valid name, or with a name already declared, are
+	 * dropped. Defaults are converted to the declared type, and select
+	 * parameters keep only their non-empty options.
+	 *
+	 * @since 1.54
+	 *
+	 * @param mixed $schema List of parameter definitions.
+	 * @return array Sanitized parameter definitions.
+	 */
+	public static function sanitize_param_schema( $schema ) {
+		$sanitized = array();
+
+		if ( ! is_array( $schema ) ) {
+			return $sanitized;
+		}
+
+		foreach ( $schema as $param ) {
+			if ( ! is_array( $param ) || ! isset( $param['name'] ) || ! is_scalar( $param['name'] ) ) {
+				continue;
+			}
+
+			// WordPress lowercases attribute names when parsing shortcodes.
+			$name = sanitize_key( $param['name'] );
+			if ( '' === $name || isset( $sanitized[ $name ] ) ) {
+				continue;
+			}
+
+			$type = isset( $param['type'] ) && in_array( $param['type'], self::$param_types, true ) ? $param['type'] : 'string';
+
+			$options = array();
+			if ( 'select' === $type && isset( $param['options'] ) && is_array( $param['options'] ) ) {
+				foreach ( $param['options'] as $option ) {
+					if ( is_scalar( $option ) && '' !== trim( (string) $option ) ) {
+						$options[] = sanitize_text_field( (string) $option );
+					}
+				}
+				$options = array_values( array_unique( $options ) );
+			}
+
+			$default = isset( $param['default'] ) && is_scalar( $param['default'] ) ? (string) $param['default'] : '';
+			switch ( $type ) {
+				case 'number':
+					$default = is_numeric( $default ) ? $default : '';
+					break;
+
+				case 'boolean':
+					$default = in_array( strtolower( $default ), array( '1', 'true', 'yes', 'on' ), true ) ? 'true' : 'false';
+					break;
+
+				case 'select':
+					$default = in_array( $default, $options, true ) ? $default : '';
+					break;
+
+				case 'color':
+					$default = (string) sanitize_hex_color( $default );
+					break;
+
+				case 'url':
+					$default = esc_url_raw( $default );
+					break;
+
+				case 'post':
+					$default = absint( $default ) ? (string) absint( $default ) : '';
+					break;
+
+				default:
+					$default = sanitize_text_field( $default );
+			}
+
+			$sanitized[ $name ] = array(
+				'name'     => $name,
+				'label'    => isset( $param['label'] ) && is_scalar( $param['label'] ) ? sanitize_text_field( (string) $param['label'] ) : '',
+				'type'     => $type,
+				'default'  => $default,
+				'required' => ! empty( $param['required'] ),
+				'help'     => isset( $param['help'] ) && is_scalar( $param['help'] ) ? sanitize_text_field( (string) $param['help'] ) : '',
+				'options'  => $options,
+			);
+		}
+
+		return array_values( $sanitized );
+	}
+
+	/**
+	 * Sanitize the block inserter settings of a shortcode.
+	 *
+	 * @since 1.54
+	 *
+	 * @param mixed $settings Title, keywords, icon and picker category of the block
+	 *                        variation, and whether the shortcode wraps nested blocks.
+	 * @return array Sanitized settings.
+	 */
+	public static function sanitize_block_settings( $settings ) {
+		$settings = is_array( $settings ) ? $settings : array();
+
+		$keywords = isset( $settings['keywords'] ) ? $settings['keywords'] : array();
+		if ( is_string( $keywords ) ) {
+			$keywords = explode( ',', $keywords );
+		}
+
+		$keywords = is_array( $keywords ) ? array_filter( array_map( 'trim', array_map( 'sanitize_text_field', array_filter( $keywords, 'is_scalar' ) ) ), 'strlen' ) : array();
+
+		// Icons are Dashicon slugs, with or without the dashicons- prefix.
+		$icon = isset( $settings['icon'] ) && is_string( $settings['icon'] ) ? sanitize_key( preg_replace( '/^dashicons-/', '', trim( $settings['icon'] ) ) ) : '';
+
+		return array(
+			'title'     => isset( $settings['title'] ) && is_scalar( $settings['title'] ) ? sanitize_text_field( (string) $settings['title'] ) : '',
+			'keywords'  => array_slice( array_values( array_unique( $keywords ) ), 0, 10 ),
+			'icon'      => $icon,
+			'category'  => isset( $settings['category'] ) && is_scalar( $settings['category'] ) ? sanitize_text_field( (string) $settings['category'] ) : '',
+			'enclosing' => ! empty( $settings['enclosing'] ),
+		);
+	}
+
+	/**
+	 * Escape a value for a CSV export opened in a spreadsheet.
+	 *
+	 * Values starting with a character spreadsheets read as a formula are
+	 * prefixed with a quote, so logged visitor input such as a user agent
+	 * cannot run as a formula when an administrator opens the export.
+	 *
+	 * @since 1.54
+	 *
+	 * @param mixed $value The cell value.
+	 * @return string The escaped value.
+	 */
+	public static function escape_csv_value( $value ) {
+		$value = (string) $value;
+
+		return preg_match( '/^[=+\-@\t\r]/', $value ) ? "'" . $value : $value;
+	}
+
 	/**
 	 * Get security configuration.
 	 *
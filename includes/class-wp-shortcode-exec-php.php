@@ -103,6 +103,13 @@ class WP_Shortcode_Exec_PHP {
 	 */
 	private $editor_integration;
 
+	/**
+	 * REST API controller.
+	 *
+	 * @var WP_Shortcode_Exec_PHP_REST_Controller
+	 */
+	private $rest_controller;
+
 	/**
 	 * Constructor - Private to enforce singleton pattern.
 	 *
@@ -197,16 +204,20 @@ class WP_Shortcode_Exec_PHP {
 		// Load security class first.
 		require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-security.php';
 
+		// Load execution log class.
+		require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-log.php';
+
 		// Load handler class.
 		require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-handler.php';
 
 		// Load editor integration class.
 		require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-editor-integration.php';
 
-		// Load admin class only in admin.
-		if ( is_admin() ) {
-			require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-admin.php';
-		}
+		// Load admin class, which the REST API also uses to store shortcodes.
+		require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-admin.php';
+
+		// Load REST API controller class.
+		require_once $this->plugin_dir . 'includes/class-wp-shortcode-exec-php-rest-controller.php';
 	}
 
 	/**
@@ -218,6 +229,9 @@ class WP_Shortcode_Exec_PHP {
 		// Initialize security utility.
 		$this->security = new WP_Shortcode_Exec_PHP_Security();
 
+		// Create the execution log table if missing or outdated.
+		WP_Shortcode_Exec_PHP_Log::maybe_install();
+
 		// Initialize shortcode handler.
 		$this->handler = new WP_Shortcode_Exec_PHP_Handler();
 
@@ -226,9 +240,12 @@ class WP_Shortcode_Exec_PHP {
 
 		// Initialize admin interface.
 		if ( is_admin() ) {
-			$this->admin = new WP_Shortcode_Exec_PHP_Admin( $this->plugin_file, $this->plugin_url );
+			$this->get_admin();
 		}
 
+		// Register REST API routes.
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
+
 		// Register shortcodes.
 		$this->register_shortcodes();
 
@@ -246,6 +263,33 @@ class WP_Shortcode_Exec_PHP {
 		);
 	}
 
+	/**
+	 * Get the admin interface handler, creating it if needed.
+	 *
+	 * Outside wp-admin it is only created when the REST API needs it.
+	 *
+	 * @since 1.54
+	 *
+	 * @return WP_Shortcode_Exec_PHP_Admin Admin interface handler.
+	 */
+	public function get_admin() {
+		if ( null === $this->admin ) {
+			$this->admin = new WP_Shortcode_Exec_PHP_Admin( $this->plugin_file, $this->plugin_url );
+		}
+
+		return $this->admin;
+	}
+
+	/**
+	 * Register the REST API routes.
+	 *
+	 * @since 1.54
+	 */
+	public function register_rest_routes() {
+		$this->rest_controller = new WP_Shortcode_Exec_PHP_REST_Controller( $this->get_admin(), $this->editor_integration );
+		$this->rest_controller->register_routes();
+	}
+
 	/**
 	 * Register dynamic shortcodes.
 	 *
@@ -432,6 +476,8 @@ class WP_Shortcode_Exec_PHP {
 			'scep_tinymce'          => false,
 			'scep_tinymce_cap'      => 'edit_posts',
 			'scep_author_cap'       => 'edit_posts',
+			'scep_log_max_entries'  => 1000,
+			'scep_log_successes'    => false,
 			'scep_names'            => array(),
 			'scep_deleted'          => 0,
 		);
@@ -456,6 +502,9 @@ class WP_Shortcode_Exec_PHP {
 		if ( ! get_option( 'scep_installed_time' ) ) {
 			add_option( 'scep_installed_time', time(), '', true );
 		}
+
+		// Create the execution log table.
+		WP_Shortcode_Exec_PHP_Log::install();
 	}
 
 	/**
@@ -519,6 +568,8 @@ class WP_Shortcode_Exec_PHP {
 	 * @since 1.53
 	 */
 	private function cleanup_plugin_data() {
+		global $wpdb;
+
 		// Get all shortcode names.
 		$shortcode_names = get_option( 'scep_names', array() );
 
@@ -529,7 +580,12 @@ class WP_Shortcode_Exec_PHP {
 				delete_option( 'scep_buffer_' . $name );
 				delete_option( 'scep_description_' . $name );
 				delete_option( 'scep_param_' . $name );
+				delete_option( 'scep_schema_' . $name );
+				delete_option( 'scep_block_' . $name );
 				delete_option( 'scep_phpcode_' . $name );
+				delete_option( 'scep_test_history_' . $name );
+				delete_option( 'scep_revisions_' . $name );
+				delete_option( 'scep_modified_' . $name );
 			}
 		}
 
@@ -550,6 +606,8 @@ class WP_Shortcode_Exec_PHP {
 			'scep_tinymce',
 			'scep_tinymce_cap',
 			'scep_author_cap',
+			'scep_log_max_entries',
+			'scep_log_successes',
 			'scep_names',
 			'scep_deleted',
 			'scep_version',
@@ -559,6 +617,12 @@ class WP_Shortcode_Exec_PHP {
 		foreach ( $global_options as $option_name ) {
 			delete_option( $option_name );
 		}
+
+		// Delete the favorite and recently used shortcodes all users kept for this site.
+		delete_metadata( 'user', 0, $wpdb->get_blog_prefix() . WP_Shortcode_Exec_PHP_Editor_Integration::PICKER_META_KEY, '', true );
+
+		// Drop the execution log table.
+		WP_Shortcode_Exec_PHP_Log::uninstall();
 	}
 
 	/**
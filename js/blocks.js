@@ -12,22 +12,465 @@
 ( function() {
 	'use strict';
 	
-	const { registerBlockType } = wp.blocks;
-	const { InspectorControls, useBlockProps } = wp.blockEditor;
+	const { registerBlockType, registerBlockVariation, unregisterBlockVariation, createBlock, rawHandler, serialize, getBlockContent } = wp.blocks;
+	const { InspectorControls, BlockControls, InnerBlocks, useBlockProps } = wp.blockEditor;
 	const { 
 		PanelBody, 
 		SelectControl, 
 		TextControl, 
 		TextareaControl, 
+		ToggleControl,
+		ComboboxControl,
+		ColorPalette,
+		BaseControl,
 		Button,
 		Notice,
 		Spinner,
 		Card,
-		CardBody
+		CardBody,
+		ToolbarGroup,
+		ToolbarButton
 	} = wp.components;
-	const { useState, useEffect } = wp.element;
-	const { __ } = wp.i18n;
+	const { useState, useEffect, useRef } = wp.element;
+	const { useSelect, useDispatch } = wp.data;
+	const { __, sprintf } = wp.i18n;
 	const { apiFetch } = wp;
+	const { ShortcodePicker } = window.ShortcodeExecPHPPicker;
+	
+	/**
+	 * Name of the shared data store
+	 *
+	 * @type {string}
+	 */
+	const STORE_NAME = 'shortcode-exec-php';
+	
+	/**
+	 * Get the parameter schema of a shortcode
+	 *
+	 * @param {Array}  shortcodes Available shortcodes
+	 * @param {string} name       Shortcode name
+	 * @return {Array} Declared parameters
+	 */
+	const getParameterSchema = ( shortcodes, name ) => {
+		const shortcode = shortcodes.find( item => item.name === name );
+		return shortcode && Array.isArray( shortcode.schema ) ? shortcode.schema : [];
+	};
+	
+	/**
+	 * Check whether a shortcode wraps nested blocks
+	 *
+	 * @param {Array}  shortcodes Available shortcodes
+	 * @param {string} name       Shortcode name
+	 * @return {boolean} Whether the block holds nested blocks as its content
+	 */
+	const isEnclosingShortcode = ( shortcodes, name ) => {
+		const shortcode = shortcodes.find( item => item.name === name );
+		return !! ( shortcode && shortcode.block.enclosing );
+	};
+	
+	/**
+	 * Get the declared parameters that are required but have no value
+	 *
+	 * @param {Array}  schema     Declared parameters
+	 * @param {Object} parameters Block parameter values
+	 * @return {Array} Missing parameters
+	 */
+	const getMissingParameters = ( schema, parameters ) => schema.filter(
+		param => param.required && ! parameters[ param.name ] && ! param.default
+	);
+	
+	/**
+	 * Delay in milliseconds before a changed block requests a new preview
+	 *
+	 * @type {number}
+	 */
+	const PREVIEW_DELAY = 500;
+	
+	/**
+	 * Build the shortcode string for a shortcode name, parameters and content
+	 *
+	 * @param {string} name       Shortcode name
+	 * @param {Object} parameters Parameter values
+	 * @param {string} content    Enclosed content
+	 * @return {string} Shortcode string
+	 */
+	const buildShortcode = ( name, parameters, content ) => {
+		let shortcodeString = `[${name}`;
+		
+		Object.entries( parameters || {} ).forEach( ( [ key, value ] ) => {
+			if ( key && value ) {
+				shortcodeString += ` ${key}="${value}"`;
+			}
+		} );
+		
+		if ( content ) {
+			shortcodeString += `]${content}[/${name}]`;
+		} else {
+			shortcodeString += ']';
+		}
+		
+		return shortcodeString;
+	};
+	
+	/**
+	 * Get the ID of the post being edited, if any
+	 *
+	 * @param {Function} select Data store selector
+	 * @return {number} Post ID, or 0 outside the post editor
+	 */
+	const getEditedPostId = ( select ) => {
+		const editor = select( 'core/editor' );
+		const postId = editor ? editor.getCurrentPostId() : 0;
+		return Number.isInteger( postId ) ? postId : 0;
+	};
+	
+	/**
+	 * Debounced preview of a shortcode block
+	 *
+	 * The shortcode is rendered in the context of the post being edited.
+	 * Stored previews are shown right away. Otherwise the request is sent
+	 * once the shortcode has stopped changing, and a request that is no
+	 * longer needed is cancelled so a stale response never replaces a newer one.
+	 *
+	 * @param {Object} attributes  Shortcode name, parameters and content
+	 * @param {string} innerBlocks Serialized nested blocks of enclosing shortcodes
+	 * @return {{preview: Object|null, loading: boolean, error: string|null}} Preview state
+	 */
+	const usePreview = ( { shortcodeName, parameters, content }, innerBlocks ) => {
+		const postId = useSelect( getEditedPostId, [] );
+		const source = shortcodeName ? { attributes: { shortcodeName, parameters, content }, innerBlocks, postId } : null;
+		const key = source ? JSON.stringify( source ) : '';
+		
+		const stored = useSelect( ( select ) => (
+			source ? select( STORE_NAME ).getPreview( source ) : null
+		), [ key ] );
+		const { fetchPreview } = useDispatch( STORE_NAME );
+		
+		const [ state, setState ] = useState( { loading: false, error: null } );
+		
+		useEffect( () => {
+			if ( ! source || stored ) {
+				setState( { loading: false, error: null } );
+				return undefined;
+			}
+			
+			const controller = new AbortController();
+			setState( ( current ) => ( { ...current, loading: true } ) );
+			
+			const timer = setTimeout( () => {
+				fetchPreview( source, controller.signal )
+				.then( () => {
+					setState( { loading: false, error: null } );
+				} )
+				.catch( err => {
+					if ( err.name === 'AbortError' ) {
+						return;
+					}
+					
+					setState( {
+						loading: false,
+						error: err instanceof TypeError ? __( 'Preview network error', 'shortcode-exec-php' ) : err.message
+					} );
+					console.error( 'Preview error:', err );
+				} );
+			}, PREVIEW_DELAY );
+			
+			return () => {
+				clearTimeout( timer );
+				controller.abort();
+			};
+		}, [ key, !! stored ] );
+		
+		return { preview: stored, ...state };
+	};
+	
+	/**
+	 * Script run inside the preview frame to report its content height
+	 *
+	 * @type {string}
+	 */
+	const PREVIEW_RESIZE_SCRIPT = `( function() {
+		function postHeight() {
+			parent.postMessage( { type: 'scep-preview-height', height: document.body.offsetHeight }, '*' );
+		}
+		new ResizeObserver( postHeight ).observe( document.body );
+		window.addEventListener( 'load', postHeight );
+	} )();`;
+	
+	/**
+	 * Build the document shown in the preview frame
+	 *
+	 * @param {Object} preview Rendered preview with its styles and scripts
+	 * @return {string} HTML document
+	 */
+	const buildPreviewDocument = ( preview ) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<base target="_blank">
+${ preview.styles }
+<style>html, body { background: transparent; } body { display: flow-root; margin: 0; padding: 10px; }</style>
+</head>
+<body>
+${ preview.html }
+${ preview.scripts }
+<script>${ PREVIEW_RESIZE_SCRIPT }</script>
+</body>
+</html>`;
+	
+	/**
+	 * Sandboxed frame showing a rendered preview with the site's styles
+	 *
+	 * Shortcode output runs in its own document without access to the
+	 * editor, and the frame grows or shrinks with its content.
+	 */
+	const PreviewFrame = ( { preview } ) => {
+		const frameRef = useRef();
+		const [ height, setHeight ] = useState( 0 );
+		
+		useEffect( () => {
+			// The editor canvas may itself be a frame, so listen where the preview frame lives
+			const view = frameRef.current.ownerDocument.defaultView;
+			
+			const handleMessage = ( event ) => {
+				if ( frameRef.current && event.source === frameRef.current.contentWindow && event.data && event.data.type === 'scep-preview-height' ) {
+					setHeight( Math.ceil( event.data.height ) );
+				}
+			};
+			
+			view.addEventListener( 'message', handleMessage );
+			return () => view.removeEventListener( 'message', handleMessage );
+		}, [] );
+		
+		return (
+			<iframe
+				ref={ frameRef }
+				className="shortcode-exec-php-preview-frame"
+				title={ __( 'Shortcode preview', 'shortcode-exec-php' ) }
+				sandbox="allow-scripts"
+				srcDoc={ buildPreviewDocument( preview ) }
+				style={ { height: height ? `${ height }px` : '40px' } }
+			/>
+		);
+	};
+	
+	/**
+	 * Rendered preview in the visual or raw HTML view
+	 */
+	const PreviewPane = ( { preview, mode } ) => (
+		mode === 'raw' ? (
+			<pre className="shortcode-exec-php-preview-raw">{ preview.html }</pre>
+		) : (
+			<PreviewFrame preview={ preview } />
+		)
+	);
+	
+	/**
+	 * Post picker for post parameters
+	 *
+	 * Searches posts and pages and stores the selected post ID.
+	 */
+	const PostParameterControl = ( { label, help, value, onChange } ) => {
+		const [ search, setSearch ] = useState( '' );
+		
+		const posts = useSelect( ( select ) => {
+			const { getEntityRecords } = select( 'core' );
+			const query = { search, per_page: 20, status: 'publish,draft,private' };
+			return [
+				...( getEntityRecords( 'postType', 'post', query ) || [] ),
+				...( getEntityRecords( 'postType', 'page', query ) || [] )
+			];
+		}, [ search ] );
+		
+		const options = posts.map( post => ( {
+			label: `${ post.title.rendered || __( '(no title)', 'shortcode-exec-php' ) } (#${ post.id })`,
+			value: String( post.id )
+		} ) );
+		
+		// Keep the selected post listed while searching for another one
+		if ( value && ! options.some( option => option.value === value ) ) {
+			options.unshift( { label: `#${ value }`, value } );
+		}
+		
+		return (
+			<ComboboxControl
+				label={ label }
+				help={ help }
+				value={ value }
+				options={ options }
+				onFilterValueChange={ setSearch }
+				onChange={ ( newValue ) => onChange( newValue || '' ) }
+			/>
+		);
+	};
+	
+	/**
+	 * Typed inspector control for a declared shortcode parameter
+	 */
+	const ParameterControl = ( { param, value, onChange } ) => {
+		const label = param.label || param.name;
+		const isMissing = param.required && ! value && ! param.default;
+		const help = isMissing
+			? __( 'This parameter is required.', 'shortcode-exec-php' )
+			: param.help;
+		const className = isMissing ? 'shortcode-exec-php-param is-missing' : 'shortcode-exec-php-param';
+		
+		switch ( param.type ) {
+			case 'number':
+				return (
+					<TextControl
+						className={ className }
+						type="number"
+						label={ label }
+						help={ help }
+						value={ value }
+						placeholder={ param.default }
+						onChange={ onChange }
+					/>
+				);
+			
+			case 'boolean':
+				return (
+					<ToggleControl
+						className={ className }
+						label={ label }
+						help={ help }
+						checked={ 'true' === ( value || param.default ) }
+						onChange={ ( checked ) => onChange( checked ? 'true' : 'false' ) }
+					/>
+				);
+			
+			case 'select':
+				return (
+					<SelectControl
+						className={ className }
+						label={ label }
+						help={ help }
+						value={ value || param.default }
+						options={ [
+							{ label: __( 'Select an option...', 'shortcode-exec-php' ), value: '' },
+							...param.options.map( option => ( { label: option, value: option } ) )
+						] }
+						onChange={ onChange }
+					/>
+				);
+			
+			case 'color':
+				return (
+					<BaseControl className={ className } label={ label } help={ help }>
+						<ColorPalette
+							colors={ [] }
+							value={ value || param.default }
+							onChange={ ( color ) => onChange( color || '' ) }
+						/>
+					</BaseControl>
+				);
+			
+			case 'url':
+				return (
+					<TextControl
+						className={ className }
+						type="url"
+						label={ label }
+						help={ help }
+						value={ value }
+						placeholder={ param.default || 'https://' }
+						onChange={ onChange }
+					/>
+				);
+			
+			case 'post':
+				return (
+					<div className={ className }>
+						<PostParameterControl
+							label={ label }
+							help={ help }
+							value={ value || param.default }
+							onChange={ onChange }
+						/>
+					</div>
+				);
+			
+			default:
+				return (
+					<TextControl
+						className={ className }
+						label={ label }
+						help={ help }
+						value={ value }
+						placeholder={ param.default }
+						onChange={ onChange }
+					/>
+				);
+		}
+	};
+	
+	/**
+	 * Get the available shortcodes from the shared store
+	 *
+	 * @return {Array} Shortcodes, empty while loading
+	 */
+	const getShortcodes = () => wp.data.select( STORE_NAME ).getShortcodes() || [];
+	
+	/**
+	 * Parse text consisting of exactly one of the plugin's shortcodes
+	 *
+	 * Leading and trailing whitespace is ignored. Text with anything else
+	 * around the shortcode, or with a shortcode of another plugin, is not
+	 * matched.
+	 *
+	 * @param {string} text Text to parse
+	 * @return {Object|null} Block attributes, or null if the text is not one shortcode
+	 */
+	const parseShortcode = ( text ) => {
+		const trimmed = ( text || '' ).trim();
+		
+		for ( const { name } of getShortcodes() ) {
+			const match = wp.shortcode.next( name, trimmed );
+			if ( match && match.index === 0 && match.content === trimmed ) {
+				return {
+					shortcodeName: name,
+					parameters: { ...match.shortcode.attrs.named },
+					content: match.shortcode.content || ''
+				};
+			}
+		}
+		
+		return null;
+	};
+	
+	/**
+	 * Create a PHP Shortcode block from parsed shortcode attributes
+	 *
+	 * The content of enclosing shortcodes becomes nested blocks.
+	 *
+	 * @param {Object} attributes Shortcode name, parameters and content
+	 * @return {Object} Block
+	 */
+	const createShortcodeBlock = ( attributes ) => {
+		if ( ! isEnclosingShortcode( getShortcodes(), attributes.shortcodeName ) ) {
+			return createBlock( 'shortcode-exec-php/shortcode-selector', attributes );
+		}
+		
+		return createBlock(
+			'shortcode-exec-php/shortcode-selector',
+			{ ...attributes, content: '' },
+			attributes.content ? rawHandler( { HTML: attributes.content } ) : []
+		);
+	};
+	
+	/**
+	 * Get the shortcode content of a PHP Shortcode block
+	 *
+	 * @param {Object} attributes  Block attributes
+	 * @param {Array}  innerBlocks Nested blocks
+	 * @return {string} Enclosed content
+	 */
+	const getShortcodeContent = ( attributes, innerBlocks ) => (
+		isEnclosingShortcode( getShortcodes(), attributes.shortcodeName )
+			? ( innerBlocks || [] ).map( block => getBlockContent( block ) ).join( '' )
+			: attributes.content
+	);
 	
 	/**
 	 * Shortcode Selector Block
@@ -55,6 +498,57 @@
 			align: true,
 			alignWide: false,
 		},
+		transforms: {
+			from: [
+				{
+					type: 'block',
+					blocks: [ 'core/shortcode' ],
+					isMatch: ( { text } ) => !! parseShortcode( text ),
+					transform: ( { text } ) => createShortcodeBlock( parseShortcode( text ) )
+				},
+				{
+					type: 'block',
+					blocks: [ 'core/paragraph' ],
+					isMatch: ( { content } ) => !! parseShortcode( content ),
+					transform: ( { content } ) => createShortcodeBlock( parseShortcode( content ) )
+				},
+				{
+					type: 'block',
+					blocks: [ 'shortcode-exec-php/simple-shortcode' ],
+					transform: ( { shortcodeName } ) => createBlock( 'shortcode-exec-php/shortcode-selector', { shortcodeName } )
+				},
+				{
+					// Pasted or converted classic content, matching shortcodes added while the editor is open
+					type: 'shortcode',
+					get tag() {
+						return getShortcodes().map( shortcode => shortcode.name );
+					},
+					transform: ( attributes, { shortcode } ) => createShortcodeBlock( {
+						shortcodeName: shortcode.tag,
+						parameters: { ...shortcode.attrs.named },
+						content: shortcode.content || ''
+					} )
+				}
+			],
+			to: [
+				{
+					type: 'block',
+					blocks: [ 'core/shortcode' ],
+					isMatch: ( { shortcodeName } ) => !! shortcodeName,
+					transform: ( attributes, innerBlocks ) => createBlock( 'core/shortcode', {
+						text: buildShortcode( attributes.shortcodeName, attributes.parameters, getShortcodeContent( attributes, innerBlocks ) )
+					} )
+				},
+				{
+					type: 'block',
+					blocks: [ 'core/paragraph' ],
+					isMatch: ( { shortcodeName } ) => !! shortcodeName,
+					transform: ( attributes, innerBlocks ) => createBlock( 'core/paragraph', {
+						content: buildShortcode( attributes.shortcodeName, attributes.parameters, getShortcodeContent( attributes, innerBlocks ) )
+					} )
+				}
+			]
+		},
 		attributes: {
 			shortcodeName: {
 				type: 'string',
@@ -75,119 +569,37 @@
 		},
 		
 		edit: function( props ) {
-			const { attributes, setAttributes } = props;
+			const { attributes, setAttributes, clientId } = props;
 			const { shortcodeName, parameters, content } = attributes;
 			const blockProps = useBlockProps();
 			
-			// State management
-			const [ shortcodes, setShortcodes ] = useState( [] );
-			const [ loading, setLoading ] = useState( true );
-			const [ preview, setPreview ] = useState( '' );
-			const [ previewLoading, setPreviewLoading ] = useState( false );
-			const [ error, setError ] = useState( null );
-			
-			// Load available shortcodes on mount
-			useEffect( () => {
-				loadShortcodes();
+			// Shortcodes from the shared store, loaded once per editor session
+			const { shortcodes, loading, error } = useSelect( ( select ) => {
+				const store = select( STORE_NAME );
+				const list = store.getShortcodes();
+				const listError = store.getShortcodesError();
+				
+				return {
+					shortcodes: list || [],
+					loading: list === null && ! listError,
+					error: listError
+				};
 			}, [] );
+			const { invalidateShortcodes, addRecentShortcode } = useDispatch( STORE_NAME );
+			const [ previewMode, setPreviewMode ] = useState( 'visual' );
 			
-			// Update preview when shortcode changes
-			useEffect( () => {
-				if ( shortcodeName ) {
-					updatePreview();
-				}
-			}, [ shortcodeName, parameters, content ] );
+			// Enclosing shortcodes wrap nested blocks instead of the content attribute
+			const isEnclosing = isEnclosingShortcode( shortcodes, shortcodeName );
+			const innerBlocks = useSelect( ( select ) => (
+				isEnclosing ? serialize( select( 'core/block-editor' ).getBlocks( clientId ) ) : ''
+			), [ clientId, isEnclosing ] );
 			
-			/**
-			 * Load available shortcodes from server
-			 */
-			const loadShortcodes = () => {
-				setLoading( true );
-				setError( null );
-				
-				const formData = new FormData();
-				formData.append( 'action', 'scep_get_shortcodes' );
-				formData.append( 'nonce', shortcodeExecPHP.nonce );
-				
-				fetch( shortcodeExecPHP.ajaxUrl, {
-					method: 'POST',
-					body: formData
-				} )
-				.then( response => response.json() )
-				.then( data => {
-					if ( data.success ) {
-						setShortcodes( data.data || [] );
-					} else {
-						setError( data.data || __( 'Failed to load shortcodes', 'shortcode-exec-php' ) );
-					}
-				} )
-				.catch( err => {
-					setError( __( 'Network error loading shortcodes', 'shortcode-exec-php' ) );
-					console.error( 'Shortcode loading error:', err );
-				} )
-				.finally( () => {
-					setLoading( false );
-				} );
-			};
-			
-			/**
-			 * Update shortcode preview
-			 */
-			const updatePreview = () => {
-				if ( ! shortcodeName ) {
-					setPreview( '' );
-					return;
-				}
-				
-				setPreviewLoading( true );
-				
-				// Build shortcode string
-				let shortcodeString = `[${shortcodeName}`;
-				
-				// Add parameters
-				if ( parameters && Object.keys( parameters ).length > 0 ) {
-					Object.entries( parameters ).forEach( ( [ key, value ] ) => {
-						if ( key && value ) {
-							shortcodeString += ` ${key}="${value}"`;
-						}
-					} );
-				}
-				
-				// Add content
-				if ( content ) {
-					shortcodeString += `]${content}[/${shortcodeName}]`;
-				} else {
-					shortcodeString += ']';
-				}
-				
-				const formData = new FormData();
-				formData.append( 'action', 'scep_preview_shortcode' );
-				formData.append( 'nonce', shortcodeExecPHP.nonce );
-				formData.append( 'shortcode', shortcodeString );
-				
-				fetch( shortcodeExecPHP.ajaxUrl, {
-					method: 'POST',
-					body: formData
-				} )
-				.then( response => response.json() )
-				.then( data => {
-					if ( data.success ) {
-						setPreview( data.data.preview || '' );
-						setError( null );
-					} else {
-						setError( data.data || __( 'Preview failed', 'shortcode-exec-php' ) );
-						setPreview( '' );
-					}
-				} )
-				.catch( err => {
-					setError( __( 'Preview network error', 'shortcode-exec-php' ) );
-					setPreview( '' );
-					console.error( 'Preview error:', err );
-				} )
-				.finally( () => {
-					setPreviewLoading( false );
-				} );
-			};
+			// Debounced preview of the configured shortcode
+			const {
+				preview,
+				loading: previewLoading,
+				error: previewError
+			} = usePreview( { shortcodeName, parameters, content: isEnclosing ? '' : content }, innerBlocks );
 			
 			/**
 			 * Handle shortcode selection change
@@ -199,6 +611,10 @@
 					content: '',
 					hasPreview: !!newShortcodeName
 				} );
+				
+				if ( newShortcodeName ) {
+					addRecentShortcode( newShortcodeName );
+				}
 			};
 			
 			/**
@@ -218,8 +634,11 @@
 			 * Add new parameter field
 			 */
 			const addParameter = () => {
-				const newKey = `param_${Object.keys( parameters ).length + 1}`;
-				handleParameterChange( newKey, '' );
+				let index = Object.keys( parameters ).length + 1;
+				while ( parameters.hasOwnProperty( `param_${index}` ) ) {
+					index++;
+				}
+				setAttributes( { parameters: { ...parameters, [ `param_${index}` ]: '' } } );
 			};
 			
 			/**
@@ -253,7 +672,7 @@
 					<div { ...blockProps }>
 						<Notice status="error" isDismissible={ false }>
 							<p>{ error }</p>
-							<Button isSecondary onClick={ loadShortcodes }>
+							<Button isSecondary onClick={ invalidateShortcodes }>
 								{ __( 'Retry', 'shortcode-exec-php' ) }
 							</Button>
 						</Notice>
@@ -261,23 +680,36 @@
 				);
 			}
 			
-			// Create shortcode options for SelectControl
-			const shortcodeOptions = [
-				{ label: __( 'Select a shortcode...', 'shortcode-exec-php' ), value: '' },
-				...shortcodes.map( shortcode => ( {
-					label: shortcode.label || `[${shortcode.name}]`,
-					value: shortcode.name
-				} ) )
-			];
+			// Declared parameters of the selected shortcode
+			const schema = getParameterSchema( shortcodes, shortcodeName );
+			const missingParameters = getMissingParameters( schema, parameters );
+			const isDeclaredParameter = ( key ) => schema.some( param => param.name === key );
 			
 			return (
 				<div { ...blockProps }>
+					{ shortcodeName && (
+						<BlockControls>
+							<ToolbarGroup>
+								<ToolbarButton
+									isPressed={ previewMode === 'visual' }
+									onClick={ () => setPreviewMode( 'visual' ) }
+								>
+									{ __( 'Preview', 'shortcode-exec-php' ) }
+								</ToolbarButton>
+								<ToolbarButton
+									isPressed={ previewMode === 'raw' }
+									onClick={ () => setPreviewMode( 'raw' ) }
+								>
+									{ __( 'HTML', 'shortcode-exec-php' ) }
+								</ToolbarButton>
+							</ToolbarGroup>
+						</BlockControls>
+					) }
 					<InspectorControls>
 						<PanelBody title={ __( 'Shortcode Settings', 'shortcode-exec-php' ) }>
-							<SelectControl
+							<ShortcodePicker
 								label={ __( 'Shortcode', 'shortcode-exec-php' ) }
 								value={ shortcodeName }
-								options={ shortcodeOptions }
 								onChange={ handleShortcodeChange }
 							/>
 							
@@ -285,7 +717,27 @@
 								<>
 									<hr />
 									<h4>{ __( 'Parameters', 'shortcode-exec-php' ) }</h4>
-									{ Object.entries( parameters ).map( ( [ key, value ] ) => (
+									{ missingParameters.length > 0 && (
+										<Notice status="warning" isDismissible={ false }>
+											{ sprintf(
+												/* translators: %s: Comma separated parameter names */
+												__( 'Required parameters are missing: %s', 'shortcode-exec-php' ),
+												missingParameters.map( param => param.label || param.name ).join( ', ' )
+											) }
+										</Notice>
+									) }
+									{ schema.map( ( param ) => (
+										<ParameterControl
+											key={ param.name }
+											param={ param }
+											value={ parameters[ param.name ] || '' }
+											onChange={ ( newValue ) => handleParameterChange( param.name, newValue ) }
+										/>
+									) ) }
+									{ schema.length > 0 && (
+										<h4>{ __( 'Other Parameters', 'shortcode-exec-php' ) }</h4>
+									) }
+									{ Object.entries( parameters ).filter( ( [ key ] ) => ! isDeclaredParameter( key ) ).map( ( [ key, value ] ) => (
 										<div key={ key } style={ { marginBottom: '10px' } }>
 											<div style={ { display: 'flex', gap: '5px' } }>
 												<TextControl
@@ -323,15 +775,19 @@
 										{ __( 'Add Parameter', 'shortcode-exec-php' ) }
 									</Button>
 									
-									<hr />
-									
-									<TextareaControl
-										label={ __( 'Content', 'shortcode-exec-php' ) }
-										value={ content }
-										onChange={ ( newContent ) => setAttributes( { content: newContent } ) }
-										placeholder={ __( 'Optional shortcode content...', 'shortcode-exec-php' ) }
-										rows={ 3 }
-									/>
+									{ ! isEnclosing && (
+										<>
+											<hr />
+											
+											<TextareaControl
+												label={ __( 'Content', 'shortcode-exec-php' ) }
+												value={ content }
+												onChange={ ( newContent ) => setAttributes( { content: newContent } ) }
+												placeholder={ __( 'Optional shortcode content...', 'shortcode-exec-php' ) }
+												rows={ 3 }
+											/>
+										</>
+									) }
 								</>
 							) }
 						</PanelBody>
@@ -343,22 +799,12 @@
 										<Spinner />
 										<p>{ __( 'Generating preview...', 'shortcode-exec-php' ) }</p>
 									</div>
-								) : error ? (
+								) : previewError ? (
 									<Notice status="warning" isDismissible={ false }>
-										{ error }
+										{ previewError }
 									</Notice>
-								) : preview ? (
-									<div
-										style={ {
-											border: '1px solid #ddd',
-											padding: '10px',
-											backgroundColor: '#f9f9f9',
-											fontFamily: 'monospace',
-											fontSize: '12px',
-											whiteSpace: 'pre-wrap'
-										} }
-										dangerouslySetInnerHTML={ { __html: preview } }
-									/>
+								) : preview && preview.html ? (
+									<PreviewPane preview={ preview } mode={ previewMode } />
 								) : (
 									<p>{ __( 'No preview available', 'shortcode-exec-php' ) }</p>
 								) }
@@ -369,21 +815,24 @@
 					<Card>
 						<CardBody>
 							{ ! shortcodeName ? (
-								<div style={ { textAlign: 'center', padding: '20px' } }>
-									<div style={ { fontSize: '48px', marginBottom: '10px' } }>⚡</div>
-									<h3>{ __( 'PHP Shortcode', 'shortcode-exec-php' ) }</h3>
-									<p>{ __( 'Select a shortcode from the settings panel to get started.', 'shortcode-exec-php' ) }</p>
-									{ shortcodes.length === 0 && (
-										<Notice status="info" isDismissible={ false }>
-											{ __( 'No shortcodes available. Create one in the admin panel first.', 'shortcode-exec-php' ) }
-										</Notice>
-									) }
+								<div style={ { padding: '20px' } }>
+									<h3 style={ { textAlign: 'center' } }>{ __( 'PHP Shortcode', 'shortcode-exec-php' ) }</h3>
+									<ShortcodePicker
+										label={ __( 'Select a shortcode to get started', 'shortcode-exec-php' ) }
+										value={ shortcodeName }
+										onChange={ handleShortcodeChange }
+									/>
 								</div>
 							) : (
 								<div>
 									<h4 style={ { margin: '0 0 10px 0' } }>
 										[{ shortcodeName }]
 									</h4>
+									{ missingParameters.length > 0 && (
+										<Notice status="warning" isDismissible={ false }>
+											{ __( 'Some required parameters are missing. Set them in the block settings.', 'shortcode-exec-php' ) }
+										</Notice>
+									) }
 									{ Object.keys( parameters ).length > 0 && (
 										<div style={ { marginBottom: '10px' } }>
 											<strong>{ __( 'Parameters:', 'shortcode-exec-php' ) }</strong>
@@ -396,7 +845,12 @@
 											</ul>
 										</div>
 									) }
-									{ content && (
+									{ isEnclosing && (
+										<div className="shortcode-exec-php-inner-blocks">
+											<InnerBlocks renderAppender={ InnerBlocks.ButtonBlockAppender } />
+										</div>
+									) }
+									{ content && ! isEnclosing && (
 										<div style={ { marginBottom: '10px' } }>
 											<strong>{ __( 'Content:', 'shortcode-exec-php' ) }</strong>
 											<div style={ { 
@@ -416,17 +870,16 @@
 											<p>{ __( 'Loading preview...', 'shortcode-exec-php' ) }</p>
 										</div>
 									) }
-									{ preview && ! previewLoading && (
+									{ preview && preview.html && ! previewLoading && (
 										<div>
 											<strong>{ __( 'Preview:', 'shortcode-exec-php' ) }</strong>
 											<div style={ {
 												border: '1px solid #ddd',
-												padding: '10px',
 												marginTop: '5px',
 												backgroundColor: '#ffffff',
 												minHeight: '40px'
 											} }>
-												<div dangerouslySetInnerHTML={ { __html: preview } } />
+												<PreviewPane preview={ preview } mode={ previewMode } />
 											</div>
 										</div>
 									) }
@@ -439,15 +892,89 @@
 		},
 		
 		save: function() {
-			// Return null to use dynamic rendering (render_callback)
-			return null;
+			// Dynamic rendering (render_callback), with nested blocks of enclosing shortcodes passed as its content
+			return <InnerBlocks.Content />;
 		}
 	} );
 	
+	/**
+	 * Get the inserter item of a shortcode
+	 *
+	 * @param {Object} shortcode Shortcode
+	 * @return {Object} Block variation
+	 */
+	const getShortcodeVariation = ( shortcode ) => ( {
+		name: shortcode.name,
+		title: shortcode.block.title || shortcode.name,
+		description: shortcode.description,
+		keywords: [ shortcode.name, ...shortcode.block.keywords ],
+		icon: {
+			src: shortcode.block.icon || 'editor-code',
+			background: '#1e73be',
+			foreground: '#ffffff'
+		},
+		attributes: { shortcodeName: shortcode.name },
+		scope: [ 'inserter', 'transform' ],
+		isActive: ( blockAttributes, variationAttributes ) => blockAttributes.shortcodeName === variationAttributes.shortcodeName
+	} );
+	
+	/**
+	 * Serialized settings of the registered variations keyed by shortcode name
+	 *
+	 * @type {Map<string, string>}
+	 */
+	const registeredVariations = new Map();
+	
+	/**
+	 * Shortcode list the variations were last synced with
+	 *
+	 * @type {Array|null}
+	 */
+	let syncedShortcodes = null;
+	
+	/**
+	 * Keep one inserter item per shortcode, so editors can search for what it does
+	 *
+	 * Runs whenever the shared store changes, so shortcodes added, renamed
+	 * or changed in the admin during the editor session get an up to date
+	 * item once the store has reloaded the list.
+	 */
+	const syncShortcodeVariations = () => {
+		const shortcodes = wp.data.select( STORE_NAME ).getShortcodes();
+		if ( ! shortcodes || shortcodes === syncedShortcodes ) {
+			return;
+		}
+		
+		// Registering variations changes the blocks store, which runs this again
+		syncedShortcodes = shortcodes;
+		const current = new Map( shortcodes.map( shortcode => [ shortcode.name, shortcode ] ) );
+		
+		registeredVariations.forEach( ( signature, name ) => {
+			const shortcode = current.get( name );
+			if ( ! shortcode || JSON.stringify( getShortcodeVariation( shortcode ) ) !== signature ) {
+				registeredVariations.delete( name );
+				unregisterBlockVariation( 'shortcode-exec-php/shortcode-selector', name );
+			}
+		} );
+		
+		current.forEach( ( shortcode, name ) => {
+			if ( ! registeredVariations.has( name ) ) {
+				const variation = getShortcodeVariation( shortcode );
+				registeredVariations.set( name, JSON.stringify( variation ) );
+				registerBlockVariation( 'shortcode-exec-php/shortcode-selector', variation );
+			}
+		} );
+	};
+	
+	syncShortcodeVariations();
+	wp.data.subscribe( syncShortcodeVariations );
+	
 	/**
 	 * Simple Shortcode Insert Block
 	 * 
-	 * Lightweight block for quick shortcode insertion without parameters
+	 * Lightweight block for quick shortcode insertion without parameters,
+	 * rendered on the server so renamed or disabled shortcodes show a
+	 * placeholder instead of a dead shortcode in the post content
 	 */
 	registerBlockType( 'shortcode-exec-php/simple-shortcode', {
 		title: __( 'Simple PHP Shortcode', 'shortcode-exec-php' ),
@@ -473,35 +1000,41 @@
 				default: ''
 			}
 		},
+		deprecated: [
+			{
+				// Up to 1.53 the shortcode was saved into the post content
+				attributes: {
+					shortcodeName: {
+						type: 'string',
+						default: ''
+					}
+				},
+				supports: {
+					html: false,
+					align: false,
+				},
+				save: function( props ) {
+					const { shortcodeName } = props.attributes;
+					return shortcodeName ? `[${shortcodeName}]` : '';
+				}
+			}
+		],
 		
 		edit: function( props ) {
 			const { attributes, setAttributes } = props;
 			const { shortcodeName } = attributes;
 			const blockProps = useBlockProps();
 			
-			const [ shortcodes, setShortcodes ] = useState( [] );
-			const [ loading, setLoading ] = useState( true );
-			
-			useEffect( () => {
-				// Load shortcodes
-				const formData = new FormData();
-				formData.append( 'action', 'scep_get_shortcodes' );
-				formData.append( 'nonce', shortcodeExecPHP.nonce );
+			const { shortcodes, loading } = useSelect( ( select ) => {
+				const store = select( STORE_NAME );
+				const list = store.getShortcodes();
 				
-				fetch( shortcodeExecPHP.ajaxUrl, {
-					method: 'POST',
-					body: formData
-				} )
-				.then( response => response.json() )
-				.then( data => {
-					if ( data.success ) {
-						setShortcodes( data.data || [] );
-					}
-				} )
-				.finally( () => {
-					setLoading( false );
-				} );
+				return {
+					shortcodes: list || [],
+					loading: list === null && ! store.getShortcodesError()
+				};
 			}, [] );
+			const { addRecentShortcode } = useDispatch( STORE_NAME );
 			
 			if ( loading ) {
 				return (
@@ -511,23 +1044,29 @@
 				);
 			}
 			
-			const shortcodeOptions = [
-				{ label: __( 'Select shortcode...', 'shortcode-exec-php' ), value: '' },
-				...shortcodes.map( shortcode => ( {
-					label: shortcode.name,
-					value: shortcode.name
-				} ) )
-			];
+			// Only enabled shortcodes are listed, so anything else was deleted, renamed or disabled
+			const isUnavailable = !! shortcodeName && ! shortcodes.some( shortcode => shortcode.name === shortcodeName );
 			
 			return (
 				<div { ...blockProps }>
-					<SelectControl
+					<ShortcodePicker
 						label={ __( 'PHP Shortcode', 'shortcode-exec-php' ) }
 						value={ shortcodeName }
-						options={ shortcodeOptions }
-						onChange={ ( value ) => setAttributes( { shortcodeName: value } ) }
+						onChange={ ( value ) => {
+							setAttributes( { shortcodeName: value } );
+							addRecentShortcode( value );
+						} }
 					/>
-					{ shortcodeName && (
+					{ isUnavailable && (
+						<div className="shortcode-exec-php-placeholder is-unavailable">
+							{ sprintf(
+								/* translators: %s: Shortcode name */
+								__( 'The shortcode [%s] no longer exists or is disabled. Visitors see a placeholder until it is enabled again or another shortcode is selected.', 'shortcode-exec-php' ),
+								shortcodeName
+							) }
+						</div>
+					) }
+					{ shortcodeName && ! isUnavailable && (
 						<div style={ { 
 							padding: '10px', 
 							backgroundColor: '#f0f0f0',
@@ -541,9 +1080,9 @@
 			);
 		},
 		
-		save: function( props ) {
-			const { shortcodeName } = props.attributes;
-			return shortcodeName ? `[${shortcodeName}]` : '';
+		save: function() {
+			// Return null to use dynamic rendering (render_callback)
+			return null;
 		}
 	} );
 	
@@ -0,0 +1,65 @@
+/**
+ * Quicktags Button for Shortcode Exec PHP
+ *
+ * Adds a button to the Text tab of the classic editor and to any other
+ * editor using Quicktags, opening the same shortcode modal as the
+ * TinyMCE plugin.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+( function() {
+	'use strict';
+	
+	// Ensure Quicktags and the shortcode modal are available
+	if ( typeof QTags === 'undefined' || ! window.ShortcodeExecPHPModal ) {
+		return;
+	}
+	
+	/**
+	 * Put a shortcode into a textarea in place of its selection
+	 *
+	 * Shortcodes wrapping content replace the selection they were built
+	 * around. Other shortcodes are inserted after it, so the selected text
+	 * is kept.
+	 *
+	 * @param {HTMLTextAreaElement} canvas    Editor textarea
+	 * @param {number}              start     Selection start
+	 * @param {number}              end       Selection end
+	 * @param {string}              text      Shortcode text
+	 * @param {boolean}             enclosing Whether the shortcode wraps the selection
+	 */
+	const insertShortcode = ( canvas, start, end, text, enclosing ) => {
+		const from = enclosing ? start : end;
+		const caret = from + text.length;
+		
+		canvas.value = canvas.value.substring( 0, from ) + text + canvas.value.substring( end );
+		canvas.focus();
+		canvas.setSelectionRange( caret, caret );
+		canvas.dispatchEvent( new Event( 'input', { bubbles: true } ) );
+	};
+	
+	QTags.addButton(
+		'scep_shortcode',
+		window.shortcodeExecPHPModal?.quicktagsLabel || 'PHP shortcode',
+		function( button, canvas ) {
+			// The modal takes the focus, so remember where the shortcode goes
+			const start = canvas.selectionStart;
+			const end = canvas.selectionEnd;
+			
+			window.ShortcodeExecPHPModal.open( {
+				selection: canvas.value.substring( start, end ),
+				onSubmit: function( shortcodeString, shortcode ) {
+					insertShortcode( canvas, start, end, shortcodeString, !! ( shortcode.block && shortcode.block.enclosing ) );
+				}
+			} );
+		},
+		'',
+		'',
+		window.shortcodeExecPHPModal?.modalTitle || 'Insert PHP Shortcode',
+		200
+	);
+
+} )();
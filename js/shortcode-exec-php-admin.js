@@ -13,6 +13,69 @@
 ( function( $ ) {
 	'use strict';
 
+	/**
+	 * CodeMirror instance of the PHP code editor, if initialized.
+	 *
+	 * @type {Object|null}
+	 */
+	let codeMirror = null;
+
+	/**
+	 * Name of the shortcode loaded into the form, empty when adding a new one.
+	 *
+	 * @type {string}
+	 */
+	let editingShortcode = '';
+
+	/**
+	 * Serialized form state at the time it was last loaded or saved.
+	 *
+	 * @type {string}
+	 */
+	let savedFormState = '';
+
+	/**
+	 * Shortcode run by the test dialog and whether its unsaved draft is run.
+	 *
+	 * @type {{name: string, draft: boolean}}
+	 */
+	let testTarget = { name: '', draft: false };
+
+	/**
+	 * Recent test inputs of the tested shortcode, most recent first.
+	 *
+	 * @type {Array}
+	 */
+	let testHistory = [];
+
+	/**
+	 * Attributes last used for the tested shortcode on the site.
+	 *
+	 * @type {Object}
+	 */
+	let testParams = {};
+
+	/**
+	 * Pending timer and request controller of the server-side lint.
+	 *
+	 * @type {{timer: number|null, controller: AbortController|null}}
+	 */
+	const serverLint = { timer: null, controller: null };
+
+	/**
+	 * Column and direction the existing shortcodes table is sorted by.
+	 *
+	 * @type {{column: string, order: string}}
+	 */
+	const listSort = { column: 'name', order: 'asc' };
+
+	/**
+	 * REST API namespace of the plugin.
+	 *
+	 * @type {string}
+	 */
+	const API_NAMESPACE = '/shortcode-exec-php/v1';
+
 	/**
 	 * Initialize admin functionality when document is ready.
 	 */
@@ -20,8 +83,58 @@
 		initializeCodeEditor();
 		initializeEventHandlers();
 		initializeTestDialog();
+		initializeParamSchema();
+		initializeEditState();
+		initializeRevisions();
+		initializeImport();
+		initializeShortcodeList();
+		initializeEditorSync();
 	} );
 
+	/**
+	 * Let editors open in other tabs reload their shortcode list.
+	 *
+	 * The editors' data store listens for changes to a local storage key,
+	 * which is touched whenever shortcodes are changed on this page.
+	 */
+	function initializeEditorSync() {
+		if ( scepAdmin.shortcodesChanged ) {
+			notifyEditors();
+		}
+	}
+
+	/**
+	 * Tell editors open in other tabs that shortcodes changed.
+	 */
+	function notifyEditors() {
+		try {
+			window.localStorage.setItem( 'scep-shortcodes-modified', String( Date.now() ) );
+		} catch ( e ) {
+			// Storage is unavailable, editors pick up changes when reloaded.
+		}
+	}
+
+	/**
+	 * Get the REST API path of a shortcode, or of one of its sub-routes.
+	 *
+	 * @param {string} shortcodeName The shortcode name.
+	 * @param {string} route         Optional sub-route, such as 'test'.
+	 * @return {string} The request path.
+	 */
+	function getShortcodePath( shortcodeName, route ) {
+		return API_NAMESPACE + '/shortcodes/' + encodeURIComponent( shortcodeName ) + ( route ? '/' + route : '' );
+	}
+
+	/**
+	 * Get the message of a failed REST API request.
+	 *
+	 * @param {Object} error The error the request was rejected with.
+	 * @return {string} The error message.
+	 */
+	function getErrorMessage( error ) {
+		return error && error.message ? error.message : scepAdmin.strings.requestFailed;
+	}
+
 	/**
 	 * Initialize the code editor with WordPress CodeMirror.
 	 */
@@ -31,155 +144,1272 @@
 			return;
 		}
 
-		// Initialize WordPress CodeMirror.
-		if ( typeof wp !== 'undefined' && wp.codeEditor ) {
-			const editorSettings = wp.codeEditor.defaultSettings ? _.clone( wp.codeEditor.defaultSettings ) : {};
-			editorSettings.codemirror = _.extend(
-				{},
-				editorSettings.codemirror,
-				{
-					mode: 'php',
-					lineNumbers: true,
-					lineWrapping: true,
-					theme: 'default',
-					indentUnit: 4,
-					indentWithTabs: true,
-					autoCloseBrackets: true,
-					matchBrackets: true,
-					lint: true,
-					gutters: [ 'CodeMirror-lint-markers', 'CodeMirror-linenumbers', 'CodeMirror-foldgutter' ],
-				}
-			);
+		// Initialize WordPress CodeMirror.
+		if ( typeof wp !== 'undefined' && wp.codeEditor ) {
+			const editorSettings = wp.codeEditor.defaultSettings ? _.clone( wp.codeEditor.defaultSettings ) : {};
+			editorSettings.codemirror = _.extend(
+				{},
+				editorSettings.codemirror,
+				{
+					mode: 'php',
+					lineNumbers: true,
+					lineWrapping: true,
+					theme: 'default',
+					indentUnit: 4,
+					indentWithTabs: true,
+					autoCloseBrackets: true,
+					matchBrackets: true,
+					lint: {
+						getAnnotations: getLintAnnotations,
+						async: true,
+					},
+					gutters: [ 'CodeMirror-lint-markers', 'CodeMirror-linenumbers', 'CodeMirror-foldgutter' ],
+				}
+			);
+
+			// Initialize the editor.
+			const editor = wp.codeEditor.initialize( textarea, editorSettings );
+			codeMirror = editor && editor.codemirror ? editor.codemirror : null;
+		}
+	}
+
+	/**
+	 * Lint the editor content for the CodeMirror lint addon.
+	 *
+	 * Blocked functions and dangerous patterns are flagged right away;
+	 * syntax errors are added once the debounced server check returns.
+	 *
+	 * @param {string}   text          Editor content.
+	 * @param {Function} updateLinting Callback receiving the annotations.
+	 * @param {Object}   options       Lint options.
+	 * @param {Object}   cm            CodeMirror instance.
+	 */
+	function getLintAnnotations( text, updateLinting, options, cm ) {
+		const annotations = getRuleAnnotations( text, cm );
+		updateLinting( annotations );
+
+		clearTimeout( serverLint.timer );
+		if ( serverLint.controller ) {
+			serverLint.controller.abort();
+			serverLint.controller = null;
+		}
+
+		if ( ! text.trim() ) {
+			return;
+		}
+
+		serverLint.timer = setTimeout( function() {
+			const controller = new AbortController();
+			serverLint.controller = controller;
+
+			wp.apiFetch( {
+				path: API_NAMESPACE + '/lint',
+				method: 'POST',
+				data: { code: text },
+				signal: controller.signal,
+			} ).then( function( response ) {
+				// Rule matches are already flagged; only add syntax errors.
+				const syntaxErrors = response.issues.filter( function( issue ) {
+					return issue.source === 'syntax';
+				} );
+
+				// Stale results are ignored by the lint addon once the text changed.
+				updateLinting( annotations.concat( syntaxErrors.map( function( issue ) {
+					return getLineAnnotation( cm, issue.line, issue.message );
+				} ) ) );
+			} ).catch( function() {
+				// Syntax errors are reported again when saving.
+			} ).finally( function() {
+				if ( serverLint.controller === controller ) {
+					serverLint.controller = null;
+				}
+			} );
+		}, scepAdmin.lintDelay );
+	}
+
+	/**
+	 * Get annotations for the blocked function and dangerous pattern rules.
+	 *
+	 * @param {string} text Editor content.
+	 * @param {Object} cm   CodeMirror instance.
+	 * @return {Array} Lint annotations.
+	 */
+	function getRuleAnnotations( text, cm ) {
+		const annotations = [];
+
+		scepAdmin.lintRules.forEach( function( rule ) {
+			const flags = rule.flags.indexOf( 'g' ) === -1 ? rule.flags + 'g' : rule.flags;
+			const regex = new RegExp( rule.source, flags );
+			let match;
+
+			while ( ( match = regex.exec( text ) ) !== null ) {
+				if ( ! match[ 0 ].length ) {
+					regex.lastIndex++;
+					continue;
+				}
+
+				annotations.push( {
+					from: cm.posFromIndex( match.index ),
+					to: cm.posFromIndex( match.index + match[ 0 ].length ),
+					message: rule.message,
+					severity: 'error',
+				} );
+			}
+		} );
+
+		return annotations;
+	}
+
+	/**
+	 * Get an annotation covering a whole editor line.
+	 *
+	 * @param {Object} cm      CodeMirror instance.
+	 * @param {number} line    One-based line number.
+	 * @param {string} message Annotation message.
+	 * @return {Object} Lint annotation.
+	 */
+	function getLineAnnotation( cm, line, message ) {
+		const index = Math.min( Math.max( line, 1 ), cm.lineCount() ) - 1;
+
+		return {
+			from: { line: index, ch: 0 },
+			to: { line: index, ch: cm.getLine( index ).length },
+			message: message,
+			severity: 'error',
+		};
+	}
+
+	/**
+	 * Initialize event handlers for admin interface.
+	 */
+	function initializeEventHandlers() {
+		// Test shortcode button.
+		$( '#test-shortcode' ).on( 'click', handleTestShortcode );
+
+		const table = $( '#scep-shortcodes-table' );
+
+		// Edit shortcode buttons.
+		table.on( 'click', '.edit-shortcode', handleEditShortcode );
+
+		// Test shortcode buttons in list.
+		table.on( 'click', '.test-shortcode', function( e ) {
+			e.preventDefault();
+			const shortcodeName = $( this ).data( 'shortcode' );
+			testExistingShortcode( shortcodeName );
+		} );
+
+		// Enable and disable shortcode buttons.
+		table.on( 'click', '.toggle-shortcode', handleToggleShortcode );
+
+		// Delete shortcode buttons.
+		table.on( 'click', '.delete-shortcode', handleDeleteShortcode );
+
+		// Form validation.
+		$( 'form' ).on( 'submit', validateForm );
+
+		// Cancel editing and return to adding a new shortcode.
+		$( '#cancel-edit' ).on( 'click', handleCancelEdit );
+	}
+
+	/**
+	 * Initialize edit state tracking for the shortcode form.
+	 *
+	 * Tracks unsaved changes, warns before leaving the page and detects
+	 * when the name of a loaded shortcode has been changed.
+	 */
+	function initializeEditState() {
+		if ( ! $( '#scep-shortcode-form' ).length ) {
+			return;
+		}
+
+		editingShortcode = $( '#scep-original-name' ).val() || '';
+		savedFormState = getFormState();
+		updateEditState();
+
+		$( '#scep-shortcode-form' ).on( 'input change', ':input', updateEditState );
+		if ( codeMirror ) {
+			codeMirror.on( 'change', updateEditState );
+		}
+
+		$( window ).on( 'beforeunload', function( e ) {
+			if ( ! isFormDirty() ) {
+				return undefined;
+			}
+
+			e.preventDefault();
+			e.originalEvent.returnValue = scepAdmin.strings.unsavedChanges;
+			return scepAdmin.strings.unsavedChanges;
+		} );
+	}
+
+	/**
+	 * Serialize the current state of the shortcode form.
+	 *
+	 * @return {string} The serialized form state.
+	 */
+	function getFormState() {
+		return JSON.stringify( [
+			$( '#scep-shortcode-name' ).val(),
+			$( '#scep-description' ).val(),
+			$( '#scep-enabled' ).prop( 'checked' ),
+			$( '#scep-buffer' ).prop( 'checked' ),
+			getEditorContent(),
+			$( '#scep-param-schema-data' ).val(),
+			$( '#scep-block-title' ).val(),
+			$( '#scep-block-keywords' ).val(),
+			$( '#scep-block-icon' ).val(),
+			$( '#scep-block-category' ).val(),
+			$( '#scep-block-enclosing' ).prop( 'checked' ),
+		] );
+	}
+
+	/**
+	 * Check whether the shortcode form has unsaved changes.
+	 *
+	 * @return {boolean} True if the form differs from its saved state.
+	 */
+	function isFormDirty() {
+		return getFormState() !== savedFormState;
+	}
+
+	/**
+	 * Refresh the form title, rename notice and unsaved indicator.
+	 */
+	function updateEditState() {
+		const shortcodeName = $( '#scep-shortcode-name' ).val().trim();
+		const isRename = editingShortcode && shortcodeName && shortcodeName !== editingShortcode;
+
+		$( '#scep-form-title' ).text(
+			editingShortcode ?
+				scepAdmin.strings.editShortcode.replace( '%s', editingShortcode ) :
+				scepAdmin.strings.addShortcode
+		);
+
+		$( '#scep-rename-notice' )
+			.toggle( !! isRename )
+			.find( 'p' )
+			.text( isRename ? scepAdmin.strings.renameNotice.replace( '%1$s', editingShortcode ).replace( '%2$s', shortcodeName ) : '' );
+
+		$( '#scep-unsaved-indicator' ).toggle( isFormDirty() );
+		$( '#cancel-edit' ).toggle( !! editingShortcode );
+
+		// Highlight the row of the shortcode being edited.
+		$( '#scep-shortcodes-table tr[data-shortcode]' ).each( function() {
+			$( this ).toggleClass( 'scep-editing', $( this ).data( 'shortcode' ) === editingShortcode );
+		} );
+	}
+
+	/**
+	 * Handle cancel edit button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleCancelEdit( e ) {
+		e.preventDefault();
+
+		if ( isFormDirty() && ! confirm( scepAdmin.strings.discardChanges ) ) {
+			return;
+		}
+
+		resetEditForm();
+	}
+
+	/**
+	 * Initialize the parameter schema editor of the shortcode form.
+	 *
+	 * The rows are edited in place and serialized into a hidden field as
+	 * JSON, so the schema is saved together with the rest of the form.
+	 */
+	function initializeParamSchema() {
+		const table = $( '#scep-param-table' );
+		if ( ! table.length ) {
+			return;
+		}
+
+		setParamSchema( parseParamSchema( $( '#scep-param-schema-data' ).val() ) );
+
+		$( '#scep-add-param' ).on( 'click', function() {
+			addParamRow( {} );
+			syncParamSchema();
+			table.find( 'tbody tr:last .scep-param-name' ).focus();
+		} );
+
+		table.on( 'click', '.scep-param-remove', function() {
+			$( this ).closest( 'tr' ).remove();
+			syncParamSchema();
+			updateEditState();
+		} );
+
+		table.on( 'change', '.scep-param-type', function() {
+			toggleParamOptions( $( this ).closest( 'tr' ) );
+		} );
+
+		table.on( 'input change', ':input', syncParamSchema );
+	}
+
+	/**
+	 * Parse a serialized parameter schema.
+	 *
+	 * @param {string} json The JSON encoded schema.
+	 * @return {Array} The parameter definitions.
+	 */
+	function parseParamSchema( json ) {
+		try {
+			const schema = JSON.parse( json || '[]' );
+			return Array.isArray( schema ) ? schema : [];
+		} catch ( e ) {
+			return [];
+		}
+	}
+
+	/**
+	 * Replace the rows of the parameter schema editor.
+	 *
+	 * @param {Array} schema The parameter definitions.
+	 */
+	function setParamSchema( schema ) {
+		$( '#scep-param-table tbody' ).empty();
+		( schema || [] ).forEach( addParamRow );
+		syncParamSchema();
+	}
+
+	/**
+	 * Add a parameter row to the schema editor.
+	 *
+	 * @param {Object} param The parameter definition.
+	 */
+	function addParamRow( param ) {
+		const row = $(
+			'<tr>' +
+				'<td><input type="text" class="scep-param-name" /></td>' +
+				'<td><input type="text" class="scep-param-label" /></td>' +
+				'<td><select class="scep-param-type"></select><input type="text" class="scep-param-options" /></td>' +
+				'<td><input type="text" class="scep-param-default" /></td>' +
+				'<td><input type="checkbox" class="scep-param-required" /></td>' +
+				'<td><input type="text" class="scep-param-help" /></td>' +
+				'<td class="scep-param-actions"><button type="button" class="button-link button-link-delete scep-param-remove"></button></td>' +
+			'</tr>'
+		);
+
+		const typeSelect = row.find( '.scep-param-type' );
+		$.each( scepAdmin.paramTypes, function( type, label ) {
+			typeSelect.append( $( '<option>' ).val( type ).text( label ) );
+		} );
+
+		row.find( '.scep-param-name' ).val( param.name || '' ).attr( { placeholder: scepAdmin.strings.attributeName, 'aria-label': scepAdmin.strings.attributeName } );
+		row.find( '.scep-param-label' ).val( param.label || '' ).attr( 'aria-label', scepAdmin.strings.paramLabel );
+		typeSelect.val( param.type || 'string' ).attr( 'aria-label', scepAdmin.strings.paramType );
+		row.find( '.scep-param-options' ).val( ( param.options || [] ).join( ', ' ) ).attr( { placeholder: scepAdmin.strings.paramOptions, 'aria-label': scepAdmin.strings.paramOptions } );
+		row.find( '.scep-param-default' ).val( param.default || '' ).attr( 'aria-label', scepAdmin.strings.paramDefault );
+		row.find( '.scep-param-required' ).prop( 'checked', !! param.required ).attr( 'aria-label', scepAdmin.strings.paramRequired );
+		row.find( '.scep-param-help' ).val( param.help || '' ).attr( 'aria-label', scepAdmin.strings.paramHelp );
+		row.find( '.scep-param-remove' ).text( scepAdmin.strings.remove );
+
+		toggleParamOptions( row );
+		$( '#scep-param-table tbody' ).append( row );
+	}
+
+	/**
+	 * Show the options input of a parameter row only for select parameters.
+	 *
+	 * @param {jQuery} row The parameter row.
+	 */
+	function toggleParamOptions( row ) {
+		row.find( '.scep-param-options' ).toggle( 'select' === row.find( '.scep-param-type' ).val() );
+	}
+
+	/**
+	 * Serialize the schema editor rows into the hidden form field.
+	 */
+	function syncParamSchema() {
+		const schema = [];
+
+		$( '#scep-param-table tbody tr' ).each( function() {
+			const row = $( this );
+			const type = row.find( '.scep-param-type' ).val();
+
+			schema.push( {
+				name: row.find( '.scep-param-name' ).val().trim(),
+				label: row.find( '.scep-param-label' ).val().trim(),
+				type: type,
+				default: row.find( '.scep-param-default' ).val().trim(),
+				required: row.find( '.scep-param-required' ).prop( 'checked' ),
+				help: row.find( '.scep-param-help' ).val().trim(),
+				options: 'select' === type ? row.find( '.scep-param-options' ).val().split( ',' ).map( function( option ) {
+					return option.trim();
+				} ).filter( Boolean ) : [],
+			} );
+		} );
+
+		$( '#scep-param-schema-data' ).val( JSON.stringify( schema ) );
+	}
+
+	/**
+	 * Initialize the revisions panel of the shortcode being edited.
+	 */
+	function initializeRevisions() {
+		$( '#scep-revisions-table' ).on( 'click', '.scep-revision-compare', handleCompareRevision );
+		$( '#scep-revisions-table' ).on( 'click', '.scep-revision-restore', handleRestoreRevision );
+
+		loadRevisions();
+	}
+
+	/**
+	 * Load the revisions of the shortcode being edited into the revisions panel.
+	 */
+	function loadRevisions() {
+		$( '#scep-revision-diff' ).empty();
+		$( '#scep-revisions-notice' ).hide();
+
+		if ( ! editingShortcode ) {
+			$( '#scep-revisions' ).hide();
+			return;
+		}
+
+		const shortcodeName = editingShortcode;
+
+		wp.apiFetch( {
+			path: getShortcodePath( shortcodeName, 'revisions' ),
+		} ).then( function( revisions ) {
+			// Ignore responses for a shortcode that is no longer loaded.
+			if ( shortcodeName !== editingShortcode ) {
+				return;
+			}
+
+			renderRevisions( revisions );
+			$( '#scep-revisions' ).show();
+		} ).catch( function() {
+			$( '#scep-revisions' ).hide();
+		} );
+	}
+
+	/**
+	 * Render the rows of the revisions table.
+	 *
+	 * @param {Array} revisions Revisions, most recent first.
+	 */
+	function renderRevisions( revisions ) {
+		const tbody = $( '#scep-revisions-table tbody' ).empty();
+
+		if ( ! revisions.length ) {
+			tbody.append( $( '<tr>' ).append( $( '<td colspan="4">' ).text( scepAdmin.strings.noRevisions ) ) );
+			return;
+		}
+
+		revisions.forEach( function( revision ) {
+			const actions = $( '<td>' );
+
+			if ( revision.current ) {
+				actions.append( $( '<span class="description">' ).text( scepAdmin.strings.currentRevision ) );
+			} else {
+				actions.append(
+					$( '<button type="button" class="button button-small scep-revision-compare">' )
+						.text( scepAdmin.strings.compare )
+						.data( 'revision', revision.id ),
+					' ',
+					$( '<button type="button" class="button button-small scep-revision-restore">' )
+						.text( scepAdmin.strings.restore )
+						.data( 'revision', revision.id )
+				);
+			}
+
+			tbody.append(
+				$( '<tr>' )
+					.toggleClass( 'scep-revision-current', revision.current )
+					.append(
+						$( '<td>' ).text( revision.date ),
+						$( '<td>' ).text( revision.author ),
+						$( '<td>' ).text( revision.description ),
+						actions
+					)
+			);
+		} );
+	}
+
+	/**
+	 * Handle compare revision button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleCompareRevision( e ) {
+		e.preventDefault();
+		const button = $( this );
+
+		button.prop( 'disabled', true );
+
+		wp.apiFetch( {
+			path: getShortcodePath( editingShortcode, 'revisions/' + button.data( 'revision' ) ),
+		} ).then( function( revision ) {
+			// The diff markup is escaped on the server.
+			$( '#scep-revision-diff' ).html( revision.diff );
+			$( '#scep-revisions-table tr' ).removeClass( 'scep-revision-compared' );
+			button.closest( 'tr' ).addClass( 'scep-revision-compared' );
+		} ).catch( function( error ) {
+			showRevisionsNotice( scepAdmin.strings.revisionFailed + ' ' + getErrorMessage( error ), 'error' );
+		} ).finally( function() {
+			button.prop( 'disabled', false );
+		} );
+	}
+
+	/**
+	 * Handle restore revision button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleRestoreRevision( e ) {
+		e.preventDefault();
+		const button = $( this );
+
+		if ( ! confirm( isFormDirty() ? scepAdmin.strings.restoreDiscards : scepAdmin.strings.confirmRestore ) ) {
+			return;
+		}
+
+		button.prop( 'disabled', true );
+
+		wp.apiFetch( {
+			path: getShortcodePath( editingShortcode, 'revisions/' + button.data( 'revision' ) + '/restore' ),
+			method: 'POST',
+		} ).then( function( shortcode ) {
+			updateShortcodeRow( shortcode.name, shortcode.row );
+			populateEditForm( shortcode );
+			showRevisionsNotice( scepAdmin.strings.restored, 'success' );
+			notifyEditors();
+		} ).catch( function( error ) {
+			showRevisionsNotice( scepAdmin.strings.revisionFailed + ' ' + getErrorMessage( error ), 'error' );
+			button.prop( 'disabled', false );
+		} );
+	}
+
+	/**
+	 * Show a notice in the revisions panel.
+	 *
+	 * @param {string} message Notice message.
+	 * @param {string} type    Notice type, 'success' or 'error'.
+	 */
+	function showRevisionsNotice( message, type ) {
+		$( '#scep-revisions-notice' )
+			.removeClass( 'notice-success notice-error' )
+			.addClass( 'notice-' + type )
+			.show()
+			.find( 'p' )
+			.text( message );
+	}
+
+	/**
+	 * Initialize drag-and-drop import of export files.
+	 */
+	function initializeImport() {
+		const dropzone = $( '#scep-import-dropzone' );
+		if ( ! dropzone.length ) {
+			return;
+		}
+
+		dropzone.on( 'dragenter dragover', function( e ) {
+			e.preventDefault();
+			dropzone.addClass( 'is-dragover' );
+		} );
+
+		dropzone.on( 'dragleave drop', function( e ) {
+			e.preventDefault();
+			dropzone.removeClass( 'is-dragover' );
+		} );
+
+		dropzone.on( 'drop', function( e ) {
+			const files = e.originalEvent.dataTransfer ? e.originalEvent.dataTransfer.files : [];
+			if ( files.length ) {
+				readImportFile( files[ 0 ] );
+			}
+		} );
+
+		$( '#scep-import-file' ).on( 'change', function() {
+			if ( this.files.length ) {
+				readImportFile( this.files[ 0 ] );
+			}
+			this.value = '';
+		} );
+
+		$( '#scep-import-table' ).on( 'change', '.scep-import-action', function() {
+			$( this ).siblings( '.scep-import-rename' ).toggle( 'rename' === $( this ).val() );
+		} );
+
+		$( '#scep-import-cancel' ).on( 'click', function( e ) {
+			e.preventDefault();
+			resetImport();
+		} );
+	}
+
+	/**
+	 * Read a dropped or chosen export file and preview its shortcodes.
+	 *
+	 * @param {File} file The export file.
+	 */
+	function readImportFile( file ) {
+		const reader = new FileReader();
+
+		resetImport();
+
+		reader.onload = function() {
+			previewImport( reader.result );
+		};
+		reader.onerror = function() {
+			showImportNotice( scepAdmin.strings.fileReadFailed, 'error' );
+		};
+
+		reader.readAsText( file );
+	}
+
+	/**
+	 * Validate export file contents on the server and show the preview table.
+	 *
+	 * @param {string} data The export file contents.
+	 */
+	function previewImport( data ) {
+		wp.apiFetch( {
+			path: API_NAMESPACE + '/import/preview',
+			method: 'POST',
+			data: { data: data },
+		} ).then( function( shortcodes ) {
+			$( '#scep-import-data' ).val( data );
+			renderImportPreview( shortcodes );
+		} ).catch( function( error ) {
+			showImportNotice( scepAdmin.strings.importFailed + ' ' + getErrorMessage( error ), 'error' );
+		} );
+	}
+
+	/**
+	 * Render the import preview table with an action for each shortcode.
+	 *
+	 * @param {Array} shortcodes Shortcodes in the export file.
+	 */
+	function renderImportPreview( shortcodes ) {
+		const tbody = $( '#scep-import-table tbody' ).empty();
+
+		if ( ! shortcodes.length ) {
+			showImportNotice( scepAdmin.strings.importEmpty, 'error' );
+			return;
+		}
+
+		shortcodes.forEach( function( shortcode, index ) {
+			const status = $( '<td>' );
+			const action = $( '<td>' );
+
+			if ( shortcode.error ) {
+				status.append( $( '<span class="scep-import-error">' ).text( shortcode.error ) );
+				action
+					.append( $( '<input type="hidden">' ).attr( 'name', 'scep_import_action[' + index + ']' ).val( 'skip' ) )
+					.append( $( '<span class="description">' ).text( scepAdmin.strings.importInvalid ) );
+			} else {
+				const options = shortcode.exists ? [ 'skip', 'overwrite', 'rename' ] : [ 'import', 'skip' ];
+				const select = $( '<select class="scep-import-action">' ).attr( 'name', 'scep_import_action[' + index + ']' );
+
+				options.forEach( function( option ) {
+					select.append( $( '<option>' ).val( option ).text( scepAdmin.strings.importActions[ option ] ) );
+				} );
+
+				status.text( shortcode.exists ? scepAdmin.strings.importExists : scepAdmin.strings.importNew );
+				action.append( select );
+
+				if ( shortcode.exists ) {
+					action.append(
+						' ',
+						$( '<input type="text" class="scep-import-rename regular-text">' )
+							.attr( 'name', 'scep_import_rename[' + index + ']' )
+							.attr( 'aria-label', scepAdmin.strings.importNewName )
+							.val( shortcode.rename )
+							.hide()
+					);
+				}
+			}
+
+			tbody.append(
+				$( '<tr>' ).append(
+					$( '<td>' ).append( $( '<code>' ).text( shortcode.name ) ),
+					$( '<td>' ).text( shortcode.description ),
+					status,
+					action
+				)
+			);
+		} );
+
+		$( '#scep-import-preview' ).show();
+	}
+
+	/**
+	 * Clear the import preview and notice.
+	 */
+	function resetImport() {
+		$( '#scep-import-data' ).val( '' );
+		$( '#scep-import-table tbody' ).empty();
+		$( '#scep-import-preview' ).hide();
+		$( '#scep-import-notice' ).hide();
+	}
+
+	/**
+	 * Show a notice in the import section.
+	 *
+	 * @param {string} message Notice message.
+	 * @param {string} type    Notice type, 'success' or 'error'.
+	 */
+	function showImportNotice( message, type ) {
+		$( '#scep-import-notice' )
+			.removeClass( 'notice-success notice-error' )
+			.addClass( 'notice-' + type )
+			.show()
+			.find( 'p' )
+			.text( message );
+	}
+
+	/**
+	 * Initialize test results dialog.
+	 */
+	function initializeTestDialog() {
+		if ( $( '#test-results-dialog' ).length > 0 ) {
+			$( '#test-results-dialog' ).dialog( {
+				autoOpen: false,
+				modal: true,
+				width: 600,
+				height: 560,
+				resizable: true,
+				position: { my: 'center', at: 'center', of: window },
+			} );
+		}
+
+		$( '#test-add-att' ).on( 'click', function() {
+			addTestAttributeRow( '', '' );
+		} );
+
+		$( '#test-atts' ).on( 'click', '.test-att-remove', function() {
+			$( this ).closest( 'tr' ).remove();
+		} );
+
+		$( '#test-history' ).on( 'change', handleTestHistoryChange );
+
+		$( '#test-run' ).on( 'click', function( e ) {
+			e.preventDefault();
+			runTest();
+		} );
+
+		$( '#test-results-tabs' ).on( 'click', '.nav-tab', function( e ) {
+			e.preventDefault();
+			showTestResultsTab( $( this ).attr( 'href' ) );
+		} );
+	}
+
+	/**
+	 * Handle test shortcode button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleTestShortcode( e ) {
+		e.preventDefault();
+
+		const shortcodeName = $( '#scep-shortcode-name' ).val().trim();
+		if ( ! shortcodeName ) {
+			alert( scepAdmin.strings.testFailed + ' ' + 'Please enter a shortcode name.' );
+			return;
+		}
+
+		// Validate shortcode name format.
+		if ( ! /^[a-z0-9_-]+$/i.test( shortcodeName ) ) {
+			alert( 'Invalid shortcode name format. Use only letters, numbers, underscores, and hyphens.' );
+			return;
+		}
+
+		const phpCode = getEditorContent();
+		if ( ! phpCode.trim() ) {
+			alert( 'Please enter PHP code to test.' );
+			return;
+		}
+
+		// Test the unsaved draft.
+		openTestDialog( shortcodeName, true );
+	}
+
+	/**
+	 * Handle edit shortcode button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleEditShortcode( e ) {
+		e.preventDefault();
+		const button = $( this );
+		const shortcodeName = button.data( 'shortcode' );
+
+		if ( isFormDirty() && ! confirm( scepAdmin.strings.discardChanges ) ) {
+			return;
+		}
+
+		button.prop( 'disabled', true ).text( scepAdmin.strings.loading );
+
+		// Load shortcode data from the REST API.
+		wp.apiFetch( {
+			path: getShortcodePath( shortcodeName ) + '?context=edit',
+		} ).then( function( shortcode ) {
+			populateEditForm( shortcode );
+			scrollToForm();
+		} ).catch( function( error ) {
+			alert( scepAdmin.strings.loadFailed + ' ' + getErrorMessage( error ) );
+		} ).finally( function() {
+			button.prop( 'disabled', false ).text( scepAdmin.strings.edit );
+		} );
+	}
+
+	/**
+	 * Handle delete shortcode button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleDeleteShortcode( e ) {
+		e.preventDefault();
+		const button = $( this );
+		const shortcodeName = button.data( 'shortcode' );
+
+		if ( ! confirm( scepAdmin.strings.confirmDelete ) ) {
+			return;
+		}
+
+		button.prop( 'disabled', true );
+
+		wp.apiFetch( {
+			path: getShortcodePath( shortcodeName ),
+			method: 'DELETE',
+		} ).then( function() {
+			removeShortcodeRow( shortcodeName );
+
+			// The deleted shortcode can no longer be edited.
+			if ( shortcodeName === editingShortcode ) {
+				resetEditForm();
+			}
+
+			showSuccessMessage( scepAdmin.strings.deleted.replace( '%s', shortcodeName ) );
+			notifyEditors();
+		} ).catch( function( error ) {
+			showErrorMessage( getErrorMessage( error ) );
+			button.prop( 'disabled', false );
+		} );
+	}
+
+	/**
+	 * Handle enable or disable shortcode button click.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleToggleShortcode( e ) {
+		e.preventDefault();
+		const button = $( this );
+		const shortcodeName = button.data( 'shortcode' );
+
+		button.prop( 'disabled', true );
+
+		wp.apiFetch( {
+			path: getShortcodePath( shortcodeName ),
+			method: 'POST',
+			data: { enabled: 1 === Number( button.data( 'enabled' ) ) },
+		} ).then( function( shortcode ) {
+			updateShortcodeRow( shortcodeName, shortcode.row );
+
+			if ( shortcodeName === editingShortcode ) {
+				syncEditFormEnabled( shortcode.enabled );
+			}
+
+			showSuccessMessage( ( shortcode.enabled ? scepAdmin.strings.enabled : scepAdmin.strings.disabled ).replace( '%s', shortcodeName ) );
+			notifyEditors();
+		} ).catch( function( error ) {
+			showErrorMessage( getErrorMessage( error ) );
+			button.prop( 'disabled', false );
+		} );
+	}
+
+	/**
+	 * Update the enabled state of the edited shortcode without marking the form as changed.
+	 *
+	 * @param {boolean} enabled Whether the shortcode is now enabled.
+	 */
+	function syncEditFormEnabled( enabled ) {
+		const state = JSON.parse( savedFormState );
+		const isDirty = isFormDirty();
+
+		state[ 2 ] = enabled;
+		savedFormState = JSON.stringify( state );
+
+		if ( ! isDirty ) {
+			$( '#scep-enabled' ).prop( 'checked', enabled );
+		}
+		updateEditState();
+	}
+
+	/**
+	 * Reset the shortcode form to add a new shortcode.
+	 */
+	function resetEditForm() {
+		populateEditForm( {
+			name: '',
+			description: '',
+			enabled: true,
+			buffer: false,
+			code: '',
+			schema: [],
+		} );
+	}
+
+	/**
+	 * Save the shortcode form through the REST API.
+	 *
+	 * @param {jQuery} form The shortcode form.
+	 */
+	function saveShortcode( form ) {
+		const submitButton = form.find( 'button[type="submit"]' );
+		const originalName = $( '#scep-original-name' ).val();
+		const data = {
+			name: $( '#scep-shortcode-name' ).val().trim(),
+			description: $( '#scep-description' ).val(),
+			enabled: $( '#scep-enabled' ).prop( 'checked' ),
+			buffer: $( '#scep-buffer' ).prop( 'checked' ),
+			code: getEditorContent(),
+			schema: JSON.parse( $( '#scep-param-schema-data' ).val() || '[]' ),
+			block: {
+				title: $( '#scep-block-title' ).val(),
+				keywords: $( '#scep-block-keywords' ).val().split( ',' ).map( function( keyword ) {
+					return keyword.trim();
+				} ).filter( Boolean ),
+				icon: $( '#scep-block-icon' ).val(),
+				category: $( '#scep-block-category' ).val(),
+				enclosing: $( '#scep-block-enclosing' ).prop( 'checked' ),
+			},
+			revision_note: $( '#scep-revision-note' ).val(),
+		};
+
+		clearFieldErrors();
+		submitButton.prop( 'disabled', true ).text( scepAdmin.strings.saving );
+
+		// Existing shortcodes are updated under their loaded name, which renames them.
+		wp.apiFetch( {
+			path: originalName ? getShortcodePath( originalName ) : API_NAMESPACE + '/shortcodes',
+			method: 'POST',
+			data: data,
+		} ).then( function( shortcode ) {
+			let message = scepAdmin.strings.created.replace( '%s', shortcode.name );
+			if ( originalName && originalName !== shortcode.name ) {
+				removeShortcodeRow( originalName );
+				message = scepAdmin.strings.renamed.replace( '%1$s', originalName ).replace( '%2$s', shortcode.name );
+			} else if ( originalName ) {
+				message = scepAdmin.strings.updated.replace( '%s', shortcode.name );
+			}
+			updateShortcodeRow( shortcode.name, shortcode.row );
+
+			populateEditForm( shortcode );
+			showSuccessMessage( message );
+			notifyEditors();
+		} ).catch( function( error ) {
+			showSaveError( {
+				message: getErrorMessage( error ),
+				field: error && error.data ? error.data.field : '',
+			} );
+		} ).finally( function() {
+			submitButton.prop( 'disabled', false ).text( scepAdmin.strings.saveShortcode );
+		} );
+	}
+
+	/**
+	 * Show a save error next to the offending field, or as a page notice.
+	 *
+	 * @param {Object} error Error with message and optional field ID.
+	 */
+	function showSaveError( error ) {
+		if ( error.field && $( '#' + error.field ).length ) {
+			showFieldError( error.field, error.message );
+		} else {
+			showErrorMessage( error.message );
+		}
+	}
+
+	/**
+	 * Show a validation error next to a field of the shortcode form.
+	 *
+	 * @param {string} fieldId ID of the field.
+	 * @param {string} message Error message.
+	 */
+	function showFieldError( fieldId, message ) {
+		const field = $( '#' + fieldId );
+		const editor = field.next( '.CodeMirror' );
+		const error = $( '<p class="scep-field-error">' ).attr( 'id', fieldId + '-error' ).text( message );
+
+		field.closest( 'td' ).find( '.scep-field-error' ).remove();
+		( editor.length ? editor : field ).after( error );
+		field.attr( { 'aria-invalid': 'true', 'aria-describedby': fieldId + '-error' } );
+		field.closest( 'td' ).addClass( 'scep-field-invalid' );
+
+		if ( editor.length && codeMirror ) {
+			codeMirror.focus();
+		} else {
+			field.focus();
+		}
+	}
+
+	/**
+	 * Remove validation errors from the shortcode form.
+	 */
+	function clearFieldErrors() {
+		const form = $( '#scep-shortcode-form' );
+
+		form.find( '.scep-field-error' ).remove();
+		form.find( '.scep-field-invalid' ).removeClass( 'scep-field-invalid' );
+		form.find( '[aria-invalid]' ).removeAttr( 'aria-invalid aria-describedby' );
+	}
+
+	/**
+	 * Replace the row of a shortcode in the existing shortcodes table, or add it.
+	 *
+	 * @param {string} shortcodeName The shortcode name.
+	 * @param {string} html          Row HTML rendered by the server.
+	 */
+	function updateShortcodeRow( shortcodeName, html ) {
+		const row = $( html );
+		const existing = findShortcodeRow( shortcodeName );
+
+		if ( existing.length ) {
+			existing.replaceWith( row );
+		} else {
+			$( '#scep-shortcodes-table tbody' ).append( row );
+		}
+
+		updateShortcodeTable();
+	}
+
+	/**
+	 * Remove the row of a shortcode from the existing shortcodes table.
+	 *
+	 * @param {string} shortcodeName The shortcode name.
+	 */
+	function removeShortcodeRow( shortcodeName ) {
+		findShortcodeRow( shortcodeName ).remove();
+		updateShortcodeTable();
+	}
+
+	/**
+	 * Find the row of a shortcode in the existing shortcodes table.
+	 *
+	 * @param {string} shortcodeName The shortcode name.
+	 * @return {jQuery} The row, if any.
+	 */
+	function findShortcodeRow( shortcodeName ) {
+		return $( '#scep-shortcodes-table tr[data-shortcode]' ).filter( function() {
+			return $( this ).data( 'shortcode' ) === shortcodeName;
+		} );
+	}
+
+	/**
+	 * Refresh table state that depends on the listed shortcodes.
+	 */
+	function updateShortcodeTable() {
+		const hasShortcodes = $( '#scep-shortcodes-table tr[data-shortcode]' ).length > 0;
+
+		$( '#scep-export-form button[type="submit"]' ).prop( 'disabled', ! hasShortcodes );
+		applyListView();
+		updateEditState();
+	}
+
+	/**
+	 * Initialize searching, filtering, sorting and bulk actions of the shortcode list.
+	 */
+	function initializeShortcodeList() {
+		if ( ! $( '#scep-shortcodes-table' ).length ) {
+			return;
+		}
+
+		$( '#scep-shortcode-search' ).on( 'input', applyListView );
+		$( '#scep-shortcode-filter' ).on( 'change', applyListView );
+		$( '#scep-shortcodes-table thead' ).on( 'click', 'th[data-sort] a', handleSortClick );
+		$( '#scep-bulk-apply' ).on( 'click', handleBulkAction );
 
-			// Initialize the editor.
-			wp.codeEditor.initialize( textarea, editorSettings );
+		applyListView();
+	}
+
+	/**
+	 * Handle a click on a sortable column header.
+	 *
+	 * @param {Event} e The click event.
+	 */
+	function handleSortClick( e ) {
+		e.preventDefault();
+		const column = $( this ).closest( 'th' ).data( 'sort' );
+
+		if ( column === listSort.column ) {
+			listSort.order = 'asc' === listSort.order ? 'desc' : 'asc';
+		} else {
+			listSort.column = column;
+			listSort.order = 'modified' === column ? 'desc' : 'asc';
 		}
+
+		applyListView();
 	}
 
 	/**
-	 * Initialize event handlers for admin interface.
+	 * Apply the search, status filter and sort order to the shortcode list.
 	 */
-	function initializeEventHandlers() {
-		// Test shortcode button.
-		$( '#test-shortcode' ).on( 'click', handleTestShortcode );
+	function applyListView() {
+		const search = $( '#scep-shortcode-search' ).val().trim().toLowerCase();
+		const status = $( '#scep-shortcode-filter' ).val();
+		const tbody = $( '#scep-shortcodes-table tbody' );
+		const rows = tbody.children( 'tr[data-shortcode]' ).get().sort( compareShortcodeRows );
+		let visible = 0;
 
-		// Edit shortcode buttons.
-		$( '.edit-shortcode' ).on( 'click', handleEditShortcode );
+		rows.forEach( function( row ) {
+			const $row = $( row );
+			const matchesStatus = ! status || $row.attr( 'data-enabled' ) === status;
+			const matchesSearch = ! search || [ 'data-shortcode', 'data-description', 'data-code' ].some( function( attribute ) {
+				return ( $row.attr( attribute ) || '' ).toLowerCase().indexOf( search ) !== -1;
+			} );
+			const isVisible = matchesStatus && matchesSearch;
 
-		// Test shortcode buttons in list.
-		$( '.test-shortcode' ).on( 'click', function( e ) {
-			e.preventDefault();
-			const shortcodeName = $( this ).data( 'shortcode' );
-			testExistingShortcode( shortcodeName );
+			// Hidden rows must not be affected by bulk actions.
+			$row.toggle( isVisible );
+			if ( ! isVisible ) {
+				$row.find( '.scep-select-shortcode' ).prop( 'checked', false );
+			}
+
+			visible += isVisible ? 1 : 0;
+			tbody.append( row );
 		} );
 
-		// Delete shortcode buttons.
-		$( '.delete-shortcode' ).on( 'click', handleDeleteShortcode );
+		tbody.children( '.no-items' ).toggle( ! rows.length );
+		tbody.children( '.scep-no-matches' ).toggle( rows.length > 0 && ! visible );
 
-		// Form validation.
-		$( 'form' ).on( 'submit', validateForm );
+		$( '#scep-shortcode-count' ).text( 1 === visible ? scepAdmin.strings.itemCountOne : scepAdmin.strings.itemCount.replace( '%d', visible ) );
+
+		$( '#scep-shortcodes-table th[data-sort]' ).each( function() {
+			const isSorted = $( this ).data( 'sort' ) === listSort.column;
+
+			$( this )
+				.removeClass( 'sorted sortable asc desc' )
+				.addClass( isSorted ? 'sorted ' + listSort.order : 'sortable desc' )
+				.attr( 'aria-sort', isSorted ? ( 'asc' === listSort.order ? 'ascending' : 'descending' ) : null );
+		} );
 	}
 
 	/**
-	 * Initialize test results dialog.
+	 * Compare two shortcode rows by the current sort column and order.
+	 *
+	 * @param {Element} a First row.
+	 * @param {Element} b Second row.
+	 * @return {number} Sort order of the rows.
 	 */
-	function initializeTestDialog() {
-		if ( $( '#test-results-dialog' ).length > 0 ) {
-			$( '#test-results-dialog' ).dialog( {
-				autoOpen: false,
-				modal: true,
-				width: 600,
-				height: 400,
-				resizable: true,
-				position: { my: 'center', at: 'center', of: window },
-			} );
+	function compareShortcodeRows( a, b ) {
+		const nameA = a.getAttribute( 'data-shortcode' );
+		const nameB = b.getAttribute( 'data-shortcode' );
+		let result = 0;
+
+		if ( 'modified' === listSort.column ) {
+			result = Number( a.getAttribute( 'data-modified' ) ) - Number( b.getAttribute( 'data-modified' ) );
+		}
+
+		if ( 0 === result ) {
+			result = nameA.localeCompare( nameB );
 		}
+
+		return 'asc' === listSort.order ? result : -result;
 	}
 
 	/**
-	 * Handle test shortcode button click.
+	 * Get the names of the selected shortcodes in the list.
+	 *
+	 * @return {Array} Selected shortcode names.
+	 */
+	function getSelectedShortcodes() {
+		return $( '#scep-shortcodes-table .scep-select-shortcode:checked' ).map( function() {
+			return $( this ).val();
+		} ).get();
+	}
+
+	/**
+	 * Handle bulk action apply button click.
 	 *
 	 * @param {Event} e The click event.
 	 */
-	function handleTestShortcode( e ) {
+	function handleBulkAction( e ) {
 		e.preventDefault();
+		const button = $( this );
+		const bulkAction = $( '#scep-bulk-action' ).val();
+		const shortcodeNames = getSelectedShortcodes();
 
-		const shortcodeName = $( '#scep-shortcode-name' ).val().trim();
-		if ( ! shortcodeName ) {
-			alert( scepAdmin.strings.testFailed + ' ' + 'Please enter a shortcode name.' );
+		if ( ! bulkAction ) {
 			return;
 		}
 
-		// Validate shortcode name format.
-		if ( ! /^[a-z0-9_-]+$/i.test( shortcodeName ) ) {
-			alert( 'Invalid shortcode name format. Use only letters, numbers, underscores, and hyphens.' );
+		if ( ! shortcodeNames.length ) {
+			showErrorMessage( scepAdmin.strings.noSelection );
 			return;
 		}
 
-		const phpCode = getEditorContent();
-		if ( ! phpCode.trim() ) {
-			alert( 'Please enter PHP code to test.' );
+		if ( 'export' === bulkAction ) {
+			exportShortcodes( shortcodeNames );
 			return;
 		}
 
-		// Test the shortcode.
-		testShortcode( shortcodeName, phpCode );
-	}
+		if ( 'delete' === bulkAction && ! confirm( scepAdmin.strings.confirmBulk.replace( '%d', shortcodeNames.length ) ) ) {
+			return;
+		}
 
-	/**
-	 * Handle edit shortcode button click.
-	 *
-	 * @param {Event} e The click event.
-	 */
-	function handleEditShortcode( e ) {
-		e.preventDefault();
-		const shortcodeName = $( this ).data( 'shortcode' );
+		button.prop( 'disabled', true );
 
-		// Load shortcode data via AJAX.
-		$.ajax( {
-			url: scepAdmin.ajaxUrl,
+		wp.apiFetch( {
+			path: API_NAMESPACE + '/bulk',
 			method: 'POST',
 			data: {
-				action: 'scep_ajax',
-				scep_action: 'load_shortcode',
-				shortcode: shortcodeName,
-				_wpnonce: scepAdmin.nonce,
+				action: bulkAction,
+				shortcodes: shortcodeNames,
 			},
-			beforeSend: function() {
-				$( this ).prop( 'disabled', true ).text( 'Loading...' );
-			},
-			success: function( response ) {
-				if ( response.success ) {
-					populateEditForm( response.data );
+		} ).then( function( result ) {
+			if ( 'delete' === bulkAction ) {
+				result.done.forEach( removeShortcodeRow );
+			} else {
+				result.shortcodes.forEach( function( shortcode ) {
+					updateShortcodeRow( shortcode.name, shortcode.row );
+				} );
+			}
+
+			if ( result.done.indexOf( editingShortcode ) !== -1 ) {
+				if ( 'delete' === bulkAction ) {
+					resetEditForm();
 				} else {
-					alert( 'Failed to load shortcode data: ' + response.data );
+					syncEditFormEnabled( 'enable' === bulkAction );
 				}
-			},
-			error: function() {
-				alert( scepAdmin.strings.testFailed );
-			},
-			complete: function() {
-				$( this ).prop( 'disabled', false ).text( 'Edit' );
-			},
+			}
+
+			$( '#scep-select-all' ).prop( 'checked', false );
+
+			if ( result.failed.length ) {
+				showErrorMessage( result.message );
+			} else {
+				showSuccessMessage( result.message );
+			}
+
+			if ( result.done.length ) {
+				notifyEditors();
+			}
+		} ).catch( function( error ) {
+			showErrorMessage( getErrorMessage( error ) );
+		} ).finally( function() {
+			button.prop( 'disabled', false );
 		} );
 	}
 
 	/**
-	 * Handle delete shortcode button click.
+	 * Download an export file of the given shortcodes.
 	 *
-	 * @param {Event} e The click event.
+	 * @param {Array} shortcodeNames Names of the shortcodes to export.
 	 */
-	function handleDeleteShortcode( e ) {
-		e.preventDefault();
-		const shortcodeName = $( this ).data( 'shortcode' );
+	function exportShortcodes( shortcodeNames ) {
+		const form = $( '#scep-export-form' );
 
-		if ( ! confirm( scepAdmin.strings.confirmDelete ) ) {
-			return;
-		}
+		shortcodeNames.forEach( function( shortcodeName ) {
+			form.append( $( '<input type="hidden" name="shortcodes[]" class="scep-export-name">' ).val( shortcodeName ) );
+		} );
 
-		// Set the shortcode name in the hidden delete form and submit.
-		$( '#delete-shortcode-name' ).val( shortcodeName );
-		$( '#delete-shortcode-form' ).submit();
+		form[ 0 ].submit();
+
+		// Keep the export all button exporting everything.
+		form.find( '.scep-export-name' ).remove();
 	}
 
 	/**
@@ -188,107 +1418,383 @@
 	 * @param {string} shortcodeName The name of the shortcode to test.
 	 */
 	function testExistingShortcode( shortcodeName ) {
-		$.ajax( {
-			url: scepAdmin.ajaxUrl,
+		openTestDialog( shortcodeName, false );
+	}
+
+	/**
+	 * Prefill the test dialog with recent inputs and run the test.
+	 *
+	 * @param {string}  shortcodeName The shortcode name.
+	 * @param {boolean} isDraft       Whether to run the unsaved draft code.
+	 */
+	function openTestDialog( shortcodeName, isDraft ) {
+		testTarget = { name: shortcodeName, draft: isDraft };
+
+		wp.apiFetch( {
+			path: getShortcodePath( shortcodeName, 'test' ),
+		} ).then( function( response ) {
+			testHistory = response.history;
+			testParams = response.params;
+		} ).catch( function() {
+			testHistory = [];
+			testParams = {};
+		} ).finally( function() {
+			renderTestHistory();
+
+			// Prefill with the most recent test, or the attributes last used on the site.
+			if ( testHistory.length ) {
+				setTestInputs( testHistory[ 0 ].atts, testHistory[ 0 ].content );
+			} else {
+				setTestInputs( testParams, '' );
+			}
+
+			runTest();
+		} );
+	}
+
+	/**
+	 * Run the test dialog's shortcode with the current attribute and content inputs.
+	 */
+	function runTest() {
+		const inputs = getTestInputs();
+		const target = testTarget;
+		const data = {
+			atts: inputs.atts,
+			content: inputs.content,
+		};
+
+		if ( target.draft ) {
+			data.code = getEditorContent();
+		}
+
+		setTestBusy( target, true );
+
+		wp.apiFetch( {
+			path: getShortcodePath( target.name, 'test' ),
 			method: 'POST',
-			data: {
-				action: 'scep_ajax',
-				scep_action: 'test_shortcode',
-				shortcode: shortcodeName,
-				_wpnonce: scepAdmin.testNonce,
-			},
-			beforeSend: function() {
-				$( '.test-shortcode[data-shortcode="' + shortcodeName + '"]' )
-					.prop( 'disabled', true )
-					.text( 'Testing...' );
-			},
-			success: function( response ) {
-				displayTestResults( shortcodeName, response );
-			},
-			error: function() {
-				alert( scepAdmin.strings.testFailed );
-			},
-			complete: function() {
-				$( '.test-shortcode[data-shortcode="' + shortcodeName + '"]' )
-					.prop( 'disabled', false )
-					.text( 'Test' );
-			},
+			data: data,
+		} ).then( function( result ) {
+			rememberTestInputs( inputs );
+			displayTestResults( target.name, result );
+		} ).catch( function( error ) {
+			alert( scepAdmin.strings.testFailed + ' ' + getErrorMessage( error ) );
+		} ).finally( function() {
+			setTestBusy( target, false );
 		} );
 	}
 
 	/**
-	 * Test a shortcode with provided code.
+	 * Toggle the busy state of the buttons that run a test.
 	 *
-	 * @param {string} shortcodeName The shortcode name.
-	 * @param {string} phpCode       The PHP code to test.
+	 * @param {Object}  target The test target.
+	 * @param {boolean} busy   Whether a test is running.
 	 */
-	function testShortcode( shortcodeName, phpCode ) {
-		$.ajax( {
-			url: scepAdmin.ajaxUrl,
-			method: 'POST',
-			data: {
-				action: 'scep_ajax',
-				scep_action: 'test_code',
-				shortcode: shortcodeName,
-				phpcode: phpCode,
-				_wpnonce: scepAdmin.testNonce,
-			},
-			beforeSend: function() {
-				$( '#test-shortcode' ).prop( 'disabled', true ).text( 'Testing...' );
-			},
-			success: function( response ) {
-				displayTestResults( shortcodeName, response );
-			},
-			error: function() {
-				alert( scepAdmin.strings.testFailed );
-			},
-			complete: function() {
-				$( '#test-shortcode' ).prop( 'disabled', false ).text( 'Test Shortcode' );
-			},
+	function setTestBusy( target, busy ) {
+		const button = target.draft ?
+			$( '#test-shortcode' ) :
+			$( '.test-shortcode' ).filter( function() {
+				return $( this ).data( 'shortcode' ) === target.name;
+			} );
+		const label = target.draft ? scepAdmin.strings.testShortcode : scepAdmin.strings.test;
+
+		button.prop( 'disabled', busy ).text( busy ? scepAdmin.strings.testing : label );
+		$( '#test-run' ).prop( 'disabled', busy );
+	}
+
+	/**
+	 * Add an attribute row to the test dialog.
+	 *
+	 * @param {string} key   The attribute name.
+	 * @param {string} value The attribute value.
+	 */
+	function addTestAttributeRow( key, value ) {
+		const row = $(
+			'<tr>' +
+				'<td><input type="text" class="test-att-key" /></td>' +
+				'<td><input type="text" class="test-att-value" /></td>' +
+				'<td class="test-att-actions"><button type="button" class="button-link button-link-delete test-att-remove"></button></td>' +
+			'</tr>'
+		);
+
+		row.find( '.test-att-key' ).val( key ).attr( 'placeholder', scepAdmin.strings.attributeName );
+		row.find( '.test-att-value' ).val( value ).attr( 'placeholder', scepAdmin.strings.attributeValue );
+		row.find( '.test-att-remove' ).text( scepAdmin.strings.remove );
+
+		$( '#test-atts tbody' ).append( row );
+	}
+
+	/**
+	 * Fill the test dialog inputs.
+	 *
+	 * @param {Object} atts    Attribute names and values.
+	 * @param {string} content Enclosed content.
+	 */
+	function setTestInputs( atts, content ) {
+		$( '#test-atts tbody' ).empty();
+		$.each( atts || {}, function( key, value ) {
+			addTestAttributeRow( key, value );
+		} );
+
+		if ( ! $( '#test-atts tbody tr' ).length ) {
+			addTestAttributeRow( '', '' );
+		}
+
+		$( '#test-content' ).val( content || '' );
+	}
+
+	/**
+	 * Read the test dialog inputs.
+	 *
+	 * @return {{atts: Object, content: string}} The test inputs.
+	 */
+	function getTestInputs() {
+		const atts = {};
+		$( '#test-atts tbody tr' ).each( function() {
+			const key = $( this ).find( '.test-att-key' ).val().trim();
+			if ( key ) {
+				atts[ key ] = $( this ).find( '.test-att-value' ).val();
+			}
+		} );
+
+		return {
+			atts: atts,
+			content: $( '#test-content' ).val() || '',
+		};
+	}
+
+	/**
+	 * Add test inputs to the top of the recent inputs list.
+	 *
+	 * Mirrors the history kept on the server so the list stays current
+	 * without reloading it.
+	 *
+	 * @param {Object} inputs The test inputs.
+	 */
+	function rememberTestInputs( inputs ) {
+		if ( $.isEmptyObject( inputs.atts ) && ! inputs.content ) {
+			return;
+		}
+
+		const serialized = JSON.stringify( [ inputs.atts, inputs.content ] );
+		testHistory = testHistory.filter( function( entry ) {
+			return JSON.stringify( [ entry.atts, entry.content ] ) !== serialized;
+		} );
+		testHistory.unshift( { atts: inputs.atts, content: inputs.content } );
+		testHistory = testHistory.slice( 0, scepAdmin.historySize );
+
+		renderTestHistory();
+	}
+
+	/**
+	 * Render the recent inputs dropdown of the test dialog.
+	 */
+	function renderTestHistory() {
+		const select = $( '#test-history' ).empty();
+
+		select.append( $( '<option>' ).val( '' ).text( scepAdmin.strings.recentInputs ) );
+
+		testHistory.forEach( function( entry, index ) {
+			select.append( $( '<option>' ).val( index ).text( formatTestInputs( entry.atts, entry.content ) ) );
+		} );
+
+		if ( ! $.isEmptyObject( testParams ) ) {
+			select.append(
+				$( '<option>' )
+					.val( 'params' )
+					.text( scepAdmin.strings.lastUsedOnSite + ': ' + formatTestInputs( testParams, '' ) )
+			);
+		}
+	}
+
+	/**
+	 * Handle selection of recent test inputs.
+	 */
+	function handleTestHistoryChange() {
+		const value = $( this ).val();
+
+		if ( 'params' === value ) {
+			setTestInputs( testParams, '' );
+		} else if ( '' !== value && testHistory[ value ] ) {
+			setTestInputs( testHistory[ value ].atts, testHistory[ value ].content );
+		}
+	}
+
+	/**
+	 * Summarize test inputs as shortcode attribute syntax.
+	 *
+	 * @param {Object} atts    Attribute names and values.
+	 * @param {string} content Enclosed content.
+	 * @return {string} The summary.
+	 */
+	function formatTestInputs( atts, content ) {
+		const parts = $.map( atts || {}, function( value, key ) {
+			return key + '="' + value + '"';
 		} );
+		let summary = parts.length ? parts.join( ' ' ) : scepAdmin.strings.noAttributes;
+
+		if ( content ) {
+			summary += ' | ' + ( content.length > 40 ? content.substring( 0, 40 ) + '…' : content );
+		}
+
+		return summary;
 	}
 
 	/**
 	 * Display test results in a modal dialog.
 	 *
 	 * @param {string} shortcodeName The shortcode name.
-	 * @param {string} response      The test response.
+	 * @param {Object} data          The test diagnostics.
 	 */
-	function displayTestResults( shortcodeName, response ) {
-		// Parse the response.
-		let result = '';
-		if ( response.startsWith( 'OK=' ) ) {
-			result = response.substring( 3 );
-		} else {
-			result = response;
+	function displayTestResults( shortcodeName, data ) {
+		const notices = data.notices || [];
+		const success = 'success' === data.status;
+
+		// Summarize the run, or show the error that stopped it.
+		let status = formatExecutionTime( data.execution_time );
+		if ( ! success ) {
+			status = data.line ?
+				scepAdmin.strings.errorOnLine.replace( '%1$s', data.message ).replace( '%2$d', data.line ) :
+				data.message;
+		}
+
+		$( '#test-results-status' )
+			.text( status || '' )
+			.toggle( !! status )
+			.toggleClass( 'notice-error', ! success )
+			.toggleClass( 'notice-success', success );
+
+		// Rendered output and its source.
+		$( '#test-results-wysiwyg' ).html( data.rendered || '' );
+		$( '#test-results-html' ).text( data.rendered || '' );
+
+		// Echoed output and returned value.
+		$( '#test-results-output' ).text( data.output || scepAdmin.strings.noOutput );
+		$( '#test-results-result' ).text( data.result || scepAdmin.strings.noOutput );
+		$( '#test-results-result-type' ).text( data.result_type ? scepAdmin.strings.returnType.replace( '%s', data.result_type ) : '' );
+
+		// Warnings and notices.
+		const list = $( '#test-results-notices' ).empty();
+		notices.forEach( function( notice ) {
+			const location = notice.in_code ?
+				scepAdmin.strings.lineNumber.replace( '%d', notice.line ) :
+				notice.file + ':' + notice.line;
+
+			list.append(
+				$( '<li>' )
+					.addClass( 'scep-notice-' + notice.type )
+					.append( $( '<span class="scep-notice-line">' ).text( location ) )
+					.append( $( '<strong>' ).text( notice.type + ': ' ) )
+					.append( document.createTextNode( notice.message ) )
+			);
+		} );
+		if ( ! notices.length ) {
+			list.append( $( '<li>' ).text( scepAdmin.strings.noNotices ) );
 		}
+		$( '#test-results-notice-count' ).text( '(' + notices.length + ')' );
 
-		// Populate the dialog content.
-		$( '#test-results-wysiwyg' ).html( result );
-		$( '#test-results-html' ).text( result );
+		// Resource usage.
+		$( '#test-results-time' ).text(
+			'number' === typeof data.execution_time ?
+				scepAdmin.strings.seconds.replace( '%s', data.execution_time.toFixed( 4 ) ) :
+				''
+		);
+		$( '#test-results-memory' ).text(
+			'number' === typeof data.peak_memory ?
+				formatBytes( data.peak_memory ) :
+				scepAdmin.strings.memoryUnknown
+		);
+
+		// Show notices first when there are any, otherwise the rendered output.
+		showTestResultsTab( notices.length ? '#test-tab-notices' : '#test-tab-preview' );
 
 		// Set dialog title.
-		$( '#test-results-dialog' ).dialog( 'option', 'title', 'Test Results: [' + shortcodeName + ']' );
+		$( '#test-results-dialog' ).dialog( 'option', 'title', scepAdmin.strings.testResults + ': [' + shortcodeName + ']' );
 
 		// Open the dialog.
 		$( '#test-results-dialog' ).dialog( 'open' );
 	}
 
+	/**
+	 * Show one of the test result tabs.
+	 *
+	 * @param {string} tabId Selector of the tab panel to show.
+	 */
+	function showTestResultsTab( tabId ) {
+		$( '#test-results-tabs .nav-tab' ).each( function() {
+			$( this ).toggleClass( 'nav-tab-active', $( this ).attr( 'href' ) === tabId );
+		} );
+		$( '.test-results-tab' ).hide();
+		$( tabId ).show();
+	}
+
+	/**
+	 * Format an execution time for display.
+	 *
+	 * @param {number} seconds Execution time in seconds.
+	 * @return {string} The formatted execution time.
+	 */
+	function formatExecutionTime( seconds ) {
+		if ( 'number' !== typeof seconds ) {
+			return '';
+		}
+
+		return scepAdmin.strings.executionTime.replace( '%s', seconds.toFixed( 4 ) );
+	}
+
+	/**
+	 * Format a number of bytes for display.
+	 *
+	 * @param {number} bytes Number of bytes.
+	 * @return {string} The formatted size.
+	 */
+	function formatBytes( bytes ) {
+		if ( bytes < 1024 ) {
+			return bytes + ' B';
+		}
+
+		if ( bytes < 1048576 ) {
+			return ( bytes / 1024 ).toFixed( 1 ) + ' KB';
+		}
+
+		return ( bytes / 1048576 ).toFixed( 2 ) + ' MB';
+	}
+
 	/**
 	 * Populate the edit form with shortcode data.
 	 *
+	 * Passing an empty name resets the form for adding a new shortcode.
+	 *
 	 * @param {Object} data The shortcode data.
 	 */
 	function populateEditForm( data ) {
+		editingShortcode = data.name;
+		$( '#scep-original-name' ).val( data.name );
 		$( '#scep-shortcode-name' ).val( data.name );
 		$( '#scep-description' ).val( data.description );
 		$( '#scep-enabled' ).prop( 'checked', data.enabled );
 		$( '#scep-buffer' ).prop( 'checked', data.buffer );
+		$( '#scep-block-title' ).val( data.block ? data.block.title : '' );
+		$( '#scep-block-keywords' ).val( data.block ? data.block.keywords.join( ', ' ) : '' );
+		$( '#scep-block-icon' ).val( data.block ? data.block.icon : '' );
+		$( '#scep-block-category' ).val( data.block ? data.block.category : '' );
+		$( '#scep-block-enclosing' ).prop( 'checked', !! ( data.block && data.block.enclosing ) );
 
 		// Set code editor content.
 		setEditorContent( data.code );
+		setParamSchema( data.schema );
+
+		$( '#scep-revision-note' ).val( '' );
+
+		// The loaded data is the new baseline for unsaved changes.
+		savedFormState = getFormState();
+		updateEditState();
+		loadRevisions();
+	}
 
-		// Scroll to top of form.
+	/**
+	 * Scroll to the top of the shortcode form.
+	 */
+	function scrollToForm() {
 		$( 'html, body' ).animate( {
 			scrollTop: $( '#scep-admin-panel' ).offset().top,
 		}, 500 );
@@ -348,7 +1854,13 @@
 		const action = form.find( 'input[name="scep_action"]' ).val();
 
 		if ( 'save_shortcode' === action ) {
-			return validateShortcodeForm( form );
+			e.preventDefault();
+			clearFieldErrors();
+
+			if ( validateShortcodeForm( form ) ) {
+				saveShortcode( form );
+			}
+			return false;
 		}
 
 		return true;
@@ -366,33 +1878,28 @@
 
 		// Validate shortcode name.
 		if ( ! shortcodeName ) {
-			alert( 'Please enter a shortcode name.' );
-			form.find( '#scep-shortcode-name' ).focus();
+			showFieldError( 'scep-shortcode-name', 'Please enter a shortcode name.' );
 			return false;
 		}
 
 		if ( ! /^[a-z0-9_-]+$/i.test( shortcodeName ) ) {
-			alert( 'Invalid shortcode name format. Use only letters, numbers, underscores, and hyphens.' );
-			form.find( '#scep-shortcode-name' ).focus();
+			showFieldError( 'scep-shortcode-name', 'Invalid shortcode name format. Use only letters, numbers, underscores, and hyphens.' );
 			return false;
 		}
 
 		if ( shortcodeName.length > 50 ) {
-			alert( 'Shortcode name is too long (maximum 50 characters).' );
-			form.find( '#scep-shortcode-name' ).focus();
+			showFieldError( 'scep-shortcode-name', 'Shortcode name is too long (maximum 50 characters).' );
 			return false;
 		}
 
 		// Validate PHP code.
 		if ( ! phpCode ) {
-			alert( 'Please enter PHP code for the shortcode.' );
-			document.getElementById( 'scep-phpcode' ).focus();
+			showFieldError( 'scep-phpcode', 'Please enter PHP code for the shortcode.' );
 			return false;
 		}
 
 		if ( phpCode.length > 10000 ) {
-			alert( 'PHP code is too long (maximum 10KB).' );
-			document.getElementById( 'scep-phpcode' ).focus();
+			showFieldError( 'scep-phpcode', 'PHP code is too long (maximum 10KB).' );
 			return false;
 		}
 
@@ -417,9 +1924,7 @@
 	 * @param {string} message The success message.
 	 */
 	function showSuccessMessage( message ) {
-		const notice = $( '<div class="notice notice-success is-dismissible"><p>' + escapeHTML( message ) + '</p></div>' );
-		$( '.wrap h1' ).after( notice );
-		$( 'html, body' ).animate( { scrollTop: 0 }, 500 );
+		showPageNotice( message, 'success' );
 	}
 
 	/**
@@ -428,8 +1933,23 @@
 	 * @param {string} message The error message.
 	 */
 	function showErrorMessage( message ) {
-		const notice = $( '<div class="notice notice-error is-dismissible"><p>' + escapeHTML( message ) + '</p></div>' );
+		showPageNotice( message, 'error' );
+	}
+
+	/**
+	 * Show a dismissible notice below the page title, replacing the previous one.
+	 *
+	 * @param {string} message Notice message.
+	 * @param {string} type    Notice type, 'success' or 'error'.
+	 */
+	function showPageNotice( message, type ) {
+		const notice = $( '<div class="notice notice-' + type + ' is-dismissible scep-ajax-notice"><p>' + escapeHTML( message ) + '</p></div>' );
+
+		$( '.wrap .scep-ajax-notice' ).remove();
 		$( '.wrap h1' ).after( notice );
+
+		// Let WordPress add the dismiss button.
+		$( document ).trigger( 'wp-updates-notice-added' );
 		$( 'html, body' ).animate( { scrollTop: 0 }, 500 );
 	}
 
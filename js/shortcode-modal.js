@@ -0,0 +1,505 @@
+/**
+ * Shortcode Modal for Shortcode Exec PHP
+ * 
+ * WordPress core modal to pick a shortcode and set its parameters and
+ * content, with a live preview. Shared by the TinyMCE plugin and the
+ * Quicktags button, which decide where the built shortcode goes. Falls
+ * back to a simple dialog with the shortcode picker where the media
+ * modal is not loaded.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+( function() {
+	'use strict';
+	
+	// Ensure jQuery and WordPress are available
+	if ( typeof jQuery === 'undefined' || typeof wp === 'undefined' ) {
+		return;
+	}
+	
+	/**
+	 * Shortcode Modal Object
+	 */
+	window.ShortcodeExecPHPModal = {
+		
+		/**
+		 * Parse an existing shortcode for the modal
+		 *
+		 * @param {string} text Shortcode text
+		 * @return {Object|null} Shortcode name, parameters and content, or null if the text is not a shortcode
+		 */
+		parseShortcode: function( text ) {
+			const match = /^\[([a-zA-Z0-9_-]+)/.exec( text );
+			const found = match ? wp.shortcode.next( match[1], text ) : null;
+			
+			if ( ! found ) {
+				return null;
+			}
+			
+			return {
+				name: found.shortcode.tag,
+				parameters: found.shortcode.attrs.named,
+				content: found.shortcode.content || ''
+			};
+		},
+		
+		/**
+		 * Open shortcode selection modal using WordPress core modal system
+		 *
+		 * Given the text of an existing shortcode, the modal is prefilled
+		 * with it to edit it. Given selected text, enclosing shortcodes are
+		 * prefilled with it as their content.
+		 *
+		 * @param {Object}   options           Modal options
+		 * @param {string}   options.text      Text of the shortcode to edit, if any
+		 * @param {string}   options.selection Selected text, if any
+		 * @param {Function} options.onSubmit  Receives the built shortcode text and the chosen shortcode
+		 */
+		open: function( options ) {
+			const self = this;
+			const parsed = options.text ? this.parseShortcode( options.text ) : null;
+			
+			// Check if WordPress modal system is available
+			if ( ! window.wp || ! window.wp.media || ! window.wp.media.view.Modal ) {
+				// Fallback to simple prompt for older WordPress versions
+				this.showSimpleDialog( options );
+				return;
+			}
+			
+			// Load available shortcodes first
+			this.loadShortcodes().then( function( shortcodes ) {
+				if ( ! shortcodes || shortcodes.length === 0 ) {
+					alert( 'No shortcodes available. Please create shortcodes in the admin panel first.' );
+					return;
+				}
+				
+				// Create modal with WordPress core modal system
+				const modal = new wp.media.view.Modal( {
+					controller: {
+						trigger: function() {},
+						close: function() {
+							modal.close();
+						}
+					}
+				} );
+				
+				// Set modal title
+				modal.$el.find( '.media-modal-title h1' ).text( parsed
+					? window.shortcodeExecPHPModal?.editTitle || 'Edit PHP Shortcode'
+					: window.shortcodeExecPHPModal?.modalTitle || 'Insert PHP Shortcode'
+				);
+				
+				// Create and set modal content
+				const content = self.createModalContent( shortcodes, modal, parsed, options );
+				modal.content( content );
+				
+				// Open the modal
+				modal.open();
+				
+			} ).catch( function( error ) {
+				console.error( 'Failed to load shortcodes:', error );
+				alert( 'Failed to load shortcodes. Please try again.' );
+			} );
+		},
+		
+		/**
+		 * Create modal content view
+		 *
+		 * @param {Array}       shortcodes Available shortcodes
+		 * @param {Object}      modal      Modal instance
+		 * @param {Object|null} existing   Parsed shortcode to edit
+		 * @param {Object}      options    Modal options, see open()
+		 * @return {wp.media.View} Modal content view
+		 */
+		createModalContent: function( shortcodes, modal, existing, options ) {
+			const ShortcodeModalContent = wp.media.View.extend( {
+				
+				tagName: 'div',
+				className: 'shortcode-exec-php-modal-content',
+				
+				events: {
+					'click #add-parameter': 'addParameter',
+					'click .remove-parameter': 'removeParameter',
+					'click #preview-shortcode': 'previewShortcode',
+					'click #insert-shortcode': 'insertShortcode',
+					'click #cancel-shortcode': 'cancelModal'
+				},
+				
+				initialize: function() {
+					this.shortcodes = shortcodes;
+					this.selectedShortcode = '';
+					this.parameters = {};
+					this.content = '';
+				},
+				
+				render: function() {
+					this.$el.html( this.getTemplate() );
+					this.renderPicker();
+					
+					if ( existing ) {
+						this.prefill();
+					}
+					return this;
+				},
+				
+				remove: function() {
+					if ( this.picker ) {
+						this.picker.unmount();
+						this.picker = null;
+					}
+					return wp.media.View.prototype.remove.apply( this, arguments );
+				},
+				
+				/**
+				 * Fill the form with the shortcode being edited
+				 */
+				prefill: function() {
+					const view = this;
+					
+					Object.entries( existing.parameters ).forEach( function( [ key, value ] ) {
+						view.addParameter();
+						const row = view.$el.find( '.parameter-row' ).last();
+						row.find( '.param-key' ).val( key );
+						row.find( '.param-value' ).val( value );
+					} );
+					
+					this.$el.find( '#shortcode-content' ).val( existing.content );
+					this.$el.find( '#insert-shortcode' ).text( window.shortcodeExecPHPModal?.updateButton || 'Update Shortcode' );
+					
+					// Shortcodes that are no longer listed, such as disabled ones, stay selected
+					this.onShortcodeChange( existing.name );
+				},
+				
+				/**
+				 * Get the modal template HTML
+				 */
+				getTemplate: function() {
+					return `
+						<div class="shortcode-modal-container">
+							<div class="shortcode-selection"></div>
+							
+							<div id="shortcode-config" style="display: none;">
+								<div class="shortcode-parameters">
+									<h4>Parameters <button type="button" id="add-parameter" class="button button-small">Add Parameter</button></h4>
+									<div id="parameters-container"></div>
+								</div>
+								
+								<div class="shortcode-content">
+									<label for="shortcode-content">
+										<strong>Content (optional):</strong>
+									</label>
+									<textarea id="shortcode-content" class="widefat" rows="3" placeholder="Optional shortcode content..."></textarea>
+								</div>
+								
+								<div class="shortcode-preview">
+									<h4>Preview:</h4>
+									<div id="preview-container" class="preview-box">
+										<em>Select a shortcode to see preview</em>
+									</div>
+									<button type="button" id="preview-shortcode" class="button">Update Preview</button>
+								</div>
+							</div>
+							
+							<div class="modal-actions">
+								<button type="button" id="insert-shortcode" class="button button-primary" disabled>Insert Shortcode</button>
+								<button type="button" id="cancel-shortcode" class="button">Cancel</button>
+							</div>
+						</div>
+					`;
+				},
+				
+				/**
+				 * Render the shortcode picker
+				 */
+				renderPicker: function() {
+					const view = this;
+					
+					this.picker = window.ShortcodeExecPHPPicker.render( this.$el.find( '.shortcode-selection' )[0], {
+						value: '',
+						label: window.shortcodeExecPHPModal?.pickerLabel || 'Select Shortcode',
+						autoFocus: ! existing,
+						onChange: function( shortcodeName ) {
+							view.onShortcodeChange( shortcodeName );
+						}
+					} );
+				},
+				
+				/**
+				 * Handle shortcode selection change
+				 *
+				 * @param {string} shortcodeName Name of the picked shortcode
+				 */
+				onShortcodeChange: function( shortcodeName ) {
+					this.selectedShortcode = shortcodeName;
+					this.picker.update( { value: shortcodeName } );
+					
+					// Selected text becomes the content of shortcodes wrapping content
+					const contentField = this.$el.find( '#shortcode-content' );
+					if ( options.selection && ! existing ) {
+						contentField.val( this.isEnclosing( shortcodeName ) ? options.selection : '' );
+					}
+					
+					if ( shortcodeName ) {
+						this.$el.find( '#shortcode-config' ).show();
+						this.$el.find( '#insert-shortcode' ).prop( 'disabled', false );
+						this.updatePreview();
+					} else {
+						this.$el.find( '#shortcode-config' ).hide();
+						this.$el.find( '#insert-shortcode' ).prop( 'disabled', true );
+					}
+				},
+				
+				/**
+				 * Check whether a shortcode wraps content
+				 *
+				 * @param {string} shortcodeName Shortcode name
+				 * @return {boolean} Whether the shortcode is marked as wrapping nested blocks
+				 */
+				isEnclosing: function( shortcodeName ) {
+					return this.shortcodes.some( function( shortcode ) {
+						return shortcode.name === shortcodeName && shortcode.block.enclosing;
+					} );
+				},
+				
+				/**
+				 * Add parameter input fields
+				 */
+				addParameter: function() {
+					const container = this.$el.find( '#parameters-container' );
+					const paramIndex = container.find( '.parameter-row' ).length;
+					
+					const paramRow = `
+						<div class="parameter-row" style="margin-bottom: 10px; display: flex; gap: 5px;">
+							<input type="text" placeholder="Parameter name" class="param-key" style="flex: 1;" />
+							<input type="text" placeholder="Parameter value" class="param-value" style="flex: 2;" />
+							<button type="button" class="remove-parameter button button-small">Remove</button>
+						</div>
+					`;
+					
+					container.append( paramRow );
+				},
+				
+				/**
+				 * Remove parameter row
+				 */
+				removeParameter: function( e ) {
+					jQuery( e.target ).closest( '.parameter-row' ).remove();
+					this.updatePreview();
+				},
+				
+				/**
+				 * Update shortcode preview
+				 */
+				updatePreview: function() {
+					if ( ! this.selectedShortcode ) {
+						return;
+					}
+					
+					const shortcodeString = this.buildShortcodeString();
+					const previewContainer = this.$el.find( '#preview-container' );
+					
+					previewContainer.html( '<em>Loading preview...</em>' );
+					
+					// Render through the shared store, which caches previews
+					wp.data.dispatch( 'shortcode-exec-php' ).fetchPreview( { shortcode: shortcodeString } )
+					.then( preview => {
+						previewContainer.html( preview.html || '<em>No output</em>' );
+					} )
+					.catch( error => {
+						console.error( 'Preview error:', error );
+						if ( error instanceof TypeError ) {
+							previewContainer.html( '<em style="color: #d63638;">Network error</em>' );
+						} else {
+							previewContainer.html( '<em style="color: #d63638;">Preview error: ' + error.message + '</em>' );
+						}
+					} );
+				},
+				
+				/**
+				 * Preview shortcode (button handler)
+				 */
+				previewShortcode: function() {
+					this.updatePreview();
+				},
+				
+				/**
+				 * Build shortcode string from form inputs
+				 */
+				buildShortcodeString: function() {
+					let shortcodeString = '[' + this.selectedShortcode;
+					
+					// Add parameters
+					const self = this;
+					this.$el.find( '.parameter-row' ).each( function() {
+						const key = jQuery( this ).find( '.param-key' ).val().trim();
+						const value = jQuery( this ).find( '.param-value' ).val().trim();
+						
+						if ( key && value ) {
+							shortcodeString += ' ' + key + '="' + value.replace( /"/g, '&quot;' ) + '"';
+						}
+					} );
+					
+					// Add content
+					const content = this.$el.find( '#shortcode-content' ).val().trim();
+					if ( content ) {
+						shortcodeString += ']' + content + '[/' + this.selectedShortcode + ']';
+					} else {
+						shortcodeString += ']';
+					}
+					
+					return shortcodeString;
+				},
+				
+				/**
+				 * Hand the shortcode to the editor, which inserts it or replaces the one being edited
+				 */
+				insertShortcode: function() {
+					if ( ! this.selectedShortcode ) {
+						return;
+					}
+					
+					const shortcodeName = this.selectedShortcode;
+					const shortcode = this.shortcodes.find( function( item ) {
+						return item.name === shortcodeName;
+					} );
+					
+					options.onSubmit( this.buildShortcodeString(), shortcode || { name: shortcodeName } );
+					wp.data.dispatch( 'shortcode-exec-php' ).addRecentShortcode( shortcodeName );
+					
+					// Close modal
+					modal.close();
+				},
+				
+				/**
+				 * Cancel modal
+				 */
+				cancelModal: function() {
+					modal.close();
+				}
+			} );
+			
+			return new ShortcodeModalContent();
+		},
+		
+		/**
+		 * Load available shortcodes from the shared store
+		 *
+		 * @return {Promise} Promise resolving to shortcodes array
+		 */
+		loadShortcodes: function() {
+			if ( ! window.wp || ! wp.data || ! wp.data.select( 'shortcode-exec-php' ) ) {
+				return Promise.reject( new Error( 'The shortcode store is not loaded' ) );
+			}
+			
+			return wp.data.resolveSelect( 'shortcode-exec-php' ).getShortcodes().then( function( shortcodes ) {
+				if ( ! shortcodes ) {
+					throw new Error( wp.data.select( 'shortcode-exec-php' ).getShortcodesError() || 'Failed to load shortcodes' );
+				}
+				return shortcodes;
+			} );
+		},
+		
+		/**
+		 * Fallback dialog where the media modal is not loaded
+		 *
+		 * Shows the shortcode picker, or a text field with the shortcode
+		 * when editing one. Picking a shortcode inserts it without
+		 * parameters, wrapping the selected text for shortcodes enclosing
+		 * content.
+		 *
+		 * @param {Object} options Modal options, see open()
+		 */
+		showSimpleDialog: function( options ) {
+			const self = this;
+			const previousFocus = document.activeElement;
+			const dialog = jQuery( `
+				<div class="shortcode-exec-php-picker-dialog">
+					<div class="shortcode-exec-php-picker-dialog__frame" role="dialog" aria-modal="true" aria-labelledby="shortcode-exec-php-picker-dialog-title">
+						<h2 id="shortcode-exec-php-picker-dialog-title"></h2>
+						<div class="shortcode-exec-php-picker-dialog__content"></div>
+						<div class="shortcode-exec-php-picker-dialog__actions">
+							<button type="button" class="button shortcode-exec-php-picker-dialog__cancel">Cancel</button>
+						</div>
+					</div>
+				</div>
+			` );
+			let picker = null;
+			
+			const close = function() {
+				if ( picker ) {
+					picker.unmount();
+				}
+				dialog.remove();
+				if ( previousFocus ) {
+					previousFocus.focus();
+				}
+			};
+			
+			dialog.find( 'h2' ).text( options.text
+				? window.shortcodeExecPHPModal?.editTitle || 'Edit PHP Shortcode'
+				: window.shortcodeExecPHPModal?.modalTitle || 'Insert PHP Shortcode'
+			);
+			dialog.on( 'click', function( e ) {
+				if ( e.target === this ) {
+					close();
+				}
+			} );
+			dialog.on( 'keydown', function( e ) {
+				if ( e.key === 'Escape' ) {
+					close();
+				}
+			} );
+			dialog.find( '.shortcode-exec-php-picker-dialog__cancel' ).on( 'click', close );
+			jQuery( document.body ).append( dialog );
+			
+			const content = dialog.find( '.shortcode-exec-php-picker-dialog__content' );
+			
+			if ( options.text ) {
+				const field = jQuery( '<input type="text" class="widefat" />' ).val( options.text );
+				const update = jQuery( '<button type="button" class="button button-primary"></button>' )
+					.text( window.shortcodeExecPHPModal?.updateButton || 'Update Shortcode' );
+				const submit = function() {
+					const text = field.val().trim();
+					close();
+					if ( text && text !== options.text ) {
+						const parsed = self.parseShortcode( text );
+						options.onSubmit( text, { name: parsed ? parsed.name : '' } );
+					}
+				};
+				
+				field.on( 'keydown', function( e ) {
+					if ( e.key === 'Enter' ) {
+						e.preventDefault();
+						submit();
+					}
+				} );
+				update.on( 'click', submit );
+				content.append( field );
+				dialog.find( '.shortcode-exec-php-picker-dialog__actions' ).prepend( update );
+				field.trigger( 'focus' );
+				return;
+			}
+			
+			picker = window.ShortcodeExecPHPPicker.render( content[0], {
+				value: '',
+				label: window.shortcodeExecPHPModal?.pickerLabel || 'Select Shortcode',
+				autoFocus: true,
+				onChange: function( shortcodeName, shortcode ) {
+					close();
+					
+					if ( shortcode.block.enclosing && options.selection ) {
+						options.onSubmit( '[' + shortcodeName + ']' + options.selection + '[/' + shortcodeName + ']', shortcode );
+					} else {
+						options.onSubmit( '[' + shortcodeName + ']', shortcode );
+					}
+					wp.data.dispatch( 'shortcode-exec-php' ).addRecentShortcode( shortcodeName );
+				}
+			} );
+		}
+		
+	};
+	
+} )();
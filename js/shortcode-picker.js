@@ -0,0 +1,502 @@
+/**
+ * Shortcode Picker for Shortcode Exec PHP
+ *
+ * Keyboard navigable list to choose a shortcode, shared by the blocks,
+ * the TinyMCE modal and the Quicktags button. Offers fuzzy search over
+ * name and description, groups shortcodes by category, pins the favorites
+ * of the user and lists the shortcodes they inserted last, with a panel
+ * describing the highlighted shortcode and its parameters.
+ *
+ * Written without JSX so the classic editor can load it as is.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+( function() {
+	'use strict';
+	
+	// Ensure the element and data packages are available
+	if ( typeof wp === 'undefined' || ! wp.element || ! wp.data ) {
+		return;
+	}
+	
+	const { createElement: el, Fragment, useState, useEffect, useRef, useMemo } = wp.element;
+	const { useSelect, useDispatch } = wp.data;
+	const { __, _n, sprintf } = wp.i18n;
+	
+	/**
+	 * Name of the shared data store
+	 *
+	 * @type {string}
+	 */
+	const STORE_NAME = 'shortcode-exec-php';
+	
+	/**
+	 * Weight of a match in the name over one in the description
+	 *
+	 * @type {number}
+	 */
+	const NAME_WEIGHT = 2;
+	
+	/**
+	 * Score added to favorites and recently used shortcodes matching a search
+	 *
+	 * @type {number}
+	 */
+	const PINNED_BONUS = 5;
+	
+	/**
+	 * Number of pickers rendered so far, used for element IDs
+	 *
+	 * @type {number}
+	 */
+	let instances = 0;
+	
+	/**
+	 * Score how well a search matches a text
+	 *
+	 * The characters of the search must appear in the text in order.
+	 * Consecutive characters, characters starting a word and matches at
+	 * the start of the text score higher.
+	 *
+	 * @param {string} search Lowercase search
+	 * @param {string} text   Text to search in
+	 * @return {number} Score, or 0 if the text does not match
+	 */
+	const fuzzyScore = ( search, text ) => {
+		const haystack = ( text || '' ).toLowerCase();
+		let score = 0;
+		let position = 0;
+		let previous = -2;
+		
+		for ( const character of search ) {
+			const found = haystack.indexOf( character, position );
+			if ( found === -1 ) {
+				return 0;
+			}
+			
+			score += 1;
+			if ( found === previous + 1 ) {
+				score += 2;
+			}
+			if ( found === 0 || /[\s_-]/.test( haystack.charAt( found - 1 ) ) ) {
+				score += 3;
+			}
+			
+			previous = found;
+			position = found + 1;
+		}
+		
+		// Prefer shorter texts for the same matched characters
+		return score + search.length / haystack.length;
+	};
+	
+	/**
+	 * Get the category a shortcode is grouped under
+	 *
+	 * @param {Object} shortcode Shortcode
+	 * @return {string} Category, or an empty string if it has none
+	 */
+	const getCategory = ( shortcode ) => ( shortcode.block && shortcode.block.category ) || '';
+	
+	/**
+	 * Group shortcodes by category
+	 *
+	 * Named categories come first in alphabetical order, followed by the
+	 * shortcodes without a category.
+	 *
+	 * @param {Array}  shortcodes Shortcodes in the order to list them
+	 * @param {string} keyPrefix  Prefix of the group keys
+	 * @return {Array} Groups with a key, label and shortcodes
+	 */
+	const groupByCategory = ( shortcodes, keyPrefix ) => {
+		const groups = new Map();
+		
+		shortcodes.forEach( ( shortcode ) => {
+			const category = getCategory( shortcode );
+			if ( ! groups.has( category ) ) {
+				groups.set( category, [] );
+			}
+			groups.get( category ).push( shortcode );
+		} );
+		
+		return Array.from( groups.keys() )
+			.sort( ( a, b ) => ( ! a ) - ( ! b ) || a.localeCompare( b ) )
+			.map( category => ( {
+				key: keyPrefix + category,
+				label: category || __( 'Uncategorized', 'shortcode-exec-php' ),
+				shortcodes: groups.get( category )
+			} ) );
+	};
+	
+	/**
+	 * Build the groups of the picker
+	 *
+	 * Without a search, favorites and recently used shortcodes are listed
+	 * before all shortcodes by category. With a search, the matching
+	 * shortcodes are grouped by category, best matches first.
+	 *
+	 * @param {Array}  shortcodes Available shortcodes
+	 * @param {string} search     Search text
+	 * @param {Array}  favorites  Favorite shortcode names
+	 * @param {Array}  recent     Recently used shortcode names, most recent first
+	 * @return {Array} Groups with a key, label and shortcodes
+	 */
+	const getGroups = ( shortcodes, search, favorites, recent ) => {
+		const query = search.trim().toLowerCase().replace( /^\[/, '' );
+		const byName = ( name ) => shortcodes.find( shortcode => shortcode.name === name );
+		
+		if ( ! query ) {
+			const sorted = [ ...shortcodes ].sort( ( a, b ) => a.name.localeCompare( b.name ) );
+			
+			return [
+				{
+					key: 'favorites',
+					label: __( 'Favorites', 'shortcode-exec-php' ),
+					shortcodes: favorites.map( byName ).filter( Boolean )
+				},
+				{
+					key: 'recent',
+					label: __( 'Recently used', 'shortcode-exec-php' ),
+					shortcodes: recent.map( byName ).filter( Boolean )
+				},
+				...groupByCategory( sorted, 'category:' )
+			].filter( group => group.shortcodes.length > 0 );
+		}
+		
+		const scored = shortcodes
+			.map( ( shortcode ) => {
+				const score = Math.max(
+					fuzzyScore( query, shortcode.name ) * NAME_WEIGHT,
+					fuzzyScore( query, shortcode.description )
+				);
+				const pinned = favorites.includes( shortcode.name ) || recent.includes( shortcode.name );
+				
+				return { shortcode, score: score && ( pinned ? score + PINNED_BONUS : score ) };
+			} )
+			.filter( item => item.score > 0 )
+			.sort( ( a, b ) => b.score - a.score || a.shortcode.name.localeCompare( b.shortcode.name ) );
+		
+		// Order the categories by their best match
+		const groups = groupByCategory( scored.map( item => item.shortcode ), 'search:' );
+		const rank = ( group ) => scored.findIndex( item => item.shortcode === group.shortcodes[0] );
+		
+		return groups.sort( ( a, b ) => rank( a ) - rank( b ) );
+	};
+	
+	/**
+	 * Description and parameters of a shortcode
+	 *
+	 * @param {Object}   props            Component props
+	 * @param {Object}   props.shortcode  Shortcode to describe
+	 * @param {boolean}  props.isFavorite Whether the shortcode is a favorite
+	 * @param {Function} props.onFavorite Toggles the favorite
+	 * @return {Element} Hint panel
+	 */
+	const HintPanel = ( { shortcode, isFavorite, onFavorite } ) => {
+		const schema = Array.isArray( shortcode.schema ) ? shortcode.schema : [];
+		
+		return el( 'div', { className: 'shortcode-exec-php-picker__hint' },
+			el( 'div', { className: 'shortcode-exec-php-picker__hint-header' },
+				el( 'code', null, `[${ shortcode.name }]` ),
+				el( 'button', {
+					type: 'button',
+					className: 'button-link shortcode-exec-php-picker__favorite',
+					onClick: onFavorite
+				},
+					el( 'span', {
+						className: 'dashicons ' + ( isFavorite ? 'dashicons-star-filled' : 'dashicons-star-empty' ),
+						'aria-hidden': true
+					} ),
+					isFavorite
+						? __( 'Remove from favorites', 'shortcode-exec-php' )
+						: __( 'Add to favorites', 'shortcode-exec-php' )
+				)
+			),
+			el( 'p', { className: 'shortcode-exec-php-picker__description' },
+				shortcode.description || __( 'No description.', 'shortcode-exec-php' )
+			),
+			shortcode.block && shortcode.block.enclosing && el( 'p', { className: 'shortcode-exec-php-picker__note' },
+				__( 'Wraps content.', 'shortcode-exec-php' )
+			),
+			schema.length > 0 ? el( Fragment, null,
+				el( 'h4', null, __( 'Parameters', 'shortcode-exec-php' ) ),
+				el( 'ul', { className: 'shortcode-exec-php-picker__params' },
+					schema.map( param => el( 'li', { key: param.name },
+						el( 'code', null, param.name ),
+						' ',
+						el( 'span', { className: 'shortcode-exec-php-picker__param-type' },
+							param.required
+								/* translators: %s: Parameter type */
+								? sprintf( __( '%s, required', 'shortcode-exec-php' ), param.type || 'text' )
+								: param.type || 'text'
+						),
+						param.help && el( 'span', { className: 'shortcode-exec-php-picker__param-help' }, param.help ),
+						param.default && el( 'span', { className: 'shortcode-exec-php-picker__param-help' },
+							/* translators: %s: Default parameter value */
+							sprintf( __( 'Default: %s', 'shortcode-exec-php' ), param.default )
+						)
+					) )
+				)
+			) : el( 'p', { className: 'shortcode-exec-php-picker__note' },
+				__( 'No declared parameters.', 'shortcode-exec-php' )
+			)
+		);
+	};
+	
+	/**
+	 * Shortcode picker
+	 *
+	 * The search field keeps the focus while the arrow keys move through
+	 * the list, Enter picks the highlighted shortcode and Escape clears
+	 * the search. Favorites and recently used shortcodes come from the
+	 * shared store.
+	 *
+	 * @param {Object}   props           Component props
+	 * @param {string}   props.value     Name of the selected shortcode
+	 * @param {Function} props.onChange  Receives the name and the picked shortcode
+	 * @param {string}   props.label     Label of the search field
+	 * @param {boolean}  props.autoFocus Whether to focus the search field when shown
+	 * @return {Element} Picker
+	 */
+	const ShortcodePicker = ( { value, onChange, label, autoFocus } ) => {
+		const [ search, setSearch ] = useState( '' );
+		const [ activeIndex, setActiveIndex ] = useState( -1 );
+		const instanceId = useMemo( () => ++instances, [] );
+		const inputRef = useRef( null );
+		const listRef = useRef( null );
+		
+		const { shortcodes, error, favorites, recent } = useSelect( ( select ) => {
+			const store = select( STORE_NAME );
+			
+			return {
+				shortcodes: store.getShortcodes(),
+				error: store.getShortcodesError(),
+				favorites: store.getFavoriteShortcodes(),
+				recent: store.getRecentShortcodes()
+			};
+		}, [] );
+		const { setFavorite } = useDispatch( STORE_NAME );
+		
+		const groups = useMemo(
+			() => getGroups( shortcodes || [], search, favorites, recent ),
+			[ shortcodes, search, favorites, recent ]
+		);
+		
+		// Shortcodes listed in more than one group are one option per group
+		const options = useMemo( () => groups.reduce( ( list, group ) => list.concat(
+			group.shortcodes.map( shortcode => ( { group: group.key, shortcode } ) )
+		), [] ), [ groups ] );
+		
+		const getOptionId = ( index ) => `shortcode-exec-php-picker-${ instanceId }-option-${ index }`;
+		const listId = `shortcode-exec-php-picker-${ instanceId }-list`;
+		const inputId = `shortcode-exec-php-picker-${ instanceId }-search`;
+		
+		// Highlight the best match while searching, and the selected shortcode otherwise
+		useEffect( () => {
+			const selected = options.findIndex( option => option.shortcode.name === value );
+			setActiveIndex( search.trim() ? ( options.length ? 0 : -1 ) : selected );
+		}, [ search, options.length ] );
+		
+		useEffect( () => {
+			if ( autoFocus && inputRef.current ) {
+				inputRef.current.focus();
+			}
+		}, [] );
+		
+		useEffect( () => {
+			const option = activeIndex >= 0 && listRef.current
+				? listRef.current.querySelector( '#' + getOptionId( activeIndex ) )
+				: null;
+			if ( option ) {
+				option.scrollIntoView( { block: 'nearest' } );
+			}
+		}, [ activeIndex ] );
+		
+		const pick = ( shortcode ) => {
+			onChange( shortcode.name, shortcode );
+		};
+		
+		const onKeyDown = ( event ) => {
+			switch ( event.key ) {
+				case 'ArrowDown':
+					event.preventDefault();
+					setActiveIndex( Math.min( activeIndex + 1, options.length - 1 ) );
+					break;
+				
+				case 'ArrowUp':
+					event.preventDefault();
+					setActiveIndex( Math.max( activeIndex - 1, 0 ) );
+					break;
+				
+				case 'Home':
+				case 'End':
+					// Only take over the keys when they would not move the caret
+					if ( ! search ) {
+						event.preventDefault();
+						setActiveIndex( event.key === 'Home' ? 0 : options.length - 1 );
+					}
+					break;
+				
+				case 'Enter':
+					event.preventDefault();
+					if ( options[ activeIndex ] ) {
+						pick( options[ activeIndex ].shortcode );
+					}
+					break;
+				
+				case 'Escape':
+					// Clear the search first, then let dialogs close
+					if ( search ) {
+						event.preventDefault();
+						event.stopPropagation();
+						setSearch( '' );
+					}
+					break;
+			}
+		};
+		
+		const active = options[ activeIndex ] ? options[ activeIndex ].shortcode : null;
+		const hinted = active || ( shortcodes || [] ).find( shortcode => shortcode.name === value );
+		
+		let status = null;
+		if ( shortcodes === null ) {
+			status = error || __( 'Loading shortcodes...', 'shortcode-exec-php' );
+		} else if ( shortcodes.length === 0 ) {
+			status = __( 'No shortcodes available. Create one in the admin panel first.', 'shortcode-exec-php' );
+		} else if ( options.length === 0 ) {
+			status = __( 'No shortcodes match your search.', 'shortcode-exec-php' );
+		}
+		
+		let index = -1;
+		
+		return el( 'div', { className: 'shortcode-exec-php-picker' },
+			el( 'label', { className: 'shortcode-exec-php-picker__label', htmlFor: inputId },
+				label || __( 'Shortcode', 'shortcode-exec-php' )
+			),
+			el( 'input', {
+				id: inputId,
+				ref: inputRef,
+				type: 'search',
+				className: 'shortcode-exec-php-picker__search',
+				value: search,
+				placeholder: __( 'Search shortcodes', 'shortcode-exec-php' ),
+				autoComplete: 'off',
+				role: 'combobox',
+				'aria-expanded': true,
+				'aria-controls': listId,
+				'aria-autocomplete': 'list',
+				'aria-activedescendant': activeIndex >= 0 ? getOptionId( activeIndex ) : undefined,
+				onChange: ( event ) => setSearch( event.target.value ),
+				onKeyDown
+			} ),
+			el( 'div', { className: 'screen-reader-text', 'aria-live': 'polite' },
+				search.trim() && sprintf(
+					/* translators: %d: Number of matching shortcodes */
+					_n( '%d shortcode found.', '%d shortcodes found.', options.length, 'shortcode-exec-php' ),
+					options.length
+				)
+			),
+			status && el( 'p', { className: 'shortcode-exec-php-picker__status' }, status ),
+			el( 'div', { className: 'shortcode-exec-php-picker__body' },
+				el( 'div', {
+					id: listId,
+					ref: listRef,
+					className: 'shortcode-exec-php-picker__list',
+					role: 'listbox',
+					hidden: options.length === 0,
+					'aria-label': label || __( 'Shortcode', 'shortcode-exec-php' )
+				},
+					groups.map( group => el( 'div', {
+						key: group.key,
+						role: 'group',
+						'aria-labelledby': `${ listId }-${ group.key }`
+					},
+						el( 'div', {
+							id: `${ listId }-${ group.key }`,
+							className: 'shortcode-exec-php-picker__group',
+							role: 'presentation'
+						}, group.label ),
+						group.shortcodes.map( ( shortcode ) => {
+							const optionIndex = ++index;
+							const isFavorite = favorites.includes( shortcode.name );
+							
+							return el( 'div', {
+								key: shortcode.name,
+								id: getOptionId( optionIndex ),
+								role: 'option',
+								'aria-selected': shortcode.name === value,
+								className: 'shortcode-exec-php-picker__option' +
+									( optionIndex === activeIndex ? ' is-active' : '' ) +
+									( shortcode.name === value ? ' is-selected' : '' ),
+								// Keep the focus in the search field
+								onMouseDown: ( event ) => event.preventDefault(),
+								onMouseMove: () => optionIndex !== activeIndex && setActiveIndex( optionIndex ),
+								onClick: () => pick( shortcode )
+							},
+								el( 'span', { className: 'shortcode-exec-php-picker__name' }, `[${ shortcode.name }]` ),
+								shortcode.description && el( 'span', { className: 'shortcode-exec-php-picker__summary' }, shortcode.description ),
+								isFavorite && el( 'span', {
+									className: 'dashicons dashicons-star-filled shortcode-exec-php-picker__star',
+									'aria-hidden': true
+								} )
+							);
+						} )
+					) )
+				),
+				hinted && el( HintPanel, {
+					shortcode: hinted,
+					isFavorite: favorites.includes( hinted.name ),
+					onFavorite: () => setFavorite( hinted.name, ! favorites.includes( hinted.name ) )
+				} )
+			)
+		);
+	};
+	
+	/**
+	 * Shortcode Picker Object
+	 */
+	window.ShortcodeExecPHPPicker = {
+		
+		ShortcodePicker,
+		
+		/**
+		 * Render a picker outside of a React tree
+		 *
+		 * @param {Element} container Element to render the picker in
+		 * @param {Object}  props     Picker props, see ShortcodePicker
+		 * @return {{update: Function, unmount: Function}} Updates the props or removes the picker
+		 */
+		render: function( container, props ) {
+			const root = wp.element.createRoot ? wp.element.createRoot( container ) : null;
+			const draw = ( nextProps ) => {
+				const picker = el( ShortcodePicker, nextProps );
+				if ( root ) {
+					root.render( picker );
+				} else {
+					wp.element.render( picker, container );
+				}
+			};
+			
+			draw( props );
+			
+			return {
+				update: function( nextProps ) {
+					props = { ...props, ...nextProps };
+					draw( props );
+				},
+				unmount: function() {
+					if ( root ) {
+						root.unmount();
+					} else {
+						wp.element.unmountComponentAtNode( container );
+					}
+				}
+			};
+		}
+		
+	};
+	
+} )();
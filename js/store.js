@@ -0,0 +1,459 @@
+/**
+ * Shared data store for Shortcode Exec PHP
+ *
+ * Holds the shortcode list, rendered previews and the picker favorites
+ * and recently used shortcodes of the user for every editor integration,
+ * so an editor session loads the list once and the block editor, TinyMCE
+ * and any other consumer see the same shortcodes.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.54
+ */
+
+( function() {
+	'use strict';
+	
+	// Ensure the data and API fetch packages are available
+	if ( typeof wp === 'undefined' || ! wp.data || ! wp.apiFetch ) {
+		return;
+	}
+	
+	const { __ } = wp.i18n;
+	const apiFetch = wp.apiFetch;
+	
+	/**
+	 * Name the store is registered under
+	 *
+	 * @type {string}
+	 */
+	const STORE_NAME = 'shortcode-exec-php';
+	
+	/**
+	 * Maximum number of previews kept in the store
+	 *
+	 * @type {number}
+	 */
+	const PREVIEW_CACHE_SIZE = 100;
+	
+	/**
+	 * Local storage key the admin page touches after changing shortcodes
+	 *
+	 * @type {string}
+	 */
+	const MODIFIED_STORAGE_KEY = 'scep-shortcodes-modified';
+	
+	/**
+	 * REST API namespace of the plugin
+	 *
+	 * @type {string}
+	 */
+	const API_NAMESPACE = '/shortcode-exec-php/v1';
+	
+	/**
+	 * Settings passed from PHP
+	 *
+	 * @type {{shortcodes: Array|null, picker: {favorites: Array, recent: Array}}}
+	 */
+	const settings = window.shortcodeExecPHPStore || {};
+	
+	/**
+	 * Picker preferences printed with the page
+	 *
+	 * @type {{favorites: Array, recent: Array}}
+	 */
+	const picker = settings.picker || {};
+	
+	/**
+	 * Preview requests in flight keyed like the preview cache
+	 *
+	 * Callers showing the same preview share one request, which is only
+	 * aborted once every caller waiting for it has stopped waiting.
+	 *
+	 * @type {Map<string, {promise: Promise, controller: AbortController, waiting: number}>}
+	 */
+	const previewRequests = new Map();
+	
+	/**
+	 * Get the cache key of a preview source
+	 *
+	 * @param {Object} source Shortcode string or block attributes and nested blocks, and post ID
+	 * @return {string} Cache key
+	 */
+	const getPreviewKey = ( { shortcode, attributes, innerBlocks, postId } ) => (
+		`${ postId || 0 }|${ attributes ? JSON.stringify( [ attributes, innerBlocks || '' ] ) : shortcode }`
+	);
+	
+	/**
+	 * Request a preview, sharing requests already in flight
+	 *
+	 * @param {Object}      source Shortcode string or block attributes, and post ID
+	 * @param {AbortSignal} signal Signal to stop waiting for the preview
+	 * @return {Promise<Object>} Rendered preview with its styles and scripts
+	 */
+	const requestPreview = ( source, signal ) => {
+		const key = getPreviewKey( source );
+		let entry = previewRequests.get( key );
+		
+		if ( ! entry ) {
+			const controller = new AbortController();
+			const data = { post_id: source.postId || 0 };
+			if ( source.attributes ) {
+				data.attributes = source.attributes;
+				data.inner_blocks = source.innerBlocks || '';
+			} else {
+				data.shortcode = source.shortcode;
+			}
+			
+			entry = {
+				controller,
+				waiting: 0,
+				promise: apiFetch( {
+					path: `${ API_NAMESPACE }/preview`,
+					method: 'POST',
+					data,
+					signal: controller.signal
+				} )
+				.then( data => ( {
+					html: data.preview || '',
+					styles: data.styles || '',
+					scripts: data.scripts || ''
+				} ) )
+				.finally( () => {
+					if ( previewRequests.get( key ) === entry ) {
+						previewRequests.delete( key );
+					}
+				} )
+			};
+			previewRequests.set( key, entry );
+		}
+		
+		if ( ! signal ) {
+			return entry.promise;
+		}
+		
+		entry.waiting++;
+		const shared = entry;
+		
+		return new Promise( ( resolve, reject ) => {
+			signal.addEventListener( 'abort', () => {
+				shared.waiting--;
+				if ( shared.waiting === 0 ) {
+					shared.controller.abort();
+				}
+				reject( new DOMException( 'Preview no longer needed', 'AbortError' ) );
+			} );
+			
+			shared.promise.then( resolve, reject );
+		} );
+	};
+	
+	const DEFAULT_STATE = {
+		shortcodes: Array.isArray( settings.shortcodes ) ? settings.shortcodes : null,
+		shortcodesError: null,
+		previews: {},
+		previewKeys: [],
+		favorites: Array.isArray( picker.favorites ) ? picker.favorites : [],
+		recent: Array.isArray( picker.recent ) ? picker.recent : []
+	};
+	
+	/**
+	 * Store reducer
+	 *
+	 * @param {Object} state  Current state
+	 * @param {Object} action Dispatched action
+	 * @return {Object} New state
+	 */
+	const reducer = ( state = DEFAULT_STATE, action ) => {
+		switch ( action.type ) {
+			case 'RECEIVE_SHORTCODES':
+				return {
+					...state,
+					shortcodes: action.shortcodes,
+					shortcodesError: null
+				};
+			
+			case 'RECEIVE_SHORTCODES_ERROR':
+				return {
+					...state,
+					shortcodesError: action.error
+				};
+			
+			case 'INVALIDATE_SHORTCODES':
+				// Keep showing the old list while the new one loads, but previews may have changed
+				return {
+					...state,
+					shortcodesError: null,
+					previews: {},
+					previewKeys: []
+				};
+			
+			case 'RECEIVE_PREVIEW': {
+				// Drop the oldest previews when the cache is full
+				const previewKeys = [ ...state.previewKeys.filter( key => key !== action.key ), action.key ];
+				const previews = { ...state.previews, [ action.key ]: action.preview };
+				while ( previewKeys.length > PREVIEW_CACHE_SIZE ) {
+					delete previews[ previewKeys.shift() ];
+				}
+				
+				return { ...state, previews, previewKeys };
+			}
+			
+			case 'RECEIVE_PICKER_PREFERENCES':
+				return {
+					...state,
+					favorites: action.favorites,
+					recent: action.recent
+				};
+			
+			case 'SET_FAVORITE': {
+				const favorites = state.favorites.filter( name => name !== action.name );
+				return {
+					...state,
+					favorites: action.favorite ? [ ...favorites, action.name ] : favorites
+				};
+			}
+		}
+		
+		return state;
+	};
+	
+	const actions = {
+		/**
+		 * Store the shortcode list
+		 *
+		 * @param {Array} shortcodes Available shortcodes
+		 * @return {Object} Action
+		 */
+		receiveShortcodes( shortcodes ) {
+			return { type: 'RECEIVE_SHORTCODES', shortcodes };
+		},
+		
+		/**
+		 * Store an error loading the shortcode list
+		 *
+		 * @param {string} error Error message
+		 * @return {Object} Action
+		 */
+		receiveShortcodesError( error ) {
+			return { type: 'RECEIVE_SHORTCODES_ERROR', error };
+		},
+		
+		/**
+		 * Store a rendered preview
+		 *
+		 * @param {Object} source  Shortcode string or block attributes, and post ID
+		 * @param {Object} preview Rendered preview with its styles and scripts
+		 * @return {Object} Action
+		 */
+		receivePreview( source, preview ) {
+			return { type: 'RECEIVE_PREVIEW', key: getPreviewKey( source ), preview };
+		},
+		
+		/**
+		 * Render a preview and store it
+		 *
+		 * @param {Object}      source Shortcode string or block attributes, and post ID
+		 * @param {AbortSignal} signal Optional signal to stop waiting for the preview
+		 * @return {Object} Rendered preview with its styles and scripts
+		 */
+		*fetchPreview( source, signal ) {
+			const preview = yield { type: 'FETCH_PREVIEW', source, signal };
+			yield actions.receivePreview( source, preview );
+			return preview;
+		},
+		
+		/**
+		 * Store the favorite and recently used shortcodes of the user
+		 *
+		 * @param {Object} preferences Favorite and recently used shortcode names
+		 * @return {Object} Action
+		 */
+		receivePickerPreferences( { favorites, recent } ) {
+			return { type: 'RECEIVE_PICKER_PREFERENCES', favorites: favorites || [], recent: recent || [] };
+		},
+		
+		/**
+		 * Pin a shortcode to the picker, or unpin it
+		 *
+		 * The picker updates at once. If saving fails, the stored favorites
+		 * are put back.
+		 *
+		 * @param {string}  name     Shortcode name
+		 * @param {boolean} favorite Whether the shortcode is a favorite
+		 */
+		*setFavorite( name, favorite ) {
+			yield { type: 'SET_FAVORITE', name, favorite };
+			
+			try {
+				const preferences = yield { type: 'SAVE_FAVORITE', name, favorite };
+				yield actions.receivePickerPreferences( preferences );
+			} catch ( error ) {
+				yield { type: 'SET_FAVORITE', name, favorite: ! favorite };
+			}
+		},
+		
+		/**
+		 * Record that the user inserted a shortcode
+		 *
+		 * @param {string} name Shortcode name
+		 */
+		*addRecentShortcode( name ) {
+			try {
+				const preferences = yield { type: 'SAVE_RECENT', name };
+				yield actions.receivePickerPreferences( preferences );
+			} catch ( error ) {
+				// Keep the old list, nothing else depends on it
+			}
+		},
+		
+		/**
+		 * Reload the shortcode list and drop the cached previews
+		 *
+		 * Called when shortcodes were changed in the admin.
+		 */
+		*invalidateShortcodes() {
+			yield { type: 'INVALIDATE_SHORTCODES' };
+			yield { type: 'INVALIDATE_SELECTOR', selectorName: 'getShortcodes', args: [] };
+		}
+	};
+	
+	const selectors = {
+		/**
+		 * Get the available shortcodes
+		 *
+		 * @param {Object} state Store state
+		 * @return {Array|null} Shortcodes, or null while loading
+		 */
+		getShortcodes( state ) {
+			return state.shortcodes;
+		},
+		
+		/**
+		 * Get an available shortcode by name
+		 *
+		 * @param {Object} state Store state
+		 * @param {string} name  Shortcode name
+		 * @return {Object|undefined} Shortcode
+		 */
+		getShortcode( state, name ) {
+			return ( state.shortcodes || [] ).find( shortcode => shortcode.name === name );
+		},
+		
+		/**
+		 * Get the error of the last shortcode list request
+		 *
+		 * @param {Object} state Store state
+		 * @return {string|null} Error message
+		 */
+		getShortcodesError( state ) {
+			return state.shortcodesError;
+		},
+		
+		/**
+		 * Get a stored preview
+		 *
+		 * @param {Object} state  Store state
+		 * @param {Object} source Shortcode string or block attributes, and post ID
+		 * @return {Object|null} Rendered preview with its styles and scripts
+		 */
+		getPreview( state, source ) {
+			return state.previews[ getPreviewKey( source ) ] || null;
+		},
+		
+		/**
+		 * Get the shortcodes the user pinned to the picker
+		 *
+		 * @param {Object} state Store state
+		 * @return {Array} Shortcode names in the order they were pinned
+		 */
+		getFavoriteShortcodes( state ) {
+			return state.favorites;
+		},
+		
+		/**
+		 * Get the shortcodes the user inserted last
+		 *
+		 * @param {Object} state Store state
+		 * @return {Array} Shortcode names, most recent first
+		 */
+		getRecentShortcodes( state ) {
+			return state.recent;
+		}
+	};
+	
+	/**
+	 * Whether the list printed with the page has not been used yet
+	 *
+	 * @type {boolean}
+	 */
+	let hasPreloadedShortcodes = Array.isArray( settings.shortcodes );
+	
+	const resolvers = {
+		/**
+		 * Load the available shortcodes
+		 *
+		 * The list printed with the page is used first. Once the list has
+		 * been invalidated, it is requested from the server.
+		 */
+		*getShortcodes() {
+			if ( hasPreloadedShortcodes ) {
+				hasPreloadedShortcodes = false;
+				return;
+			}
+			
+			try {
+				const shortcodes = yield { type: 'FETCH_SHORTCODES' };
+				yield actions.receiveShortcodes( shortcodes || [] );
+			} catch ( error ) {
+				yield actions.receiveShortcodesError(
+					error.message || __( 'Network error loading shortcodes', 'shortcode-exec-php' )
+				);
+			}
+		}
+	};
+	
+	const controls = {
+		FETCH_SHORTCODES() {
+			return apiFetch( { path: `${ API_NAMESPACE }/shortcodes?enabled=true` } );
+		},
+		
+		FETCH_PREVIEW( { source, signal } ) {
+			return requestPreview( source, signal );
+		},
+		
+		SAVE_FAVORITE( { name, favorite } ) {
+			return apiFetch( {
+				path: `${ API_NAMESPACE }/picker/favorites/${ encodeURIComponent( name ) }`,
+				method: favorite ? 'POST' : 'DELETE'
+			} );
+		},
+		
+		SAVE_RECENT( { name } ) {
+			return apiFetch( {
+				path: `${ API_NAMESPACE }/picker/recent/${ encodeURIComponent( name ) }`,
+				method: 'POST'
+			} );
+		},
+		
+		INVALIDATE_SELECTOR( { selectorName, args } ) {
+			wp.data.dispatch( STORE_NAME ).invalidateResolution( selectorName, args );
+		}
+	};
+	
+	wp.data.registerStore( STORE_NAME, {
+		reducer,
+		actions,
+		selectors,
+		resolvers,
+		controls
+	} );
+	
+	// Reload when shortcodes are changed on the admin page in another tab
+	window.addEventListener( 'storage', ( event ) => {
+		if ( event.key === MODIFIED_STORAGE_KEY ) {
+			wp.data.dispatch( STORE_NAME ).invalidateShortcodes();
+		}
+	} );
+	
+} )();
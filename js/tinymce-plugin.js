@@ -1,8 +1,9 @@
 /**
- * TinyMCE plugin for Shortcode Exec PHP.
- *
- * Provides a button in the TinyMCE editor for inserting shortcodes.
- * Updated for modern WordPress and TinyMCE versions.
+ * TinyMCE Plugin for Shortcode Exec PHP
+ * 
+ * The classic editor integration: one toolbar button and the Ctrl+Shift+S
+ * shortcut, opening the shortcode modal of js/shortcode-modal.js to
+ * insert or edit shortcodes.
  *
  * @package WordPress
  * @subpackage Shortcode_Exec_PHP
@@ -11,66 +12,111 @@
 
 ( function() {
 	'use strict';
-
-	// Check if TinyMCE is available.
+	
+	// Ensure TinyMCE is available
 	if ( typeof tinymce === 'undefined' ) {
 		return;
 	}
-
+	
 	tinymce.create( 'tinymce.plugins.ShortcodeExecPHP', {
-
+		
 		/**
-		 * Initialize the plugin.
+		 * Initialize the TinyMCE plugin
 		 *
-		 * @param {tinymce.Editor} editor Editor instance.
-		 * @param {string}         url    Plugin URL.
+		 * @param {tinymce.Editor} ed  The TinyMCE editor instance
+		 * @param {string}         url Plugin URL
 		 */
-		init: function( editor, url ) {
+		init: function( ed, url ) {
 			const self = this;
-
-			// Register command.
-			editor.addCommand( 'mceShortcodeExecPHP', function() {
-				self.openDialog( editor );
+			this.editor = ed;
+			this.url = url;
+			
+			// Register the shortcode insertion command, which edits a shortcode when given one
+			ed.addCommand( 'mceShortcodeExecPHP', function( ui, existing ) {
+				self.openShortcodeModal( existing && existing.text ? existing : null );
 			} );
-
-			// Register button.
-			editor.addButton( 'ShortcodeExecPHP', {
-				title: 'Insert Shortcode Exec PHP',
+			
+			// Reopen the modal when a shortcode preview is double-clicked
+			ed.on( 'dblclick', function( e ) {
+				const node = ed.dom.getParent( e.target, '.wpview' );
+				
+				if ( node && window.wp && wp.mce && wp.mce.views && self.isPluginView( node ) ) {
+					e.preventDefault();
+					wp.mce.views.edit( ed, node );
+				}
+			} );
+			
+			// Register the toolbar button
+			ed.addButton( 'shortcodeExecPHP', {
+				title: window.shortcodeExecPHPModal?.modalTitle || 'Insert PHP Shortcode',
 				cmd: 'mceShortcodeExecPHP',
-				icon: 'code',
-				classes: 'widget btn',
+				classes: 'widget btn shortcode-exec-php-btn',
+				image: url + '/icon-shortcode.svg'
 			} );
+			
+			// Add keyboard shortcut for shortcode insertion
+			ed.addShortcut( 'ctrl+shift+s', window.shortcodeExecPHPModal?.modalTitle || 'Insert PHP Shortcode', 'mceShortcodeExecPHP' );
 		},
-
+		
 		/**
-		 * Open the shortcode selection dialog.
+		 * Check whether a view in the editor shows one of the plugin's shortcodes
 		 *
-		 * @param {tinymce.Editor} editor Editor instance.
+		 * @param {Element} node View wrapper
+		 * @return {boolean} Whether the view belongs to the plugin
 		 */
-		openDialog: function( editor ) {
-			// Use WordPress's ThickBox for the modal.
-			const dialogUrl = ajaxurl + '?action=scep_ajax&scep_action=tinymce&TB_iframe=true&width=400&height=300';
-
-			// Open ThickBox.
-			tb_show( 'Insert Shortcode', dialogUrl );
+		isPluginView: function( node ) {
+			const type = decodeURIComponent( this.editor.dom.getAttrib( node, 'data-wpview-type' ) );
+			const shortcodes = wp.data ? wp.data.select( 'shortcode-exec-php' ).getShortcodes() || [] : [];
+			
+			return shortcodes.some( function( shortcode ) {
+				return shortcode.name === type;
+			} );
 		},
-
+		
 		/**
-		 * Get plugin information.
+		 * Open the shortcode modal
 		 *
-		 * @return {Object} Plugin information.
+		 * Given an existing shortcode, the modal is prefilled with it and
+		 * replaces it in place instead of inserting a new one.
+		 *
+		 * @param {Object|null} existing Shortcode text and a callback replacing it, or null to insert
+		 */
+		openShortcodeModal: function( existing ) {
+			const self = this;
+			
+			if ( ! window.ShortcodeExecPHPModal ) {
+				return;
+			}
+			
+			window.ShortcodeExecPHPModal.open( {
+				text: existing ? existing.text : '',
+				onSubmit: function( shortcodeString ) {
+					if ( existing ) {
+						existing.update( shortcodeString );
+					} else {
+						self.editor.insertContent( shortcodeString );
+					}
+				}
+			} );
+		},
+		
+		/**
+		 * Get plugin information
+		 *
+		 * @return {Object} Plugin info
 		 */
 		getInfo: function() {
 			return {
 				longname: 'Shortcode Exec PHP Plugin',
 				author: 'WordPress Community',
 				authorurl: 'https://wordpress.org/',
-				version: '1.53',
+				version: '1.53'
 			};
-		},
+		}
+		
 	} );
-
-	// Register plugin.
-	tinymce.PluginManager.add( 'ShortcodeExecPHP', tinymce.plugins.ShortcodeExecPHP );
-
+	
+	// Register the plugin with TinyMCE
+	tinymce.PluginManager.add( 'shortcodeExecPHP', tinymce.plugins.ShortcodeExecPHP );
+	
 } )();
\ No newline at end of file
@@ -0,0 +1,107 @@
+/**
+ * TinyMCE Views for Shortcode Exec PHP
+ * 
+ * Shows the plugin's shortcodes as live previews in the classic Visual
+ * editor. Loaded with the TinyMCE plugin in js/tinymce-plugin.js, whose
+ * modal the views reopen to edit a shortcode.
+ *
+ * @package WordPress
+ * @subpackage Shortcode_Exec_PHP
+ * @since 1.53
+ */
+
+( function( $ ) {
+	'use strict';
+	
+	// Ensure jQuery and WordPress are available
+	if ( typeof $ === 'undefined' || typeof wp === 'undefined' ) {
+		return;
+	}
+	
+	/**
+	 * TinyMCE Views Support Object
+	 */
+	window.ShortcodeExecPHPTinyMCE = {
+		
+		/**
+		 * Register a visual view for each plugin shortcode
+		 *
+		 * Views show the shortcode as a non-editable live preview in the
+		 * Visual editor, with the core edit and remove controls. The post
+		 * content keeps the plain shortcode text. Shortcodes added in the
+		 * admin during the editor session are registered once the shared
+		 * store has reloaded the list.
+		 */
+		registerViews: function() {
+			if ( ! wp.mce || ! wp.mce.views || ! wp.data ) {
+				return;
+			}
+			
+			const registered = {};
+			const register = function() {
+				const shortcodes = wp.data.select( 'shortcode-exec-php' ).getShortcodes() || [];
+				
+				shortcodes.forEach( function( shortcode ) {
+					if ( ! registered[ shortcode.name ] && ! wp.mce.views.get( shortcode.name ) ) {
+						registered[ shortcode.name ] = true;
+						wp.mce.views.register( shortcode.name, this.getView() );
+					}
+				}, this );
+			}.bind( this );
+			
+			register();
+			wp.data.subscribe( register );
+		},
+		
+		/**
+		 * Get the view of a plugin shortcode
+		 *
+		 * @return {Object} View properties for wp.mce.views.register()
+		 */
+		getView: function() {
+			return {
+				/**
+				 * Render the preview of the shortcode through the shared store
+				 */
+				initialize: function() {
+					const self = this;
+					const postId = parseInt( $( '#post_ID' ).val(), 10 ) || 0;
+					
+					wp.data.dispatch( 'shortcode-exec-php' ).fetchPreview( { shortcode: this.text, postId: postId } )
+					.then( function( preview ) {
+						if ( ! preview.html ) {
+							self.setError( _.escape( window.shortcodeExecPHPModal?.noOutput || 'This shortcode has no output.' ), 'editor-code' );
+							return;
+						}
+						
+						// View frames share the origin of the editor, so the scripts
+						// of the shortcode are left out and only styles and markup render
+						self.render( {
+							head: preview.styles,
+							body: preview.html
+						} );
+					} )
+					.catch( function( error ) {
+						console.error( 'Preview error:', error );
+						self.setError( _.escape( error instanceof TypeError ? 'Network error' : error.message ), 'warning' );
+					} );
+				},
+				
+				/**
+				 * Reopen the shortcode modal prefilled with the shortcode
+				 *
+				 * @param {string}   text   Current shortcode text
+				 * @param {Function} update Callback replacing the view with new text
+				 */
+				edit: function( text, update ) {
+					tinymce.activeEditor.execCommand( 'mceShortcodeExecPHP', false, { text: text, update: update } );
+				}
+			};
+		}
+		
+	};
+	
+	// Register before the editors load their content, which creates the views
+	window.ShortcodeExecPHPTinyMCE.registerViews();
+	
+} )( jQuery );
@@ -0,0 +1,207 @@
+<?php
+
+/**
+ * Tests for previewing and importing export files
+ */
+class ImportTest extends WP_UnitTestCase
+{
+    private static $administrator;
+
+    private $admin;
+
+    public static function wpSetUpBeforeClass($factory)
+    {
+        self::$administrator = $factory->user->create(array('role' => 'administrator'));
+    }
+
+    public function set_up()
+    {
+        parent::set_up();
+
+        wp_set_current_user(self::$administrator);
+        $this->admin = WP_Shortcode_Exec_PHP::get_instance()->get_admin();
+
+        update_option('scep_names', array('existing', 'taken'));
+        update_option('scep_phpcode_existing', 'echo "existing";');
+        update_option('scep_phpcode_taken', 'echo "taken";');
+    }
+
+    public function tear_down()
+    {
+        $_POST = array();
+        unset($_SERVER['REQUEST_METHOD']);
+
+        parent::tear_down();
+    }
+
+    private function export_file($shortcodes)
+    {
+        return wp_json_encode(array(
+            'format'     => WP_Shortcode_Exec_PHP_Admin::EXPORT_FORMAT,
+            'version'    => WP_Shortcode_Exec_PHP_Admin::EXPORT_VERSION,
+            'shortcodes' => $shortcodes,
+        ));
+    }
+
+    private function import($json, $actions = array(), $renames = array())
+    {
+        global $title;
+
+        // The admin page handles the submitted import form before rendering.
+        if (!function_exists('get_admin_page_title')) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php';
+        }
+        $title = 'Shortcode Exec PHP';
+
+        $_SERVER['REQUEST_METHOD'] = 'POST';
+        $_POST = wp_slash(array(
+            'scep_admin_nonce'   => WP_Shortcode_Exec_PHP_Security::create_nonce('admin_action'),
+            'scep_action'        => 'import_shortcodes',
+            'scep_import_data'   => $json,
+            'scep_import_action' => $actions,
+            'scep_import_rename' => $renames,
+        ));
+
+        ob_start();
+        $this->admin->admin_page();
+        return ob_get_clean();
+    }
+
+    private function names()
+    {
+        return get_option('scep_names');
+    }
+
+    public function test_preview_rejects_invalid_files()
+    {
+        $this->assertWPError($this->admin->preview_import('not json'));
+        $this->assertWPError($this->admin->preview_import(wp_json_encode(array('format' => 'other', 'version' => 1, 'shortcodes' => array()))));
+    }
+
+    public function test_preview_reports_conflicts_with_suggested_names()
+    {
+        update_option('scep_names', array('existing', 'existing-2'));
+
+        $rows = $this->admin->preview_import($this->export_file(array(
+            array('name' => 'fresh', 'code' => 'echo 1;'),
+            array('name' => 'existing', 'code' => 'echo 2;'),
+            array('name' => 'broken', 'code' => 'exec("ls");'),
+        )));
+
+        $this->assertSame(array('fresh', 'existing', 'broken'), array_column($rows, 'name'));
+        $this->assertSame(array(false, true, false), array_column($rows, 'exists'));
+        $this->assertSame(array('', 'existing-3', ''), array_column($rows, 'rename'));
+        $this->assertSame('', $rows[0]['error']);
+        $this->assertNotSame('', $rows[2]['error']);
+    }
+
+    public function test_preview_suggests_names_within_the_length_limit()
+    {
+        $name = 'a' . str_repeat('b', 49);
+        update_option('scep_names', array($name, substr($name, 0, 48) . '-2'));
+
+        $rows = $this->admin->preview_import($this->export_file(array(
+            array('name' => $name, 'code' => 'echo 1;'),
+        )));
+
+        $this->assertSame(substr($name, 0, 48) . '-3', $rows[0]['rename']);
+        $this->assertTrue(WP_Shortcode_Exec_PHP_Security::validate_shortcode_name($rows[0]['rename']));
+    }
+
+    public function test_new_shortcodes_are_imported_and_existing_ones_skipped_by_default()
+    {
+        $this->import($this->export_file(array(
+            array('name' => 'fresh', 'code' => 'echo 1;', 'enabled' => true),
+            array('name' => 'existing', 'code' => 'echo 2;'),
+        )));
+
+        $this->assertSame(array('existing', 'taken', 'fresh'), $this->names());
+        $this->assertSame('echo 1;', get_option('scep_phpcode_fresh'));
+        $this->assertTrue((bool) get_option('scep_enabled_fresh'));
+        $this->assertSame('echo "existing";', get_option('scep_phpcode_existing'));
+    }
+
+    public function test_skip_ignores_invalid_shortcodes()
+    {
+        $this->import(
+            $this->export_file(array(
+                array('name' => 'broken', 'code' => 'exec("ls");'),
+                array('name' => 'fresh', 'code' => 'echo 1;'),
+            )),
+            array('skip', 'import')
+        );
+
+        $this->assertSame(array('existing', 'taken', 'fresh'), $this->names());
+        $this->assertFalse(get_option('scep_phpcode_broken'));
+    }
+
+    public function test_invalid_shortcodes_block_the_whole_import()
+    {
+        $output = $this->import($this->export_file(array(
+            array('name' => 'fresh', 'code' => 'echo 1;'),
+            array('name' => 'broken', 'code' => 'exec("ls");'),
+        )));
+
+        $this->assertStringContainsString('broken: ', $output);
+        $this->assertSame(array('existing', 'taken'), $this->names());
+        $this->assertFalse(get_option('scep_phpcode_fresh'));
+    }
+
+    public function test_import_over_existing_shortcode_is_an_error()
+    {
+        $output = $this->import($this->export_file(array(array('name' => 'existing', 'code' => 'echo 2;'))), array('import'));
+
+        $this->assertStringContainsString('existing: ', $output);
+        $this->assertSame('echo "existing";', get_option('scep_phpcode_existing'));
+    }
+
+    public function test_overwrite_replaces_the_code()
+    {
+        $this->import($this->export_file(array(array('name' => 'existing', 'code' => 'echo 2;'))), array('overwrite'));
+
+        $this->assertSame(array('existing', 'taken'), $this->names());
+        $this->assertSame('echo 2;', get_option('scep_phpcode_existing'));
+    }
+
+    public function test_rename_imports_under_new_name()
+    {
+        $this->import($this->export_file(array(array('name' => 'existing', 'code' => 'echo 2;'))), array('rename'), array('existing_copy'));
+
+        $this->assertSame(array('existing', 'taken', 'existing_copy'), $this->names());
+        $this->assertSame('echo 2;', get_option('scep_phpcode_existing_copy'));
+        $this->assertSame('echo "existing";', get_option('scep_phpcode_existing'));
+    }
+
+    public function test_rename_rejects_invalid_and_taken_names()
+    {
+        $output = $this->import(
+            $this->export_file(array(
+                array('name' => 'existing', 'code' => 'echo 2;'),
+                array('name' => 'taken', 'code' => 'echo 3;'),
+            )),
+            array('rename', 'rename'),
+            array('1invalid', 'existing')
+        );
+
+        $this->assertStringContainsString('1invalid', $output);
+        $this->assertStringContainsString('taken: ', $output);
+        $this->assertSame(array('existing', 'taken'), $this->names());
+        $this->assertSame('echo "existing";', get_option('scep_phpcode_existing'));
+    }
+
+    public function test_two_shortcodes_with_same_target_are_rejected()
+    {
+        $output = $this->import(
+            $this->export_file(array(
+                array('name' => 'fresh', 'code' => 'echo 1;'),
+                array('name' => 'existing', 'code' => 'echo 2;'),
+            )),
+            array('import', 'rename'),
+            array(1 => 'fresh')
+        );
+
+        $this->assertStringContainsString('existing: ', $output);
+        $this->assertSame(array('existing', 'taken'), $this->names());
+        $this->assertFalse(get_option('scep_phpcode_fresh'));
+    }
+}
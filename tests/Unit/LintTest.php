@@ -0,0 +1,123 @@
+<?php
+
+/**
+ * Tests for linting shortcode code in the editor
+ */
+class LintTest extends WP_UnitTestCase
+{
+    private function require_php_lint()
+    {
+        // The syntax check runs php -l through exec().
+        $disabled = array_map('trim', explode(',', (string) ini_get('disable_functions')));
+        if (!function_exists('exec') || in_array('exec', $disabled, true)) {
+            $this->markTestSkipped('exec() is disabled.');
+        }
+
+        exec('php -v 2>&1', $output, $return_code);
+        if (0 !== $return_code) {
+            $this->markTestSkipped('No php binary is available.');
+        }
+    }
+
+    public function test_lint_rules_cover_blocked_functions_and_patterns()
+    {
+        $rules = WP_Shortcode_Exec_PHP_Security::get_lint_rules();
+        $sources = array_unique(array_column($rules, 'source'));
+
+        $this->assertContains('blocked_function', $sources);
+        $this->assertContains('dangerous_pattern', $sources);
+
+        foreach ($rules as $rule) {
+            $this->assertNotFalse(@preg_match($rule['pattern'], ''), "Invalid pattern {$rule['pattern']}");
+            $this->assertNotEmpty($rule['message']);
+        }
+
+        $messages = array_column($rules, 'message');
+        $this->assertContains('Blocked function detected: exec', $messages);
+    }
+
+    public function test_lint_rules_follow_blocked_functions_filter()
+    {
+        $filter = function ($functions) {
+            $functions[] = 'my_custom_blocked';
+            return $functions;
+        };
+        add_filter('wp_shortcode_exec_php_blocked_functions', $filter);
+
+        $messages = array_column(WP_Shortcode_Exec_PHP_Security::get_lint_rules(), 'message');
+
+        remove_filter('wp_shortcode_exec_php_blocked_functions', $filter);
+
+        $this->assertContains('Blocked function detected: my_custom_blocked', $messages);
+    }
+
+    public function test_lint_empty_code()
+    {
+        $this->assertSame(array(), WP_Shortcode_Exec_PHP_Security::lint_php_code(''));
+        $this->assertSame(array(), WP_Shortcode_Exec_PHP_Security::lint_php_code("  \n "));
+        $this->assertSame(array(), WP_Shortcode_Exec_PHP_Security::lint_php_code(null));
+    }
+
+    public function test_lint_clean_code()
+    {
+        $this->require_php_lint();
+
+        $this->assertSame(array(), WP_Shortcode_Exec_PHP_Security::lint_php_code('echo "Hello World";'));
+    }
+
+    public function test_lint_reports_every_issue_with_its_line()
+    {
+        $this->require_php_lint();
+
+        $code = "echo 1;\nexec('ls');\n\$value = \$_GET['a'];\nshell_exec('ls');";
+        $issues = WP_Shortcode_Exec_PHP_Security::lint_php_code($code);
+
+        $found = array_map(function ($issue) {
+            return array($issue['line'], $issue['source']);
+        }, $issues);
+
+        $this->assertContains(array(2, 'blocked_function'), $found);
+        $this->assertContains(array(3, 'dangerous_pattern'), $found);
+        $this->assertContains(array(4, 'blocked_function'), $found);
+        $this->assertNotContains('syntax', array_column($issues, 'source'));
+    }
+
+    public function test_lint_counts_lines_of_opening_tag()
+    {
+        $this->require_php_lint();
+
+        $issues = WP_Shortcode_Exec_PHP_Security::lint_php_code("<?php\n\necho 1;\nexec('ls');\n?>");
+
+        $this->assertCount(1, $issues);
+        $this->assertSame(4, $issues[0]['line']);
+        $this->assertSame('blocked_function', $issues[0]['source']);
+    }
+
+    public function test_lint_syntax_error_line_matches_message()
+    {
+        $this->require_php_lint();
+
+        $issues = WP_Shortcode_Exec_PHP_Security::lint_php_code("<?php\necho 'a'\necho 'b';");
+        $syntax = array_values(array_filter($issues, function ($issue) {
+            return 'syntax' === $issue['source'];
+        }));
+
+        $this->assertCount(1, $syntax);
+        $this->assertSame(3, $syntax[0]['line']);
+        $this->assertStringContainsString('on line 3', $syntax[0]['message']);
+    }
+
+    public function test_lint_syntax_error_without_opening_tag()
+    {
+        $this->require_php_lint();
+
+        $issues = WP_Shortcode_Exec_PHP_Security::lint_php_code("echo 'a';\n\$x = ;");
+        $syntax = array_values(array_filter($issues, function ($issue) {
+            return 'syntax' === $issue['source'];
+        }));
+
+        $this->assertCount(1, $syntax);
+        $this->assertSame(2, $syntax[0]['line']);
+        $this->assertStringContainsString('on line 2', $syntax[0]['message']);
+    }
+}
@@ -0,0 +1,133 @@
+<?php
+
+/**
+ * Tests for the execution log storage and its CSV export
+ */
+class LogTest extends WP_UnitTestCase
+{
+    public function set_up()
+    {
+        global $wpdb;
+
+        parent::set_up();
+
+        WP_Shortcode_Exec_PHP_Log::install();
+        $wpdb->query('DELETE FROM ' . WP_Shortcode_Exec_PHP_Log::get_table_name());
+
+        delete_option('scep_log_max_entries');
+        delete_option('scep_log_successes');
+    }
+
+    private function add($shortcode_name, $status = 'error', $user_id = 0)
+    {
+        WP_Shortcode_Exec_PHP_Log::add(array(
+            'shortcode_name' => $shortcode_name,
+            'status'         => $status,
+            'user_id'        => $user_id,
+            'user_ip'        => '127.0.0.1',
+            'request_uri'    => '/',
+            'user_agent'     => '',
+            'message'        => "{$shortcode_name} {$status}",
+            'context'        => array('tag' => $shortcode_name),
+        ));
+    }
+
+    private function query($args = array())
+    {
+        return WP_Shortcode_Exec_PHP_Log::query($args);
+    }
+
+    public function test_entries_are_stored_with_their_context()
+    {
+        $this->add('weather', 'error', 3);
+
+        $log = $this->query();
+        $this->assertSame(1, $log['total']);
+        $this->assertSame('weather', $log['entries'][0]['shortcode_name']);
+        $this->assertSame(3, $log['entries'][0]['user_id']);
+        $this->assertSame(array('tag' => 'weather'), $log['entries'][0]['context']);
+        $this->assertSame($log['entries'][0], WP_Shortcode_Exec_PHP_Log::get_entry($log['entries'][0]['id']));
+    }
+
+    public function test_successes_are_only_stored_when_enabled()
+    {
+        $this->add('weather', 'success');
+        $this->assertSame(0, $this->query()['total']);
+
+        update_option('scep_log_successes', true);
+        $this->add('weather', 'success');
+        $this->assertSame(1, $this->query()['total']);
+    }
+
+    public function test_nothing_is_stored_before_the_table_is_installed()
+    {
+        update_option('scep_log_db_version', '0');
+        $this->add('weather');
+
+        $this->assertSame(0, $this->query()['total']);
+    }
+
+    public function test_oldest_entries_are_removed_beyond_the_maximum()
+    {
+        update_option('scep_log_max_entries', 100);
+
+        for ($i = 1; $i <= 103; $i++) {
+            $this->add("code{$i}");
+        }
+
+        $log = $this->query(array('per_page' => 0));
+        $this->assertSame(100, $log['total']);
+        $this->assertSame('code103', $log['entries'][0]['shortcode_name']);
+        $this->assertSame('code4', $log['entries'][99]['shortcode_name']);
+    }
+
+    public function test_maximum_is_at_least_one_hundred()
+    {
+        update_option('scep_log_max_entries', 5);
+
+        $this->assertSame(100, WP_Shortcode_Exec_PHP_Log::get_max_entries());
+    }
+
+    public function test_query_filters()
+    {
+        $this->add('weather', 'error', 1);
+        $this->add('weather', 'blocked', 2);
+        $this->add('clock', 'error', 2);
+
+        $this->assertSame(2, $this->query(array('shortcode' => 'weather'))['total']);
+        $this->assertSame(2, $this->query(array('status' => 'error'))['total']);
+        $this->assertSame(2, $this->query(array('user_id' => 2))['total']);
+        $this->assertSame(1, $this->query(array('shortcode' => 'weather', 'user_id' => 2))['total']);
+        $this->assertSame(0, $this->query(array('user_id' => 0))['total']);
+
+        $today = wp_date('Y-m-d');
+        $this->assertSame(3, $this->query(array('date_from' => $today, 'date_to' => $today))['total']);
+        $this->assertSame(0, $this->query(array('date_to' => '2000-01-01'))['total']);
+        $this->assertSame(3, $this->query(array('date_from' => 'not a date'))['total']);
+    }
+
+    public function test_query_pages_most_recent_first()
+    {
+        $this->add('first');
+        $this->add('second');
+        $this->add('third');
+
+        $log = $this->query(array('per_page' => 2, 'page' => 2));
+        $this->assertSame(3, $log['total']);
+        $this->assertSame(array('first'), array_column($log['entries'], 'shortcode_name'));
+
+        $log = $this->query(array('per_page' => 2));
+        $this->assertSame(array('third', 'second'), array_column($log['entries'], 'shortcode_name'));
+    }
+
+    public function test_csv_values_starting_a_formula_are_neutralised()
+    {
+        foreach (array('=1+1', '+1', '-1', '@SUM(A1)', "\t=1", "\r=1") as $value) {
+            $this->assertSame("'" . $value, WP_Shortcode_Exec_PHP_Security::escape_csv_value($value));
+        }
+
+        $this->assertSame('weather', WP_Shortcode_Exec_PHP_Security::escape_csv_value('weather'));
+        $this->assertSame('a=1', WP_Shortcode_Exec_PHP_Security::escape_csv_value('a=1'));
+        $this->assertSame('42', WP_Shortcode_Exec_PHP_Security::escape_csv_value(42));
+    }
+}
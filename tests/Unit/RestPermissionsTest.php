@@ -0,0 +1,124 @@
+<?php
+
+/**
+ * Tests for the permissions of the REST API routes
+ */
+class RestPermissionsTest extends WP_UnitTestCase
+{
+    private static $administrator;
+    private static $author;
+    private static $subscriber;
+
+    public static function wpSetUpBeforeClass($factory)
+    {
+        self::$administrator = $factory->user->create(array('role' => 'administrator'));
+        self::$author = $factory->user->create(array('role' => 'author'));
+        self::$subscriber = $factory->user->create(array('role' => 'subscriber'));
+    }
+
+    public function set_up()
+    {
+        parent::set_up();
+
+        update_option('scep_names', array('visible', 'hidden'));
+        update_option('scep_enabled_visible', true);
+        update_option('scep_phpcode_visible', 'echo "visible";');
+        update_option('scep_enabled_hidden', false);
+        update_option('scep_phpcode_hidden', 'echo "hidden";');
+    }
+
+    private function request($method, $route, $params = array())
+    {
+        $request = new WP_REST_Request($method, '/shortcode-exec-php/v1' . $route);
+        foreach ($params as $key => $value) {
+            $request->set_param($key, $value);
+        }
+
+        return rest_do_request($request);
+    }
+
+    public function test_logged_out_users_cannot_list_shortcodes()
+    {
+        wp_set_current_user(0);
+
+        $this->assertSame(401, $this->request('GET', '/shortcodes')->get_status());
+    }
+
+    public function test_users_who_cannot_edit_posts_cannot_list_shortcodes()
+    {
+        wp_set_current_user(self::$subscriber);
+
+        $this->assertSame(403, $this->request('GET', '/shortcodes')->get_status());
+        $this->assertSame(403, $this->request('GET', '/picker')->get_status());
+    }
+
+    public function test_authors_see_enabled_shortcodes_without_code()
+    {
+        wp_set_current_user(self::$author);
+
+        $response = $this->request('GET', '/shortcodes', array('enabled' => false));
+        $data = $response->get_data();
+
+        $this->assertSame(200, $response->get_status());
+        $this->assertSame(array('visible'), array_column($data, 'name'));
+        $this->assertArrayNotHasKey('code', $data[0]);
+    }
+
+    public function test_authors_cannot_request_edit_context()
+    {
+        wp_set_current_user(self::$author);
+
+        $this->assertSame(403, $this->request('GET', '/shortcodes', array('context' => 'edit'))->get_status());
+        $this->assertSame(403, $this->request('GET', '/shortcodes/visible', array('context' => 'edit'))->get_status());
+    }
+
+    public function test_authors_get_single_shortcode_without_code()
+    {
+        wp_set_current_user(self::$author);
+
+        $response = $this->request('GET', '/shortcodes/visible');
+        $this->assertSame(200, $response->get_status());
+        $this->assertArrayNotHasKey('code', $response->get_data());
+
+        // Disabled shortcodes are hidden from those who cannot enable them.
+        $this->assertSame(404, $this->request('GET', '/shortcodes/hidden')->get_status());
+    }
+
+    public function test_authors_cannot_change_shortcodes()
+    {
+        wp_set_current_user(self::$author);
+
+        $this->assertSame(403, $this->request('POST', '/shortcodes', array('name' => 'created', 'code' => 'echo 1;'))->get_status());
+        $this->assertSame(403, $this->request('POST', '/shortcodes/visible', array('code' => 'echo 2;'))->get_status());
+        $this->assertSame(403, $this->request('DELETE', '/shortcodes/visible')->get_status());
+        $this->assertSame('echo "visible";', get_option('scep_phpcode_visible'));
+    }
+
+    public function test_authors_can_use_the_picker()
+    {
+        wp_set_current_user(self::$author);
+
+        $this->assertSame(200, $this->request('GET', '/picker')->get_status());
+
+        $response = $this->request('POST', '/picker/favorites/visible');
+        $this->assertSame(200, $response->get_status());
+        $this->assertSame(array('visible'), $response->get_data()['favorites']);
+
+        $this->assertSame(404, $this->request('POST', '/picker/recent/missing')->get_status());
+    }
+
+    public function test_administrators_get_code_in_edit_context()
+    {
+        wp_set_current_user(self::$administrator);
+
+        $response = $this->request('GET', '/shortcodes', array('context' => 'edit'));
+        $data = array_column($response->get_data(), null, 'name');
+
+        $this->assertSame(200, $response->get_status());
+        $this->assertSame(array('visible', 'hidden'), array_keys($data));
+        $this->assertSame('echo "visible";', $data['visible']['code']);
+
+        $response = $this->request('GET', '/shortcodes/visible');
+        $this->assertArrayNotHasKey('code', $response->get_data());
+    }
+}
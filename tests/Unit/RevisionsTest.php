@@ -0,0 +1,110 @@
+<?php
+
+/**
+ * Tests for the code revisions of shortcodes
+ */
+class RevisionsTest extends WP_UnitTestCase
+{
+    private static $administrator;
+
+    private $admin;
+
+    public static function wpSetUpBeforeClass($factory)
+    {
+        self::$administrator = $factory->user->create(array('role' => 'administrator'));
+    }
+
+    public function set_up()
+    {
+        parent::set_up();
+
+        wp_set_current_user(self::$administrator);
+        $this->admin = WP_Shortcode_Exec_PHP::get_instance()->get_admin();
+    }
+
+    private function save($code, $name = 'revised')
+    {
+        $result = $this->admin->save_shortcode(array(
+            'name'          => $name,
+            'original_name' => in_array($name, get_option('scep_names', array()), true) ? $name : '',
+            'code'          => $code,
+        ));
+
+        $this->assertNotWPError($result);
+    }
+
+    private function revisions()
+    {
+        return get_option('scep_revisions_revised', array());
+    }
+
+    public function test_first_save_records_a_revision()
+    {
+        $this->save('echo 1;');
+        $revisions = $this->revisions();
+
+        $this->assertCount(1, $revisions);
+        $this->assertSame('echo 1;', $revisions[0]['code']);
+        $this->assertSame(1, $revisions[0]['id']);
+        $this->assertSame(self::$administrator, $revisions[0]['author']);
+    }
+
+    public function test_first_save_seeds_code_saved_before()
+    {
+        // A shortcode saved before revisions were recorded.
+        update_option('scep_names', array('revised'));
+        update_option('scep_phpcode_revised', 'echo 0;');
+
+        $this->save('echo 1;');
+        $revisions = $this->revisions();
+
+        $this->assertSame(array('echo 1;', 'echo 0;'), array_column($revisions, 'code'));
+        $this->assertSame(array(2, 1), array_column($revisions, 'id'));
+        $this->assertSame(0, $revisions[1]['time']);
+    }
+
+    public function test_unchanged_code_is_not_recorded()
+    {
+        $this->save('echo 1;');
+        $this->save('echo 1;');
+
+        $this->assertCount(1, $this->revisions());
+    }
+
+    public function test_history_is_trimmed_to_size()
+    {
+        $size = WP_Shortcode_Exec_PHP_Admin::REVISION_HISTORY_SIZE;
+
+        for ($i = 1; $i <= $size + 3; $i++) {
+            $this->save("echo {$i};");
+        }
+
+        $revisions = $this->revisions();
+        $this->assertCount($size, $revisions);
+        $this->assertSame('echo ' . ($size + 3) . ';', $revisions[0]['code']);
+        $this->assertSame('echo 4;', $revisions[$size - 1]['code']);
+
+        // IDs keep increasing after the oldest revisions are dropped.
+        $this->assertSame($size + 3, $revisions[0]['id']);
+    }
+
+    public function test_restore_keeps_current_code_as_revision()
+    {
+        $this->save('echo 1;');
+        $this->save('echo 2;');
+
+        $this->assertTrue($this->admin->restore_revision('revised', $this->admin->get_revision('revised', 1)));
+        $this->assertSame('echo 1;', get_option('scep_phpcode_revised'));
+        $this->assertSame(array('echo 1;', 'echo 2;', 'echo 1;'), array_column($this->revisions(), 'code'));
+        $this->assertSame(3, $this->revisions()[0]['id']);
+    }
+
+    public function test_restore_rejects_code_that_no_longer_validates()
+    {
+        $this->save('echo 1;');
+
+        $this->assertWPError($this->admin->restore_revision('revised', array('id' => 1, 'code' => 'exec("ls");', 'time' => 0)));
+        $this->assertSame('echo 1;', get_option('scep_phpcode_revised'));
+        $this->assertCount(1, $this->revisions());
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+
+/**
+ * Tests for sanitizing parameter schemas and block settings
+ */
+class SchemaSanitizationTest extends WP_UnitTestCase
+{
+    public function test_schema_rejects_non_arrays()
+    {
+        $this->assertSame(array(), WP_Shortcode_Exec_PHP_Security::sanitize_param_schema('invalid'));
+        $this->assertSame(array(), WP_Shortcode_Exec_PHP_Security::sanitize_param_schema(null));
+    }
+
+    public function test_schema_drops_unnamed_and_duplicate_parameters()
+    {
+        $schema = WP_Shortcode_Exec_PHP_Security::sanitize_param_schema(array(
+            array('name' => 'Color'),
+            array('name' => 'color', 'label' => 'Duplicate'),
+            array('name' => ''),
+            array('label' => 'No name'),
+            array('name' => array('nested')),
+            'not a parameter',
+        ));
+
+        $this->assertCount(1, $schema);
+        $this->assertSame('color', $schema[0]['name']);
+        $this->assertSame('', $schema[0]['label']);
+    }
+
+    public function test_schema_defaults_to_string_type()
+    {
+        $schema = WP_Shortcode_Exec_PHP_Security::sanitize_param_schema(array(
+            array('name' => 'title', 'type' => 'unknown', 'default' => '<b>Hello</b>'),
+        ));
+
+        $this->assertSame('string', $schema[0]['type']);
+        $this->assertSame('Hello', $schema[0]['default']);
+        $this->assertFalse($schema[0]['required']);
+    }
+
+    public function test_schema_converts_defaults_to_type()
+    {
+        $schema = WP_Shortcode_Exec_PHP_Security::sanitize_param_schema(array(
+            array('name' => 'count', 'type' => 'number', 'default' => 'many'),
+            array('name' => 'size', 'type' => 'number', 'default' => '12.5'),
+            array('name' => 'show', 'type' => 'boolean', 'default' => 'Yes'),
+            array('name' => 'hide', 'type' => 'boolean', 'default' => 'nope'),
+            array('name' => 'tint', 'type' => 'color', 'default' => 'red'),
+            array('name' => 'shade', 'type' => 'color', 'default' => '#ff0000'),
+            array('name' => 'post', 'type' => 'post', 'default' => '-3'),
+            array('name' => 'link', 'type' => 'url', 'default' => 'javascript:alert(1)'),
+        ));
+
+        $defaults = array_column($schema, 'default', 'name');
+
+        $this->assertSame('', $defaults['count']);
+        $this->assertSame('12.5', $defaults['size']);
+        $this->assertSame('true', $defaults['show']);
+        $this->assertSame('false', $defaults['hide']);
+        $this->assertSame('', $defaults['tint']);
+        $this->assertSame('#ff0000', $defaults['shade']);
+        $this->assertSame('3', $defaults['post']);
+        $this->assertSame('', $defaults['link']);
+    }
+
+    public function test_schema_select_options()
+    {
+        $schema = WP_Shortcode_Exec_PHP_Security::sanitize_param_schema(array(
+            array('name' => 'size', 'type' => 'select', 'options' => array('small', ' ', 'large', 'small', array('x')), 'default' => 'medium', 'required' => '1'),
+            array('name' => 'text', 'type' => 'string', 'options' => array('ignored')),
+        ));
+
+        $this->assertSame(array('small', 'large'), $schema[0]['options']);
+        $this->assertSame('', $schema[0]['default']);
+        $this->assertTrue($schema[0]['required']);
+        $this->assertSame(array(), $schema[1]['options']);
+    }
+
+    public function test_block_settings_defaults()
+    {
+        $this->assertSame(
+            array(
+                'title'     => '',
+                'keywords'  => array(),
+                'icon'      => '',
+                'category'  => '',
+                'enclosing' => false,
+            ),
+            WP_Shortcode_Exec_PHP_Security::sanitize_block_settings('invalid')
+        );
+    }
+
+    public function test_block_settings_are_sanitized()
+    {
+        $settings = WP_Shortcode_Exec_PHP_Security::sanitize_block_settings(array(
+            'title'     => '<em>Weather</em>',
+            'keywords'  => 'forecast, rain , , forecast',
+            'icon'      => 'dashicons-Cloud',
+            'category'  => ' <b>Widgets</b> ',
+            'enclosing' => '1',
+        ));
+
+        $this->assertSame('Weather', $settings['title']);
+        $this->assertSame(array('forecast', 'rain'), $settings['keywords']);
+        $this->assertSame('cloud', $settings['icon']);
+        $this->assertSame('Widgets', $settings['category']);
+        $this->assertTrue($settings['enclosing']);
+    }
+
+    public function test_block_settings_limit_keywords()
+    {
+        $settings = WP_Shortcode_Exec_PHP_Security::sanitize_block_settings(array(
+            'keywords' => array_merge(array_map('strval', range(1, 12)), array(array('nested'))),
+        ));
+
+        $this->assertCount(10, $settings['keywords']);
+        $this->assertSame('1', $settings['keywords'][0]);
+    }
+}
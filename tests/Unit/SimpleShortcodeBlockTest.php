@@ -0,0 +1,97 @@
+<?php
+
+/**
+ * Tests for rendering the Simple PHP Shortcode block on the server
+ */
+class SimpleShortcodeBlockTest extends WP_UnitTestCase
+{
+    private static $editor;
+
+    public static function wpSetUpBeforeClass($factory)
+    {
+        self::$editor = $factory->user->create(array('role' => 'editor'));
+    }
+
+    public function set_up()
+    {
+        parent::set_up();
+
+        update_option('scep_names', array('greeting', 'resting'));
+        update_option('scep_enabled_greeting', true);
+        update_option('scep_enabled_resting', false);
+
+        // Stands in for the handler, which is covered by its own tests.
+        add_shortcode('greeting', function () {
+            return 'Hello from greeting';
+        });
+    }
+
+    public function tear_down()
+    {
+        remove_shortcode('greeting');
+
+        parent::tear_down();
+    }
+
+    private function render($shortcode_name, $saved_content = '')
+    {
+        return do_blocks(
+            '<!-- wp:shortcode-exec-php/simple-shortcode ' . wp_json_encode(array('shortcodeName' => $shortcode_name)) . ' -->'
+            . $saved_content
+            . '<!-- /wp:shortcode-exec-php/simple-shortcode -->'
+        );
+    }
+
+    public function test_enabled_shortcode_is_rendered()
+    {
+        $this->assertSame('Hello from greeting', $this->render('greeting'));
+    }
+
+    public function test_block_saved_by_older_versions_renders_through_the_callback()
+    {
+        // Up to 1.53 the block saved the shortcode itself into the post content.
+        $output = $this->render('greeting', "\n[greeting]\n");
+
+        $this->assertSame('Hello from greeting', $output);
+
+        update_option('scep_names', array('resting'));
+        $this->assertStringNotContainsString('[greeting]', $this->render('greeting', "\n[greeting]\n"));
+    }
+
+    public function test_missing_shortcode_renders_a_placeholder_for_editors()
+    {
+        wp_set_current_user(self::$editor);
+
+        $output = $this->render('removed');
+
+        $this->assertStringContainsString('shortcode-exec-php-placeholder is-unavailable', $output);
+        $this->assertStringContainsString('The shortcode [removed] no longer exists.', $output);
+    }
+
+    public function test_disabled_shortcode_renders_a_placeholder_for_editors()
+    {
+        wp_set_current_user(self::$editor);
+
+        $output = $this->render('resting');
+
+        $this->assertStringContainsString('shortcode-exec-php-placeholder is-unavailable', $output);
+        $this->assertStringContainsString('The shortcode [resting] is disabled.', $output);
+    }
+
+    public function test_visitors_are_not_told_which_shortcode_is_unavailable()
+    {
+        wp_set_current_user(0);
+
+        foreach (array('removed', 'resting') as $shortcode_name) {
+            $output = $this->render($shortcode_name);
+
+            $this->assertStringContainsString('This content is not available.', $output);
+            $this->assertStringNotContainsString($shortcode_name, $output);
+        }
+    }
+
+    public function test_block_without_shortcode_asks_to_select_one()
+    {
+        $this->assertStringContainsString('Select a shortcode to display', $this->render(''));
+    }
+}